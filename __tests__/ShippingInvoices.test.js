@@ -0,0 +1,140 @@
+jest.mock('../services/saveOrderAddresses');
+
+describe('ShippingInvoices', () => {
+  let ShippingInvoices;
+  let saveOrderAddresses;
+  let invoices;
+  let shopifyService;
+
+  const order = {
+    id: 1001,
+    name: '#1001',
+    email: 'buyer@example.com',
+    currency: 'USD',
+    customer: { id: 7001 },
+    line_items: [{ id: 1, grams: 500 }],
+    total_shipping_price_set: { shop_money: { amount: '5.00' } }
+  };
+
+  const groups = [[{ line_item_id: 1, quantity: 1 }], [{ line_item_id: 1, quantity: 1 }], [{ line_item_id: 1, quantity: 1 }]];
+  const charge = { mode: 'per_shipment', amount: '8.00', currency: 'USD', shipment_count: 3 };
+  const lineItems = [{ line_item_id: 1, quantity: 3 }];
+
+  const requestPayment = (amount = '8.00') => invoices.requestPayment(shopifyService, {
+    order,
+    charge,
+    amount,
+    lineItems,
+    saveMethod: 'split_orders',
+    actor: { type: 'api_key' }
+  });
+
+  beforeEach(() => {
+    jest.resetModules();
+    ['EXTRA_SHIPPING_MODE', 'EXTRA_SHIPPING_PER_SHIPMENT', 'EXTRA_SHIPPING_SERVICE'].forEach(name => delete process.env[name]);
+
+    ShippingInvoices = require('../services/ShippingInvoices');
+    saveOrderAddresses = require('../services/saveOrderAddresses');
+    saveOrderAddresses.mockResolvedValue({ split_successful: true });
+
+    invoices = new ShippingInvoices('shop-a');
+    shopifyService = {
+      createDraftOrder: jest.fn().mockResolvedValue({ id: 9001, invoice_url: 'https://shop.example/invoices/9001' }),
+      sendDraftOrderInvoice: jest.fn().mockResolvedValue({}),
+      deleteDraftOrder: jest.fn().mockResolvedValue(),
+      getDraftOrder: jest.fn().mockResolvedValue({ id: 9001, status: 'open' })
+    };
+  });
+
+  describe('calculate', () => {
+    it('charges nothing when extra shipping is off', () => {
+      expect(ShippingInvoices.calculate(null, order, groups)).toBeNull();
+    });
+
+    it('charges per shipment beyond the first', () => {
+      const tenant = { extra_shipping: { mode: 'per_shipment', per_shipment: '4.00' } };
+
+      expect(ShippingInvoices.calculate(tenant, order, groups)).toEqual({
+        mode: 'per_shipment',
+        amount: '8.00',
+        currency: 'USD',
+        shipment_count: 3
+      });
+    });
+
+    it('rejects unknown modes', () => {
+      expect(() => ShippingInvoices.calculate({ extra_shipping: { mode: 'flat' } }, order, groups))
+        .toThrow('Extra shipping mode must be one of');
+    });
+  });
+
+  it('sends an invoice and holds the save until it is paid', async () => {
+    const record = await requestPayment();
+
+    expect(shopifyService.createDraftOrder).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'buyer@example.com',
+      note_attributes: [{ name: ShippingInvoices.INVOICE_ATTRIBUTE, value: '1001' }]
+    }));
+    expect(shopifyService.sendDraftOrderInvoice).toHaveBeenCalledWith(9001, expect.objectContaining({ to: 'buyer@example.com' }));
+    expect(record).toEqual(expect.objectContaining({
+      status: ShippingInvoices.STATUS.PENDING_PAYMENT,
+      draft_order_id: 9001,
+      amount: '8.00',
+      line_items: lineItems
+    }));
+
+    await expect(requestPayment()).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('deletes the draft order when the invoice cannot be sent', async () => {
+    shopifyService.sendDraftOrderInvoice.mockRejectedValue(Object.assign(new Error('Bad email'), { statusCode: 422 }));
+
+    await expect(requestPayment()).rejects.toMatchObject({ statusCode: 422 });
+    expect(shopifyService.deleteDraftOrder).toHaveBeenCalledWith(9001);
+    expect(invoices.get(order.id)).toBeNull();
+  });
+
+  it('applies the held save once the invoice is paid', async () => {
+    await requestPayment();
+    shopifyService.getDraftOrder.mockResolvedValue({ id: 9001, status: 'completed', order_id: 1002 });
+
+    const record = await invoices.refresh(shopifyService, order.id);
+
+    expect(saveOrderAddresses).toHaveBeenCalledWith(shopifyService, expect.objectContaining({
+      tenantId: 'shop-a',
+      orderId: order.id,
+      lineItems,
+      saveMethod: 'split_orders'
+    }));
+    expect(record).toEqual(expect.objectContaining({
+      status: ShippingInvoices.STATUS.PAID,
+      paid_order_id: 1002,
+      paid_total: '8.00',
+      applied: true
+    }));
+    expect(invoices.amountOwed(order.id, { amount: '10.00' })).toBe('2.00');
+  });
+
+  it('keeps a paid invoice for retry when the save fails', async () => {
+    await requestPayment();
+    saveOrderAddresses.mockRejectedValueOnce(new Error('Shopify is down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const failed = await invoices.completePayment(shopifyService, order.id, { paid_order_id: 1002 });
+    expect(failed).toEqual(expect.objectContaining({ status: ShippingInvoices.STATUS.PAID, applied: false, apply_error: 'Shopify is down' }));
+
+    const retried = await invoices.refresh(shopifyService, order.id);
+    expect(retried.applied).toBe(true);
+    expect(retried.paid_total).toBe('8.00');
+  });
+
+  it('cancels only pending invoices', async () => {
+    await requestPayment();
+
+    const record = await invoices.cancel(shopifyService, order.id);
+
+    expect(shopifyService.deleteDraftOrder).toHaveBeenCalledWith(9001);
+    expect(record.status).toBe(ShippingInvoices.STATUS.CANCELLED);
+    await expect(invoices.cancel(shopifyService, order.id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
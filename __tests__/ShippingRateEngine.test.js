@@ -0,0 +1,118 @@
+const ShippingRateEngine = require('../services/ShippingRateEngine');
+
+describe('ShippingRateEngine', () => {
+  const table = {
+    currency: 'USD',
+    default_item_grams: 500,
+    default_service: 'standard',
+    services: {
+      standard: { name: 'Standard' },
+      expedited: { name: 'Expedited' }
+    },
+    zones: [
+      {
+        id: 'us_remote',
+        name: 'US - Alaska and Hawaii',
+        match: [{ country: 'US', provinces: ['AK', 'HI'] }],
+        rates: {
+          standard: [{ max_grams: 2000, price: 15 }]
+        }
+      },
+      {
+        id: 'us',
+        name: 'US',
+        match: [{ country: 'US' }],
+        rates: {
+          standard: [
+            { max_grams: 1000, price: 5 },
+            { max_grams: null, price: 8, per_additional_kg: 1.5 }
+          ],
+          expedited: [{ max_grams: null, price: 20 }]
+        }
+      }
+    ]
+  };
+
+  const texas = { first_name: 'Ann', address1: '1 Elm St', city: 'Austin', province: 'TX', zip: '78701', country: 'US' };
+  const alaska = { ...texas, city: 'Juneau', province: 'Alaska', zip: '99801' };
+
+  const order = {
+    line_items: [
+      { id: 1, grams: 400 },
+      { id: 2, grams: 0 }
+    ],
+    total_shipping_price_set: { shop_money: { amount: '5.00' } }
+  };
+
+  let engine;
+
+  beforeEach(() => {
+    engine = new ShippingRateEngine(table);
+  });
+
+  it('rejects rate tables with rates for unknown services', () => {
+    expect(() => new ShippingRateEngine({
+      ...table,
+      zones: [{ id: 'us', match: [{ country: 'US' }], rates: { overnight: [{ max_grams: null, price: 30 }] } }]
+    })).toThrow('unknown service "overnight"');
+  });
+
+  it('matches zones in order, including by province name', () => {
+    expect(engine.findZone(alaska).id).toBe('us_remote');
+    expect(engine.findZone(texas).id).toBe('us');
+    expect(engine.findZone({ ...texas, country: 'CA' })).toBeNull();
+  });
+
+  it('charges every started kilogram over the heaviest capped tier', () => {
+    const zone = engine.findZone(texas);
+
+    expect(engine.rateShipment(zone, 1000, 'standard')).toBe(500);
+    expect(engine.rateShipment(zone, 1001, 'standard')).toBe(950);
+    expect(engine.rateShipment(zone, 3500, 'standard')).toBe(1250);
+  });
+
+  it('refuses shipments over the last tier or without the service', () => {
+    const zone = engine.findZone(alaska);
+
+    expect(() => engine.rateShipment(zone, 2500, 'standard')).toThrow(expect.objectContaining({ statusCode: 422 }));
+    expect(() => engine.rateShipment(zone, 100, 'expedited')).toThrow(expect.objectContaining({ statusCode: 422 }));
+  });
+
+  it('prices each shipment and the shipping still owed', () => {
+    const quote = engine.quote(order, [
+      [{ line_item_id: 1, quantity: 2, address: texas }],
+      [{ line_item_id: 2, quantity: 1, address: alaska }]
+    ]);
+
+    expect(quote.shipments.map(shipment => [shipment.zone.id, shipment.weight_grams, shipment.price]))
+      .toEqual([['us', 800, '5.00'], ['us_remote', 500, '15.00']]);
+    expect(quote.total_shipping).toBe('20.00');
+    expect(quote.paid_shipping).toBe('5.00');
+    expect(quote.extra_shipping).toBe('15.00');
+  });
+
+  it('rejects unknown services and addresses outside every zone', () => {
+    const groups = [[{ line_item_id: 1, quantity: 1, address: texas }]];
+
+    expect(() => engine.quote(order, groups, { service: 'overnight' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => engine.quote(order, [[{ line_item_id: 1, quantity: 1, address: { ...texas, country: 'CA' } }]]))
+      .toThrow(expect.objectContaining({ statusCode: 422 }));
+  });
+
+  it('does not count discounted shipping as paid', () => {
+    const freeShipping = {
+      ...order,
+      shipping_lines: [{ price: '5.00', discount_allocations: [{ amount: '5.00' }] }]
+    };
+
+    const quote = engine.quote(freeShipping, [[{ line_item_id: 1, quantity: 1, address: texas }]]);
+
+    expect(quote.paid_shipping).toBe('0.00');
+    expect(quote.extra_shipping).toBe('5.00');
+  });
+
+  it('converts weights to grams', () => {
+    expect(ShippingRateEngine.toGrams(2, 'POUNDS')).toBe(907);
+    expect(ShippingRateEngine.toGrams(1.5, 'kilograms')).toBe(1500);
+  });
+});
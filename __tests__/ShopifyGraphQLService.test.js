@@ -0,0 +1,44 @@
+const ShopifyGraphQLService = require('../services/ShopifyGraphQLService');
+
+describe('ShopifyGraphQLService', () => {
+  let service;
+
+  // Answer each GraphQL operation by its name
+  const respondTo = (responses) => jest.spyOn(service, 'graphql').mockImplementation(async (query) => {
+    const [, operation] = query.match(/(?:query|mutation) (\w+)/);
+    return responses[operation];
+  });
+
+  beforeEach(() => {
+    service = new ShopifyGraphQLService({ id: 'test', shop_domain: 'test-store.myshopify.com', access_token: 'shpat_test' });
+  });
+
+  it('records the cancel reason once, in the order note', async () => {
+    const graphql = respondTo({ CancelOrder: { orderCancel: { job: { id: 'gid://shopify/Job/1' }, orderCancelUserErrors: [] } } });
+    const addOrderNote = jest.spyOn(service, 'addOrderNote').mockResolvedValue({});
+
+    await service.cancelOrder(5001, 'Replaced by split orders');
+
+    expect(graphql.mock.calls[0][0]).not.toContain('staffNote');
+    expect(addOrderNote).toHaveBeenCalledTimes(1);
+    expect(addOrderNote).toHaveBeenCalledWith(5001, 'Replaced by split orders');
+  });
+
+  it('treats a draft order that is already gone as deleted', async () => {
+    respondTo({
+      DeleteDraftOrder: { draftOrderDelete: { deletedId: null, userErrors: [{ field: ['id'], message: 'Draft order does not exist' }] } },
+      GetDraftOrder: { draftOrder: null }
+    });
+
+    await expect(service.deleteDraftOrder(9001)).resolves.toBeUndefined();
+  });
+
+  it('reports draft order deletes that fail for another reason', async () => {
+    respondTo({
+      DeleteDraftOrder: { draftOrderDelete: { deletedId: null, userErrors: [{ field: ['id'], message: 'Draft order is being completed' }] } },
+      GetDraftOrder: { draftOrder: { id: 'gid://shopify/DraftOrder/9001', status: 'OPEN' } }
+    });
+
+    await expect(service.deleteDraftOrder(9001)).rejects.toMatchObject({ statusCode: 422 });
+  });
+});
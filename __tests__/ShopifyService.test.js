@@ -0,0 +1,23 @@
+const { loadApp } = require('./helpers/sandboxApp');
+
+describe('ShopifyService deletes', () => {
+  let sandbox;
+
+  beforeEach(() => {
+    ({ sandbox } = loadApp());
+  });
+
+  it('treats a metafield that is already gone as deleted', async () => {
+    await expect(sandbox.deleteMetafield(5001, 999999)).resolves.toBeUndefined();
+  });
+
+  it('treats a draft order that is already gone as deleted', async () => {
+    await expect(sandbox.deleteDraftOrder(999999)).resolves.toBeUndefined();
+  });
+
+  it('still reports other failures', async () => {
+    jest.spyOn(sandbox.api, 'delete').mockRejectedValue(Object.assign(new Error('Service Unavailable'), { response: { status: 503 } }));
+
+    await expect(sandbox.deleteMetafield(5001, 1)).rejects.toThrow('Service Unavailable');
+  });
+});
@@ -0,0 +1,66 @@
+const {
+  normalizeStreet,
+  normalizeUnit,
+  normalizeProvince,
+  normalizeZip,
+  addressKey,
+  explainMerge
+} = require('../services/addressNormalizer');
+
+describe('addressNormalizer', () => {
+  it('abbreviates street suffixes and directionals and strips punctuation', () => {
+    expect(normalizeStreet('123 North Main Street.')).toEqual({ street: '123 N MAIN ST', unit: '' });
+  });
+
+  it('separates a unit written on the street line', () => {
+    expect(normalizeStreet('123 Main St Apt4B')).toEqual({ street: '123 MAIN ST', unit: '# 4B' });
+  });
+
+  it('treats generic unit designators as the same door', () => {
+    expect(normalizeUnit('Apartment 4B')).toBe('# 4B');
+    expect(normalizeUnit('Suite 4B')).toBe('# 4B');
+    expect(normalizeUnit('#4B')).toBe('# 4B');
+    expect(normalizeUnit('4B')).toBe('# 4B');
+    expect(normalizeUnit('Floor 2')).toBe('FL 2');
+    expect(normalizeUnit('')).toBe('');
+  });
+
+  it('turns province names into codes', () => {
+    expect(normalizeProvince('Texas', 'US')).toBe('TX');
+    expect(normalizeProvince('tx', 'US')).toBe('TX');
+    expect(normalizeProvince('Québec', 'CA')).toBe('QC');
+  });
+
+  it('normalizes postal codes by country', () => {
+    expect(normalizeZip('78701-1234', 'US')).toBe('78701');
+    expect(normalizeZip('k1a0b1', 'CA')).toBe('K1A 0B1');
+    expect(normalizeZip('sw1a 1aa', 'GB')).toBe('SW1A1AA');
+  });
+
+  it('gives the same key to differently written copies of one address', () => {
+    const entered = {
+      first_name: 'Ann', last_name: 'Lee', address1: '1 Elm Street', address2: 'Apt 2',
+      city: 'Austin', province: 'Texas', zip: '78701-0001', country: 'US'
+    };
+    const retyped = {
+      first_name: 'ann', last_name: 'lee', address1: '1 elm st #2',
+      city: 'AUSTIN', province: 'TX', zip: '78701', country: 'us'
+    };
+
+    expect(addressKey(entered)).toBe(addressKey(retyped));
+    expect(addressKey(entered)).not.toBe(addressKey({ ...entered, address2: 'Apt 3' }));
+  });
+
+  it('explains which fields were merged', () => {
+    const reasons = explainMerge([
+      { first_name: 'Ann', address1: '1 Elm Street', city: 'Austin', province: 'TX', zip: '78701', country: 'US' },
+      { first_name: 'Ann', address1: '1 Elm St', city: 'Austin', province: 'TX', zip: '78701', country: 'US' }
+    ]);
+
+    expect(reasons).toEqual([expect.objectContaining({
+      field: 'street',
+      values: ['1 Elm Street', '1 Elm St'],
+      normalized: '1 ELM ST'
+    })]);
+  });
+});
@@ -0,0 +1,90 @@
+const request = require('supertest');
+const { API_KEY, A, B, loadApp } = require('./helpers/sandboxApp');
+
+describe('PUT /api/multi-address/addresses/:orderId', () => {
+  let app;
+
+  const call = (method, path, body) => request(app)[method](`/api/multi-address${path}`)
+    .set('X-API-Key', API_KEY)
+    .send(body);
+
+  const oneAddress = [
+    { line_item_id: 6001, quantity: 4, address: A },
+    { line_item_id: 6002, quantity: 2, address: A }
+  ];
+
+  const twoAddresses = [
+    { line_item_id: 6001, quantity: 4, address: A },
+    { line_item_id: 6002, quantity: 2, address: B }
+  ];
+
+  describe('with extra shipping charged per shipment', () => {
+    beforeEach(async () => {
+      ({ app } = loadApp({ EXTRA_SHIPPING_MODE: 'per_shipment', EXTRA_SHIPPING_PER_SHIPMENT: '5.00' }));
+
+      const res = await call('post', '/save', { order_id: 5001, save_method: 'metafields', line_items: oneAddress });
+      expect(res.status).toBe(200);
+    });
+
+    it('holds an update that adds a shipment until the invoice is paid', async () => {
+      const res = await call('put', '/addresses/5001', { order_id: 5001, line_items: twoAddresses });
+
+      expect(res.status).toBe(202);
+      expect(res.body.data.pending_payment.amount).toBe('5.00');
+
+      const addresses = await call('get', '/addresses/5001');
+      expect(addresses.body.data.addresses.map(lineItem => lineItem.shipping_address.first_name)).toEqual(['Ann', 'Ann']);
+    });
+
+    it('refuses updates and restores while an invoice is pending', async () => {
+      await call('put', '/addresses/5001', { order_id: 5001, line_items: twoAddresses });
+
+      const update = await call('put', '/addresses/5001', { order_id: 5001, line_items: oneAddress });
+      expect(update.status).toBe(409);
+      expect(update.body.details.pending_payment.status).toBe('pending_payment');
+
+      const restore = await call('post', '/addresses/5001/history/1/restore');
+      expect(restore.status).toBe(409);
+    });
+
+    it('saves an update that needs no extra shipping', async () => {
+      const res = await call('put', '/addresses/5001', { order_id: 5001, line_items: oneAddress });
+
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe('on a split order', () => {
+    beforeEach(async () => {
+      ({ app } = loadApp());
+
+      const res = await call('post', '/save', { order_id: 5001, save_method: 'split_orders', line_items: twoAddresses });
+      expect(res.status).toBe(200);
+    });
+
+    it('refuses updates and restores until the order is unsplit', async () => {
+      const update = await call('put', '/addresses/5001', { order_id: 5001, line_items: oneAddress });
+      expect(update.status).toBe(409);
+      expect(update.body.error).toMatch(/unsplit it/);
+
+      const restore = await call('post', '/addresses/5001/history/1/restore');
+      expect(restore.status).toBe(409);
+
+      expect((await call('post', '/unsplit/5001')).status).toBe(200);
+
+      const retry = await call('put', '/addresses/5001', { order_id: 5001, line_items: oneAddress });
+      expect(retry.status).toBe(200);
+    });
+  });
+
+  it('refuses orders that are not multi-address', async () => {
+    ({ app } = loadApp());
+
+    const res = await call('put', '/addresses/5002', {
+      order_id: 5002,
+      line_items: [{ line_item_id: 6003, quantity: 1, address: A }]
+    });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,60 @@
+const { getCountryRules, countriesRequiring, findProvinceCode } = require('../validators/countryRules');
+const { validateAddress } = require('../validators/addressValidator');
+
+describe('country rules', () => {
+  const address = {
+    first_name: 'Ann',
+    last_name: 'Lee',
+    address1: '1 Elm St',
+    city: 'Austin',
+    province: 'TX',
+    zip: '78701',
+    country: 'US'
+  };
+
+  const messages = (result) => (result.error ? result.error.details.map(detail => detail.message) : []);
+
+  it('falls back to the shared fields for unlisted countries', () => {
+    expect(getCountryRules('zz')).toEqual({ name: null, required: [], code: 'ZZ' });
+  });
+
+  it('lists the countries that require a field', () => {
+    expect(countriesRequiring('province')).toEqual(expect.arrayContaining(['US', 'CA', 'AU']));
+    expect(countriesRequiring('province')).not.toContain('GB');
+    expect(countriesRequiring('zip')).not.toContain('HK');
+  });
+
+  it('finds province codes by code or name', () => {
+    expect(findProvinceCode('US', 'texas')).toBe('TX');
+    expect(findProvinceCode('ca', 'Québec')).toBe('QC');
+    expect(findProvinceCode('US', 'Ontario')).toBeNull();
+    expect(findProvinceCode('GB', 'Kent')).toBeNull();
+  });
+
+  it('stores province names as their code', () => {
+    const result = validateAddress({ ...address, province: 'Texas' });
+
+    expect(result.error).toBeUndefined();
+    expect(result.value.province).toBe('TX');
+  });
+
+  it('rejects provinces that are not in the country', () => {
+    expect(messages(validateAddress({ ...address, province: 'Ontario' })))
+      .toEqual([expect.stringContaining('must be a state of United States')]);
+  });
+
+  it('rejects postal codes in the wrong format', () => {
+    expect(messages(validateAddress({ ...address, zip: '7870' })))
+      .toEqual([expect.stringContaining('ZIP code format')]);
+    expect(messages(validateAddress({ ...address, country: 'CA', province: 'ON', zip: 'K1A0B1' }))).toEqual([]);
+  });
+
+  it('only requires a province and postal code where the country uses them', () => {
+    const { province, zip, ...withoutProvinceOrZip } = address;
+
+    expect(messages(validateAddress(withoutProvinceOrZip))).toHaveLength(2);
+    expect(messages(validateAddress({ ...withoutProvinceOrZip, country: 'GB' })))
+      .toEqual([expect.stringContaining('required for GB addresses')]);
+    expect(messages(validateAddress({ ...withoutProvinceOrZip, country: 'HK' }))).toEqual([]);
+  });
+});
@@ -0,0 +1,16 @@
+const { fingerprint } = require('../services/fingerprint');
+
+describe('fingerprint', () => {
+  it('ignores the order of object keys at any depth', () => {
+    const payload = { order_id: 1, line_items: [{ line_item_id: 2, quantity: 1, address: { city: 'Austin', zip: '78701' } }] };
+    const reordered = { line_items: [{ address: { zip: '78701', city: 'Austin' }, quantity: 1, line_item_id: 2 }], order_id: 1 };
+
+    expect(fingerprint(reordered)).toBe(fingerprint(payload));
+  });
+
+  it('tells different payloads apart', () => {
+    expect(fingerprint({ line_items: [1, 2] })).not.toBe(fingerprint({ line_items: [2, 1] }));
+    expect(fingerprint({ quantity: 1 })).not.toBe(fingerprint({ quantity: 2 }));
+    expect(fingerprint(undefined)).toBe(fingerprint(null));
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Sandbox App
+ *
+ * Loads a fresh copy of the app backed by the sandbox store, so each test
+ * starts from the fixture orders with empty local state.
+ */
+
+const API_KEY = 'test-api-key';
+const JWT_SECRET = 'test-jwt-secret';
+
+const A = { first_name: 'Ann', last_name: 'Lee', address1: '1 Elm St', city: 'Austin', province: 'TX', zip: '78701', country: 'US' };
+const B = { ...A, first_name: 'Bob', address1: '2 Oak St' };
+
+/**
+ * Require the app with sandbox configuration
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Object} { app, sandbox } where sandbox is a ShopifySandboxService
+ */
+const loadApp = (env = {}) => {
+  jest.resetModules();
+
+  ['SHOPIFY_STORE_URL', 'SHOPIFY_ACCESS_TOKEN', 'SHOPIFY_TENANTS', 'SHOPIFY_TENANTS_FILE',
+    'SHOPIFY_WEBHOOK_SECRET', 'DATA_DIR', 'SMTP_HOST', 'EMAIL_TRANSPORT',
+    'EXTRA_SHIPPING_MODE', 'EXTRA_SHIPPING_PER_SHIPMENT'].forEach(name => delete process.env[name]);
+
+  Object.assign(process.env, {
+    SHOPIFY_API_MODE: 'sandbox',
+    API_KEY,
+    JWT_SECRET,
+    RATE_LIMIT_MAX_REQUESTS: '10000',
+    ...env
+  });
+
+  // Expected Shopify errors would drown the test output (request logs are off under test)
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const app = require('../../server');
+  const ShopifySandboxService = require('../../services/ShopifySandboxService');
+
+  return { app, sandbox: new ShopifySandboxService() };
+};
+
+module.exports = {
+  API_KEY,
+  JWT_SECRET,
+  A,
+  B,
+  loadApp
+};
@@ -0,0 +1,97 @@
+const { EventEmitter } = require('events');
+
+describe('idempotency middleware', () => {
+  let idempotency;
+
+  const createRequest = (key, body) => ({
+    method: 'POST',
+    baseUrl: '/api/multi-address',
+    path: '/save',
+    body,
+    get: (name) => (name === 'Idempotency-Key' ? key : undefined)
+  });
+
+  const createResponse = () => {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.headers = {};
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = (body) => {
+      res.body = body;
+      res.writableFinished = true;
+      return res;
+    };
+    res.set = (name, value) => {
+      res.headers[name] = value;
+      return res;
+    };
+    return res;
+  };
+
+  // Run a request through the middleware, letting the handler respond when it is reached
+  const send = (key, body, handler = (res) => res.status(200).json({ success: true, body })) => {
+    const res = createResponse();
+    const next = jest.fn(() => handler(res));
+
+    idempotency(createRequest(key, body), res, next);
+    res.emit('close');
+
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    ({ idempotency } = require('../middleware/idempotency'));
+  });
+
+  it('passes requests without a key straight through', () => {
+    const { res, next } = send(undefined, { order_id: 1 });
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.headers['Idempotent-Replayed']).toBeUndefined();
+  });
+
+  it('rejects keys that are too long', () => {
+    const { res, next } = send('k'.repeat(256), { order_id: 1 });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('replays the stored response for a repeated request', () => {
+    const first = send('key-1', { order_id: 1 });
+    const repeat = send('key-1', { order_id: 1 });
+
+    expect(first.next).toHaveBeenCalledTimes(1);
+    expect(repeat.next).not.toHaveBeenCalled();
+    expect(repeat.res.statusCode).toBe(200);
+    expect(repeat.res.body).toEqual(first.res.body);
+    expect(repeat.res.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('rejects a key reused with a different payload', () => {
+    send('key-1', { order_id: 1 });
+    const { res, next } = send('key-1', { order_id: 2 });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('rejects a repeat while the first request is still running', () => {
+    idempotency(createRequest('key-1', { order_id: 1 }), createResponse(), jest.fn());
+    const { res, next } = send('key-1', { order_id: 1 });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('lets a request that failed with a server error be retried', () => {
+    send('key-1', { order_id: 1 }, (res) => res.status(502).json({ success: false }));
+    const { next } = send('key-1', { order_id: 1 });
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
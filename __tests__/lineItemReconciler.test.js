@@ -0,0 +1,66 @@
+const { reconcileLineItems, RECONCILIATION_ERRORS } = require('../validators/lineItemReconciler');
+
+describe('reconcileLineItems', () => {
+  const order = {
+    id: 1001,
+    name: '#1001',
+    line_items: [
+      { id: 1, title: 'Cookie tin', quantity: 4, requires_shipping: true },
+      { id: 2, title: 'Brownies', quantity: 3, current_quantity: 2, requires_shipping: true },
+      { id: 3, title: 'Gift card', quantity: 1, requires_shipping: false }
+    ]
+  };
+
+  it('accepts items that fit the purchased quantities and reports what is left', () => {
+    const result = reconcileLineItems(order, [
+      { line_item_id: 1, quantity: 2 },
+      { line_item_id: 1, quantity: 1 },
+      { line_item_id: 2, quantity: 2 }
+    ]);
+
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.unassigned).toEqual([{
+      line_item_id: 1,
+      title: 'Cookie tin',
+      purchased_quantity: 4,
+      assigned_quantity: 3,
+      unassigned_quantity: 1
+    }]);
+  });
+
+  it('rejects line items that are not on the order', () => {
+    const result = reconcileLineItems(order, [{ line_item_id: 99, quantity: 1 }]);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([expect.objectContaining({
+      line_item_id: 99,
+      index: 0,
+      code: RECONCILIATION_ERRORS.UNKNOWN_LINE_ITEM
+    })]);
+  });
+
+  it('rejects line items that do not require shipping', () => {
+    const result = reconcileLineItems(order, [{ line_item_id: 3, quantity: 1 }]);
+
+    expect(result.errors).toEqual([expect.objectContaining({
+      line_item_id: 3,
+      code: RECONCILIATION_ERRORS.NOT_SHIPPABLE
+    })]);
+  });
+
+  it('counts removed units when checking for over-allocation', () => {
+    const result = reconcileLineItems(order, [
+      { line_item_id: 2, quantity: 2 },
+      { line_item_id: 2, quantity: 1 }
+    ]);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([expect.objectContaining({
+      line_item_id: 2,
+      code: RECONCILIATION_ERRORS.OVER_ALLOCATED,
+      purchased_quantity: 2,
+      assigned_quantity: 3
+    })]);
+  });
+});
@@ -0,0 +1,40 @@
+const { toCents, formatCents, sumAllocations, paidShipping } = require('../services/money');
+
+describe('money', () => {
+  it('converts between amounts and cents without float drift', () => {
+    expect(toCents('19.99')).toBe(1999);
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(toCents(null)).toBe(0);
+    expect(formatCents(1999)).toBe('19.99');
+    expect(formatCents(5)).toBe('0.05');
+  });
+
+  it('sums discount allocations', () => {
+    expect(sumAllocations([{ amount: '1.50' }, { amount: '0.25' }])).toBe(175);
+    expect(sumAllocations()).toBe(0);
+  });
+
+  describe('paidShipping', () => {
+    it('takes shipping discounts off the shipping lines', () => {
+      expect(paidShipping({
+        shipping_lines: [
+          { price: '10.00', discount_allocations: [{ amount: '4.00' }] },
+          { price: '1.05' }
+        ],
+        total_shipping_price_set: { shop_money: { amount: '11.05' } }
+      })).toBe(705);
+    });
+
+    it('counts free shipping codes as nothing paid', () => {
+      expect(paidShipping({
+        shipping_lines: [{ price: '9.95', discount_allocations: [{ amount: '9.95' }] }],
+        total_shipping_price_set: { shop_money: { amount: '9.95' } }
+      })).toBe(0);
+    });
+
+    it('falls back to the shipping total without shipping lines', () => {
+      expect(paidShipping({ total_shipping_price_set: { shop_money: { amount: '5.00' } } })).toBe(500);
+      expect(paidShipping({})).toBe(0);
+    });
+  });
+});
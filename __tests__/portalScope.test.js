@@ -0,0 +1,98 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { API_KEY, JWT_SECRET, A, loadApp } = require('./helpers/sandboxApp');
+
+describe('portal tokens', () => {
+  let app;
+
+  const issueToken = async (orderId) => {
+    const res = await request(app)
+      .post('/api/multi-address/portal-tokens')
+      .set('X-API-Key', API_KEY)
+      .send({ order_id: orderId });
+
+    expect(res.status).toBe(201);
+    return res.body.data.token;
+  };
+
+  const asPortal = (token, method, path) => request(app)[method](`/api/multi-address${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(() => {
+    ({ app } = loadApp({ PORTAL_URL: 'https://shop.example.com/pages/ship' }));
+  });
+
+  it('issues a token and magic link for an order', async () => {
+    const res = await request(app)
+      .post('/api/multi-address/portal-tokens')
+      .set('X-API-Key', API_KEY)
+      .send({ order_id: 5001 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.portal_link).toContain('order_id=5001');
+    expect(jwt.decode(res.body.data.token)).toMatchObject({ order_id: '5001', customer_id: '7001' });
+  });
+
+  it('reads its own order and customer', async () => {
+    const token = await issueToken(5001);
+
+    expect((await asPortal(token, 'get', '/order/5001')).status).toBe(200);
+    expect((await asPortal(token, 'get', '/customers/7001/recipients')).status).toBe(200);
+  });
+
+  it('is refused for other orders and customers', async () => {
+    const token = await issueToken(5001);
+
+    expect((await asPortal(token, 'get', '/order/5002')).status).toBe(403);
+    expect((await asPortal(token, 'get', '/customers/7002/recipients')).status).toBe(403);
+
+    const save = await asPortal(token, 'post', '/save')
+      .send({ order_id: 5003, line_items: [{ line_item_id: 6005, quantity: 6, address: A }] });
+    expect(save.status).toBe(403);
+  });
+
+  it('is refused on staff-only endpoints', async () => {
+    const token = await issueToken(5001);
+
+    expect((await asPortal(token, 'get', '/pending')).status).toBe(403);
+    expect((await asPortal(token, 'post', '/unsplit/5001')).status).toBe(403);
+    expect((await asPortal(token, 'post', '/portal-tokens').send({ order_id: 5001 })).status).toBe(403);
+  });
+
+  it('rejects expired and forged tokens', async () => {
+    const claims = { tenant_id: 'default', order_id: '5001', customer_id: '7001' };
+    const options = { issuer: 'multi-address-backend', audience: 'multi-address-portal' };
+    const expired = jwt.sign(claims, JWT_SECRET, { ...options, expiresIn: -10 });
+    const forged = jwt.sign(claims, 'not-the-secret', { ...options, expiresIn: 60 });
+
+    expect((await asPortal(expired, 'get', '/order/5001')).status).toBe(401);
+    expect((await asPortal(forged, 'get', '/order/5001')).status).toBe(401);
+  });
+
+  it('does not accept the API key in the query string', async () => {
+    const res = await request(app).get(`/api/multi-address/order/5001?api_key=${API_KEY}`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('portal invites', () => {
+  it('go to the email on the order, not the one in the webhook payload', async () => {
+    const { app } = loadApp({ PORTAL_URL: 'https://shop.example.com/pages/ship' });
+    const send = jest.fn().mockResolvedValue({ message_id: 'test' });
+    require('../services/mailer').setTransport({ name: 'test', send });
+
+    const res = await request(app)
+      .post('/webhooks/orders/create')
+      .send({ id: 5001, email: 'someone.else@example.com', note_attributes: [{ name: 'multi_address_shipping', value: 'yes' }] });
+
+    expect(res.status).toBe(200);
+
+    // The invite is sent in the background
+    for (let attempt = 0; attempt < 50 && send.mock.calls.length === 0; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'maria.gomez@example.com' }));
+  });
+});
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const { API_KEY, A, B, loadApp } = require('./helpers/sandboxApp');
+
+describe('POST /api/multi-address/save (splits)', () => {
+  let app;
+  let sandbox;
+
+  const save = (body) => request(app)
+    .post('/api/multi-address/save')
+    .set('X-API-Key', API_KEY)
+    .send(body);
+
+  const splitBody = {
+    order_id: 5001,
+    save_method: 'split_orders',
+    line_items: [
+      { line_item_id: 6001, allocations: [{ quantity: 3, address: A }, { quantity: 1, address: B }] },
+      { line_item_id: 6002, quantity: 2, address: B }
+    ]
+  };
+
+  beforeEach(() => {
+    ({ app, sandbox } = loadApp());
+  });
+
+  it('creates one order per recipient and holds the original', async () => {
+    const res = await save(splitBody);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.split_successful).toBe(true);
+    expect(res.body.data.created_orders).toHaveLength(2);
+
+    for (const createdOrder of res.body.data.created_orders) {
+      const child = await sandbox.getOrder(createdOrder.order_id);
+      expect(child.tags).toContain('multi-address-child');
+      expect(child.note_attributes).toContainEqual({ name: 'original_order_id', value: '5001' });
+    }
+
+    const original = await sandbox.getOrder(5001);
+    expect(original.tags).toContain('multi-address-parent');
+
+    const [fulfillmentOrder] = await sandbox.getFulfillmentOrders(5001);
+    expect(fulfillmentOrder.status).toBe('on_hold');
+    expect(res.body.data.held_fulfillment_orders).toEqual([fulfillmentOrder.id]);
+  });
+
+  it('returns the earlier result when the same split is repeated', async () => {
+    const first = await save(splitBody);
+    const repeat = await save(splitBody);
+
+    expect(repeat.status).toBe(200);
+    expect(repeat.body.data.already_split).toBe(true);
+    expect(repeat.body.data.created_orders.map(order => order.order_id))
+      .toEqual(first.body.data.created_orders.map(order => order.order_id));
+  });
+
+  it('rejects a second split with different line items', async () => {
+    await save(splitBody);
+
+    const res = await save({
+      ...splitBody,
+      line_items: [{ line_item_id: 6001, quantity: 4, address: A }, { line_item_id: 6002, quantity: 2, address: B }]
+    });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('puts each recipient\'s fulfillment order on hold in a fulfillment order split', async () => {
+    const res = await save({
+      order_id: 5003,
+      save_method: 'fulfillment_orders',
+      line_items: [{ line_item_id: 6005, allocations: [{ quantity: 4, address: A }, { quantity: 2, address: B }] }]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.fulfillment_orders_on_hold).toBe(true);
+    expect(res.body.data.fulfillment_note).toEqual(expect.any(String));
+
+    const fulfillmentOrders = await sandbox.getFulfillmentOrders(5003);
+    expect(fulfillmentOrders).toHaveLength(2);
+
+    for (const shipment of res.body.data.fulfillment_orders) {
+      const [id] = shipment.fulfillment_order_ids;
+      const fulfillmentOrder = fulfillmentOrders.find(fo => fo.id === id);
+
+      expect(fulfillmentOrder.status).toBe('on_hold');
+      expect(fulfillmentOrder.fulfillment_holds[0].reason_notes).toContain(shipment.shipping_address.address1);
+    }
+  });
+
+  it('refuses a fulfillment order split of a cancelled or fulfilled order', async () => {
+    const body = {
+      order_id: 5003,
+      save_method: 'fulfillment_orders',
+      line_items: [{ line_item_id: 6005, allocations: [{ quantity: 4, address: A }, { quantity: 2, address: B }] }]
+    };
+
+    await sandbox.cancelOrder(5003);
+    const cancelled = await save(body);
+    expect(cancelled.status).toBe(409);
+    expect(cancelled.body.error).toContain('has been cancelled');
+
+    ({ app, sandbox } = loadApp());
+    const [fulfillmentOrder] = await sandbox.getFulfillmentOrders(5003);
+    await sandbox.api.post('/fulfillments.json', {
+      fulfillment: { line_items_by_fulfillment_order: [{ fulfillment_order_id: fulfillmentOrder.id }] }
+    });
+    const fulfilled = await save(body);
+    expect(fulfilled.status).toBe(409);
+    expect(fulfilled.body.error).toContain('already been fulfilled');
+  });
+});
@@ -0,0 +1,60 @@
+const { priceSplitParts, prorate } = require('../services/splitPricing');
+
+describe('splitPricing', () => {
+  describe('prorate', () => {
+    it('splits to the cent, giving leftover cents to the largest remainders', () => {
+      expect(prorate(100, [1, 1, 1])).toEqual([34, 33, 33]);
+      expect(prorate(300, [2200, 1100, 500])).toEqual([174, 87, 39]);
+    });
+
+    it('splits evenly when there is nothing to weigh by', () => {
+      expect(prorate(10, [0, 0])).toEqual([5, 5]);
+    });
+  });
+
+  describe('priceSplitParts', () => {
+    const order = {
+      total_price: '41.00',
+      total_tax: '3.00',
+      taxes_included: false,
+      line_items: [
+        { id: 1, price: '10.00', quantity: 3, requires_shipping: true, discount_allocations: [{ amount: '3.00' }] },
+        { id: 2, price: '5.00', quantity: 1, requires_shipping: false, discount_allocations: [] }
+      ],
+      shipping_lines: [{ price: '10.00', discount_allocations: [{ amount: '4.00' }] }],
+      total_shipping_price_set: { shop_money: { amount: '10.00' } }
+    };
+
+    const groups = [
+      [{ line_item_id: 1, quantity: 2 }],
+      [{ line_item_id: 1, quantity: 1 }]
+    ];
+
+    it('carries discounts with their units and prorates shipping and tax', () => {
+      const pricing = priceSplitParts(order, groups);
+
+      expect(pricing.parts).toEqual([
+        { subtotal: '20.00', discount: '2.00', shipping: '4.00', tax: '1.74', total: '23.74' },
+        { subtotal: '10.00', discount: '1.00', shipping: '2.00', tax: '0.87', total: '11.87' }
+      ]);
+      expect(pricing.split_total).toBe('35.61');
+      expect(pricing.remaining_total).toBe('5.39');
+      expect(pricing.original_total).toBe('41.00');
+    });
+
+    it('only passes on shipping the customer paid after discounts', () => {
+      const freeShipping = {
+        ...order,
+        shipping_lines: [{ price: '10.00', discount_allocations: [{ amount: '10.00' }] }]
+      };
+
+      expect(priceSplitParts(freeShipping, groups).parts.map(part => part.shipping)).toEqual(['0.00', '0.00']);
+    });
+
+    it('leaves tax out of the totals when prices include it', () => {
+      const pricing = priceSplitParts({ ...order, taxes_included: true }, groups);
+
+      expect(pricing.parts.map(part => part.total)).toEqual(['22.00', '11.00']);
+    });
+  });
+});
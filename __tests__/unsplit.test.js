@@ -0,0 +1,92 @@
+const request = require('supertest');
+const { API_KEY, A, B, loadApp } = require('./helpers/sandboxApp');
+
+describe('POST /api/multi-address/unsplit/:orderId', () => {
+  let app;
+  let sandbox;
+
+  const call = (method, path, body) => request(app)[method](`/api/multi-address${path}`)
+    .set('X-API-Key', API_KEY)
+    .send(body);
+
+  const split = async () => {
+    const res = await call('post', '/save', {
+      order_id: 5001,
+      save_method: 'split_orders',
+      line_items: [
+        { line_item_id: 6001, allocations: [{ quantity: 3, address: A }, { quantity: 1, address: B }] },
+        { line_item_id: 6002, quantity: 2, address: B }
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    return res.body.data.created_orders.map(createdOrder => createdOrder.order_id);
+  };
+
+  beforeEach(() => {
+    ({ app, sandbox } = loadApp());
+  });
+
+  it('cancels the split orders and releases the original', async () => {
+    const childIds = await split();
+
+    const res = await call('post', '/unsplit/5001');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.cancelled_orders.sort()).toEqual([...childIds].sort());
+
+    for (const childId of childIds) {
+      expect((await sandbox.getOrder(childId)).cancelled_at).toBeTruthy();
+    }
+
+    const [fulfillmentOrder] = await sandbox.getFulfillmentOrders(5001);
+    expect(fulfillmentOrder.status).toBe('open');
+    expect((await sandbox.getOrder(5001)).tags).not.toContain('multi-address-parent');
+  });
+
+  it('finds the split orders when the address data is gone', async () => {
+    const childIds = await split();
+    await call('delete', '/addresses/5001');
+
+    const res = await call('post', '/unsplit/5001');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.cancelled_orders.sort()).toEqual([...childIds].sort());
+    expect(res.body.data.released_fulfillment_orders).toHaveLength(1);
+  });
+
+  it('leaves holds placed by staff alone when the split record is gone', async () => {
+    await split();
+    await call('delete', '/addresses/5001');
+
+    const [fulfillmentOrder] = await sandbox.getFulfillmentOrders(5001);
+    await sandbox.releaseFulfillmentOrderHold(fulfillmentOrder.id);
+    await sandbox.holdFulfillmentOrder(fulfillmentOrder.id, 'Waiting on fraud review');
+
+    const res = await call('post', '/unsplit/5001');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.released_fulfillment_orders).toEqual([]);
+    expect((await sandbox.getFulfillmentOrders(5001))[0].status).toBe('on_hold');
+  });
+
+  it('refuses once a split order has been fulfilled', async () => {
+    const [childId] = await split();
+    const [childFulfillmentOrder] = await sandbox.getFulfillmentOrders(childId);
+
+    await sandbox.api.post('/fulfillments.json', {
+      fulfillment: { line_items_by_fulfillment_order: [{ fulfillment_order_id: childFulfillmentOrder.id }] }
+    });
+
+    const res = await call('post', '/unsplit/5001');
+
+    expect(res.status).toBe(409);
+    expect(res.body.details.fulfilled_orders.map(order => order.order_id)).toEqual([childId]);
+  });
+
+  it('refuses an order that was never split', async () => {
+    const res = await call('post', '/unsplit/5001');
+
+    expect(res.status).toBe(409);
+  });
+});
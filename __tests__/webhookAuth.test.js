@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { validateShopifyWebhook } = require('../middleware/auth');
+
+describe('validateShopifyWebhook', () => {
+  const secret = 'webhook-secret';
+  const rawBody = Buffer.from(JSON.stringify({ id: 5001 }));
+  const sign = (body) => crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+  const createResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const run = (req) => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    validateShopifyWebhook({ headers: {}, rawBody, ...req }, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => {
+    process.env.SHOPIFY_WEBHOOK_SECRET = secret;
+  });
+
+  afterEach(() => {
+    delete process.env.SHOPIFY_WEBHOOK_SECRET;
+  });
+
+  it('accepts a body signed with the webhook secret', () => {
+    const { next } = run({ headers: { 'x-shopify-hmac-sha256': sign(rawBody) } });
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects requests without a signature', () => {
+    const { res, next } = run({});
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('rejects a signature over a different body', () => {
+    const { res, next } = run({ headers: { 'x-shopify-hmac-sha256': sign('{"id":5002}') } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('refuses webhooks when no secret is configured', () => {
+    delete process.env.SHOPIFY_WEBHOOK_SECRET;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { res, next } = run({ headers: { 'x-shopify-hmac-sha256': sign(rawBody) } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+  });
+
+  it('accepts unsigned webhooks for a sandbox store', () => {
+    delete process.env.SHOPIFY_WEBHOOK_SECRET;
+
+    const { next } = run({ tenant: { id: 'sandbox', api_mode: 'sandbox' } });
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,22 +1,34 @@
 /**
  * Authentication Middleware
  * 
- * Validates API keys and ensures secure access to the multi-address endpoints
+ * Validates API keys and customer portal tokens and ensures secure access to
+ * the multi-address endpoints
  */
 
+const crypto = require('crypto');
+const { ApiError } = require('./errorHandler');
+const { getTenants, findTenantByApiKey } = require('../services/tenantRegistry');
+const { verifyPortalToken } = require('../services/portalTokens');
+
 /**
  * Validate API Key middleware
+ *
+ * Accepts the global API_KEY or a key listed in a tenant's api_keys. A tenant
+ * key also pins the request to that tenant (req.authenticatedTenantId).
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 const validateApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.query.api_key;
+  // Header only: keys in query strings end up in logs and browser history
+  const apiKey = req.headers['x-api-key'];
   const expectedApiKey = process.env.API_KEY;
+  const tenantKeysConfigured = getTenants().some(tenant => tenant.api_keys.length > 0);
 
   // Skip validation in development mode if no API key is set
-  if (process.env.NODE_ENV === 'development' && !expectedApiKey) {
+  if (process.env.NODE_ENV === 'development' && !expectedApiKey && !tenantKeysConfigured) {
     console.warn('⚠️  Warning: API key validation is disabled in development mode');
+    req.actor = { type: 'anonymous', id: null };
     return next();
   }
 
@@ -24,11 +36,13 @@ const validateApiKey = (req, res, next) => {
     return res.status(401).json({
       success: false,
       error: 'API key is required',
-      message: 'Please provide an API key in the X-API-Key header or api_key query parameter'
+      message: 'Please provide an API key in the X-API-Key header or a portal token in the Authorization header'
     });
   }
 
-  if (apiKey !== expectedApiKey) {
+  const keyTenant = findTenantByApiKey(apiKey);
+
+  if (apiKey !== expectedApiKey && !keyTenant) {
     return res.status(403).json({
       success: false,
       error: 'Invalid API key',
@@ -36,26 +50,127 @@ const validateApiKey = (req, res, next) => {
     });
   }
 
+  if (keyTenant && apiKey !== expectedApiKey) {
+    req.authenticatedTenantId = keyTenant.id;
+  }
+
+  // Identify the caller for audit entries without storing the key itself
+  req.actor = {
+    type: 'api_key',
+    id: `key_${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 12)}`
+  };
+
+  next();
+};
+
+/**
+ * Validate a customer portal token (Authorization: Bearer <token>)
+ *
+ * The token pins the request to its tenant and sets req.portal to its scope
+ * ({ tenant_id, order_id, customer_id }); routes check what they touch
+ * against it with assertPortalScope.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validatePortalToken = (req, res, next) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+
+  let scope;
+  try {
+    scope = verifyPortalToken(token);
+  } catch (error) {
+    return res.status(error.statusCode || 401).json({
+      success: false,
+      error: error.message,
+      message: 'Please open the portal from the link in your order email again'
+    });
+  }
+
+  req.portal = scope;
+  req.authenticatedTenantId = scope.tenant_id;
+  req.actor = { type: 'customer', id: scope.customer_id || `order_${scope.order_id}` };
+
+  next();
+};
+
+/**
+ * Authenticate a request with a portal token or an API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticate = (req, res, next) => {
+  if (/^Bearer\s/i.test(req.headers.authorization || '')) {
+    return validatePortalToken(req, res, next);
+  }
+  return validateApiKey(req, res, next);
+};
+
+/**
+ * Reject portal tokens on staff-only endpoints
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireApiKey = (req, res, next) => {
+  if (req.portal) {
+    return next(new ApiError('This endpoint requires an API key', 403));
+  }
   next();
 };
 
 /**
- * Validate Shopify webhook signature (for future webhook implementations)
+ * Check that a portal token covers an order and customer; API key requests
+ * are not limited
+ * @param {Object} req - Express request object
+ * @param {Object} scope - What the request touches
+ * @param {string|number} [scope.orderId] - Order ID
+ * @param {string|number} [scope.customerId] - Customer ID
+ */
+const assertPortalScope = (req, { orderId, customerId } = {}) => {
+  if (!req.portal) {
+    return;
+  }
+
+  if (orderId !== undefined && String(orderId) !== req.portal.order_id) {
+    throw new ApiError('This portal link is for a different order', 403);
+  }
+
+  if (customerId !== undefined && (!req.portal.customer_id || String(customerId) !== req.portal.customer_id)) {
+    throw new ApiError('This portal link is for a different customer', 403);
+  }
+};
+
+/**
+ * Validate Shopify webhook signature
+ *
+ * The HMAC is computed over the raw request body captured by the JSON body
+ * parser (req.rawBody); re-serializing req.body does not reproduce Shopify's bytes.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 const validateShopifyWebhook = (req, res, next) => {
-  const crypto = require('crypto');
-  const webhookSecret = process.env.SHOPIFY_WEBHOOK_SECRET;
+  const webhookSecret = req.tenant?.webhook_secret || process.env.SHOPIFY_WEBHOOK_SECRET;
   
   if (!webhookSecret) {
-    console.warn('⚠️  Warning: Shopify webhook secret not configured');
-    return next();
+    // Unsigned webhooks can delete address data and send portal links, so only
+    // the sandbox (which has no real store behind it) accepts them
+    const apiMode = (req.tenant?.api_mode || process.env.SHOPIFY_API_MODE || 'rest').toLowerCase();
+
+    if (apiMode === 'sandbox') {
+      return next();
+    }
+
+    console.error(`Rejected webhook for tenant ${req.tenant?.id}: no webhook secret configured`);
+    return res.status(503).json({
+      success: false,
+      error: 'Webhook secret is not configured'
+    });
   }
 
   const signature = req.headers['x-shopify-hmac-sha256'];
-  const body = JSON.stringify(req.body);
   
   if (!signature) {
     return res.status(401).json({
@@ -64,12 +179,23 @@ const validateShopifyWebhook = (req, res, next) => {
     });
   }
 
+  if (!req.rawBody) {
+    return res.status(400).json({
+      success: false,
+      error: 'Webhook body could not be read'
+    });
+  }
+
   const calculatedSignature = crypto
     .createHmac('sha256', webhookSecret)
-    .update(body, 'utf8')
+    .update(req.rawBody)
     .digest('base64');
 
-  if (signature !== calculatedSignature) {
+  const signatureBuffer = Buffer.from(signature, 'utf8');
+  const calculatedBuffer = Buffer.from(calculatedSignature, 'utf8');
+
+  if (signatureBuffer.length !== calculatedBuffer.length ||
+      !crypto.timingSafeEqual(signatureBuffer, calculatedBuffer)) {
     return res.status(403).json({
       success: false,
       error: 'Invalid webhook signature'
@@ -80,6 +206,10 @@ const validateShopifyWebhook = (req, res, next) => {
 };
 
 module.exports = {
+  authenticate,
   validateApiKey,
+  validatePortalToken,
+  requireApiKey,
+  assertPortalScope,
   validateShopifyWebhook
 };
@@ -8,10 +8,11 @@
  * Custom error class for API errors
  */
 class ApiError extends Error {
-  constructor(message, statusCode = 500, isOperational = true) {
+  constructor(message, statusCode = 500, isOperational = true, details = null) {
     super(message);
     this.statusCode = statusCode;
     this.isOperational = isOperational;
+    this.details = details;
     this.name = 'ApiError';
 
     Error.captureStackTrace(this, this.constructor);
@@ -63,6 +64,11 @@ const errorHandler = (err, req, res, next) => {
     error = new ApiError(message, 400);
   }
 
+  // File upload errors (size limits, unexpected fields)
+  if (err.name === 'MulterError') {
+    error = new ApiError(err.message, 400);
+  }
+
   // Shopify API errors
   if (err.response && err.response.data) {
     const shopifyError = err.response.data;
@@ -82,7 +88,8 @@ const errorHandler = (err, req, res, next) => {
     ...(process.env.NODE_ENV === 'development' && {
       stack: err.stack,
       details: error
-    })
+    }),
+    ...(error.details && { details: error.details })
   });
 };
 
@@ -0,0 +1,105 @@
+/**
+ * Idempotency Middleware
+ *
+ * Lets clients safely retry write requests by sending an Idempotency-Key header.
+ * The first response for a key is stored and replayed for repeats; reusing a key
+ * with a different payload is rejected.
+ */
+
+const LocalStore = require('../services/LocalStore');
+const { fingerprint } = require('../services/fingerprint');
+
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency-Key middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const idempotency = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const store = LocalStore.collection('idempotency_keys');
+  const storeKey = `${req.tenant?.id || 'default'} ${req.method} ${req.baseUrl}${req.path} ${key}`;
+  const requestFingerprint = fingerprint(req.body);
+  const ttlMs = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+
+  let existing = store.get(storeKey);
+
+  if (existing && Date.now() - new Date(existing.created_at).getTime() > ttlMs) {
+    store.delete(storeKey);
+    existing = null;
+  }
+
+  if (existing) {
+    if (existing.fingerprint !== requestFingerprint) {
+      return res.status(409).json({
+        success: false,
+        error: 'Idempotency-Key has already been used with a different request payload'
+      });
+    }
+
+    if (existing.status === 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        error: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response.status).json(existing.response.body);
+  }
+
+  store.set(storeKey, {
+    key,
+    fingerprint: requestFingerprint,
+    status: 'in_progress',
+    created_at: new Date().toISOString()
+  });
+
+  // Capture the response body so it can be replayed
+  const originalJson = res.json.bind(res);
+  let responseBody;
+
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  res.on('close', () => {
+    // Server errors and aborted requests are not stored so the client can retry them
+    if (!res.writableFinished || res.statusCode >= 500 || responseBody === undefined) {
+      store.delete(storeKey);
+      return;
+    }
+
+    store.set(storeKey, {
+      ...store.get(storeKey),
+      status: 'completed',
+      response: {
+        status: res.statusCode,
+        body: responseBody
+      },
+      completed_at: new Date().toISOString()
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
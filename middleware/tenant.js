@@ -0,0 +1,74 @@
+/**
+ * Tenant Middleware
+ *
+ * Resolves which Shopify store (tenant) a request is for and attaches it as
+ * req.tenant. The tenant comes from a tenant-specific API key or a portal
+ * token, the X-Shopify-Shop-Domain header (also sent by Shopify on webhooks),
+ * or the default tenant.
+ */
+
+const {
+  getTenantById,
+  findTenantByShopDomain,
+  getDefaultTenant,
+  normalizeShopDomain
+} = require('../services/tenantRegistry');
+
+/**
+ * Resolve tenant middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const resolveTenant = (req, res, next) => {
+  const shopDomain = req.get('X-Shopify-Shop-Domain');
+  let tenant = null;
+
+  if (req.authenticatedTenantId) {
+    tenant = getTenantById(req.authenticatedTenantId);
+
+    if (!tenant) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unknown shop',
+        message: 'The portal token was issued for a store that is no longer configured'
+      });
+    }
+
+    if (shopDomain && normalizeShopDomain(shopDomain) !== tenant.shop_domain) {
+      const credential = req.portal ? 'portal token' : 'API key';
+      return res.status(403).json({
+        success: false,
+        error: `${credential.replace(/^./, c => c.toUpperCase())} is not valid for this shop`,
+        message: `The provided ${credential} does not belong to ${shopDomain}`
+      });
+    }
+  } else if (shopDomain) {
+    tenant = findTenantByShopDomain(shopDomain);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        error: 'Unknown shop',
+        message: `No store is configured for ${shopDomain}`
+      });
+    }
+  } else {
+    tenant = getDefaultTenant();
+
+    if (!tenant) {
+      return res.status(400).json({
+        success: false,
+        error: 'Shop could not be determined',
+        message: 'Please provide the shop in the X-Shopify-Shop-Domain header'
+      });
+    }
+  }
+
+  req.tenant = tenant;
+  next();
+};
+
+module.exports = {
+  resolveTenant
+};
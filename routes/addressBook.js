@@ -0,0 +1,139 @@
+/**
+ * Address Book Routes
+ *
+ * Saved recipients for a Shopify customer
+ * (mounted at /api/multi-address/customers/:customerId/recipients)
+ */
+
+const express = require('express');
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const createShopifyService = require('../services/createShopifyService');
+const AddressBook = require('../services/AddressBook');
+const { validateRecipient, formatValidationErrors } = require('../validators/addressValidator');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Check the customer ID route parameter
+ */
+router.use((req, res, next) => {
+  if (!/^\d+$/.test(req.params.customerId)) {
+    return next(new ApiError('Customer ID must be a valid number', 400));
+  }
+  next();
+});
+
+/**
+ * Validate a recipient request body
+ * @param {Object} body - Request body
+ * @returns {Object} Validated recipient
+ */
+const parseRecipient = (body) => {
+  const { error, value } = validateRecipient(body);
+  if (error) {
+    throw new ApiError(`Validation error: ${error.details.map(d => d.message).join(', ')}`, 400, true, {
+      errors: formatValidationErrors(error)
+    });
+  }
+  return value;
+};
+
+/**
+ * List a customer's saved recipients, seeding the book from past orders the
+ * first time it is read
+ * GET /api/multi-address/customers/:customerId/recipients
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { customerId } = req.params;
+  const addressBook = new AddressBook(req.tenant.id);
+  let seeded = null;
+
+  if (!addressBook.exists(customerId)) {
+    try {
+      seeded = await addressBook.importFromOrders(customerId, createShopifyService(req.tenant));
+    } catch (error) {
+      // The book stays unseeded and seeding is tried again on the next read
+      console.error(`Failed to seed address book for customer ${customerId}:`, error.message);
+    }
+  }
+
+  const recipients = addressBook.list(customerId);
+
+  res.json({
+    success: true,
+    data: {
+      customer_id: customerId,
+      recipients,
+      count: recipients.length,
+      ...(seeded && { seeded })
+    }
+  });
+}));
+
+/**
+ * Save a recipient
+ * POST /api/multi-address/customers/:customerId/recipients
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const recipient = parseRecipient(req.body);
+  const saved = new AddressBook(req.tenant.id).add(req.params.customerId, recipient);
+
+  res.status(201).json({
+    success: true,
+    message: 'Recipient saved',
+    data: saved
+  });
+}));
+
+/**
+ * Import recipients from the customer's past multi-address orders
+ * POST /api/multi-address/customers/:customerId/recipients/import
+ */
+router.post('/import', asyncHandler(async (req, res) => {
+  const { customerId } = req.params;
+  const addressBook = new AddressBook(req.tenant.id);
+  const result = await addressBook.importFromOrders(customerId, createShopifyService(req.tenant));
+
+  res.json({
+    success: true,
+    message: `Imported ${result.imported} recipient(s) from ${result.orders_scanned} order(s)`,
+    data: {
+      ...result,
+      recipients: addressBook.list(customerId)
+    }
+  });
+}));
+
+/**
+ * Edit a saved recipient
+ * PUT /api/multi-address/customers/:customerId/recipients/:recipientId
+ */
+router.put('/:recipientId', asyncHandler(async (req, res) => {
+  const recipient = parseRecipient(req.body);
+  const updated = new AddressBook(req.tenant.id).update(req.params.customerId, req.params.recipientId, recipient);
+
+  res.json({
+    success: true,
+    message: 'Recipient updated',
+    data: updated
+  });
+}));
+
+/**
+ * Delete a saved recipient
+ * DELETE /api/multi-address/customers/:customerId/recipients/:recipientId
+ */
+router.delete('/:recipientId', asyncHandler(async (req, res) => {
+  const removed = new AddressBook(req.tenant.id).remove(req.params.customerId, req.params.recipientId);
+
+  if (!removed) {
+    throw new ApiError('Recipient not found', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'Recipient deleted'
+  });
+}));
+
+module.exports = router;
@@ -6,8 +6,56 @@
 
 const express = require('express');
 const axios = require('axios');
+const { getClientStats } = require('../services/shopifyClient');
+const { getTenants } = require('../services/tenantRegistry');
 const router = express.Router();
 
+/**
+ * Check connectivity to one store
+ * @param {Object} tenant - Tenant from the tenant registry
+ * @returns {Object} Store health
+ */
+const checkStore = async (tenant) => {
+  // The sandbox answers in-process; there is no store to reach
+  if ((tenant.api_mode || process.env.SHOPIFY_API_MODE || '').toLowerCase() === 'sandbox') {
+    return {
+      tenant_id: tenant.id,
+      domain: tenant.shop_domain,
+      status: 'healthy',
+      store_name: 'Sandbox Store',
+      plan: 'sandbox'
+    };
+  }
+
+  try {
+    const shopifyResponse = await axios.get(
+      `https://${tenant.shop_domain}/admin/api/${tenant.api_version || process.env.SHOPIFY_API_VERSION || '2023-10'}/shop.json`,
+      {
+        headers: {
+          'X-Shopify-Access-Token': tenant.access_token,
+          'Content-Type': 'application/json'
+        },
+        timeout: 5000
+      }
+    );
+
+    return {
+      tenant_id: tenant.id,
+      domain: tenant.shop_domain,
+      status: 'healthy',
+      store_name: shopifyResponse.data.shop.name,
+      plan: shopifyResponse.data.shop.plan_name
+    };
+  } catch (error) {
+    return {
+      tenant_id: tenant.id,
+      domain: tenant.shop_domain,
+      status: 'unhealthy',
+      error: error.message
+    };
+  }
+};
+
 /**
  * Basic health check
  * GET /health
@@ -36,41 +84,35 @@ router.get('/detailed', async (req, res) => {
       api: 'healthy',
       shopify: 'unknown'
     },
+    shopify_client: getClientStats(),
     memory: process.memoryUsage(),
     uptime: process.uptime()
   };
 
-  // Check Shopify API connectivity
+  // Check Shopify API connectivity for every store
+  let tenants = [];
+
   try {
-    if (process.env.SHOPIFY_STORE_URL && process.env.SHOPIFY_ACCESS_TOKEN) {
-      const shopifyResponse = await axios.get(
-        `https://${process.env.SHOPIFY_STORE_URL}/admin/api/${process.env.SHOPIFY_API_VERSION || '2023-10'}/shop.json`,
-        {
-          headers: {
-            'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-            'Content-Type': 'application/json'
-          },
-          timeout: 5000
-        }
-      );
-
-      if (shopifyResponse.status === 200) {
-        healthCheck.services.shopify = 'healthy';
-        healthCheck.shopify = {
-          store_name: shopifyResponse.data.shop.name,
-          domain: shopifyResponse.data.shop.domain,
-          plan: shopifyResponse.data.shop.plan_name
-        };
-      }
-    } else {
-      healthCheck.services.shopify = 'not_configured';
-    }
+    tenants = getTenants();
   } catch (error) {
-    healthCheck.services.shopify = 'unhealthy';
+    healthCheck.services.shopify = 'misconfigured';
     healthCheck.shopifyError = error.message;
     healthCheck.success = false;
   }
 
+  if (healthCheck.success) {
+    healthCheck.stores = await Promise.all(tenants.map(checkStore));
+
+    if (tenants.length === 0) {
+      healthCheck.services.shopify = 'not_configured';
+    } else if (healthCheck.stores.every(store => store.status === 'healthy')) {
+      healthCheck.services.shopify = 'healthy';
+    } else {
+      healthCheck.services.shopify = 'unhealthy';
+      healthCheck.success = false;
+    }
+  }
+
   const statusCode = healthCheck.success ? 200 : 503;
   res.status(statusCode).json(healthCheck);
 });
@@ -80,25 +122,32 @@ router.get('/detailed', async (req, res) => {
  * GET /health/ready
  */
 router.get('/ready', (req, res) => {
-  // Check if all required environment variables are set
-  const requiredEnvVars = [
-    'SHOPIFY_STORE_URL',
-    'SHOPIFY_ACCESS_TOKEN'
-  ];
+  let tenants;
 
-  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+  try {
+    tenants = getTenants();
+  } catch (error) {
+    return res.status(503).json({
+      success: false,
+      message: 'Service not ready',
+      error: `Invalid tenant configuration: ${error.message}`
+    });
+  }
 
-  if (missingVars.length > 0) {
+  // Either a tenant registry or the single-store variables must be configured
+  if (tenants.length === 0) {
     return res.status(503).json({
       success: false,
       message: 'Service not ready',
-      missingEnvironmentVariables: missingVars
+      missingEnvironmentVariables: ['SHOPIFY_STORE_URL', 'SHOPIFY_ACCESS_TOKEN']
+        .filter(varName => !process.env[varName])
     });
   }
 
   res.json({
     success: true,
     message: 'Service is ready',
+    stores: tenants.length,
     timestamp: new Date().toISOString()
   });
 });
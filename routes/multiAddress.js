@@ -6,12 +6,241 @@
 
 const express = require('express');
 const Joi = require('joi');
+const multer = require('multer');
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
+const { requireApiKey, assertPortalScope } = require('../middleware/auth');
 const ShopifyService = require('../services/ShopifyService');
-const { validateAddressData } = require('../validators/addressValidator');
+const createShopifyService = require('../services/createShopifyService');
+const OrderTracker = require('../services/OrderTracker');
+const AuditLog = require('../services/AuditLog');
+const AddressBook = require('../services/AddressBook');
+const ShippingRateEngine = require('../services/ShippingRateEngine');
+const ShippingInvoices = require('../services/ShippingInvoices');
+const saveOrderAddresses = require('../services/saveOrderAddresses');
+const previewOrderAddresses = require('../services/previewOrderAddresses');
+const ShipmentStatus = require('../services/ShipmentStatus');
+const { notifyAddressesChanged } = require('../services/notifications');
+const { createPortalLink } = require('../services/portalTokens');
+const {
+  validateAddressData,
+  validateQuoteRequest,
+  validateAddress,
+  formatValidationErrors
+} = require('../validators/addressValidator');
+const { reconcileLineItems } = require('../validators/lineItemReconciler');
+const { parseRecipientFile, buildLineItemsFromRows } = require('../services/recipientSpreadsheet');
+const addressBookRoutes = require('./addressBook');
 
 const router = express.Router();
 
+/**
+ * Keep portal token requests to the order and customer the token is for
+ */
+router.param('orderId', (req, res, next, orderId) => {
+  try {
+    assertPortalScope(req, { orderId });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.param('customerId', (req, res, next, customerId) => {
+  try {
+    assertPortalScope(req, { customerId });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.use((req, res, next) => {
+  try {
+    if (req.body?.order_id !== undefined) {
+      assertPortalScope(req, { orderId: req.body.order_id });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.use('/customers/:customerId/recipients', addressBookRoutes);
+
+// Recipient spreadsheets are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5 MB
+});
+
+/**
+ * Build the 400 error for a failed Joi validation
+ * @param {Object} error - Joi validation error
+ * @returns {ApiError} Error listing each invalid field in `details.errors`
+ */
+const validationError = (error) => {
+  return new ApiError(`Validation error: ${error.details.map(d => d.message).join(', ')}`, 400, true, {
+    errors: formatValidationErrors(error)
+  });
+};
+
+/**
+ * Reconcile submitted line items with the order, rejecting mismatches
+ * @param {Object} order - Shopify order
+ * @param {Array} lineItems - Validated line items
+ * @returns {Object} Reconciliation result
+ */
+const assertLineItemsMatchOrder = (order, lineItems) => {
+  const reconciliation = reconcileLineItems(order, lineItems);
+
+  if (!reconciliation.valid) {
+    throw new ApiError('Line items do not match the order', 422, true, {
+      errors: reconciliation.errors,
+      unassigned: reconciliation.unassigned
+    });
+  }
+
+  return reconciliation;
+};
+
+/**
+ * Swap saved `recipient_id` references for addresses from the order
+ * customer's address book
+ * @param {Object} req - Express request object (tenant)
+ * @param {Object} order - Shopify order
+ * @param {Array} lineItems - Validated line items
+ * @returns {Array} Line items that all have addresses
+ */
+const resolveRecipients = (req, order, lineItems) => {
+  const { lineItems: resolved, errors } = new AddressBook(req.tenant.id)
+    .resolveLineItems(order.customer?.id || null, lineItems);
+
+  if (errors.length > 0) {
+    throw new ApiError('Some saved recipients could not be found', 422, true, { errors });
+  }
+
+  return resolved;
+};
+
+/**
+ * Invoice fields shown to API callers (the held line items stay internal)
+ * @param {Object} invoice - Shipping invoice record
+ * @returns {Object} Invoice summary
+ */
+const formatInvoice = (invoice) => ({
+  status: invoice.status,
+  draft_order_id: invoice.draft_order_id,
+  invoice_url: invoice.invoice_url,
+  amount: invoice.amount,
+  currency: invoice.currency,
+  shipment_count: invoice.charge?.shipment_count,
+  save_method: invoice.save_method,
+  applied: invoice.applied || false,
+  apply_error: invoice.apply_error || null,
+  paid_order_id: invoice.paid_order_id || null,
+  created_at: invoice.created_at,
+  paid_at: invoice.paid_at || null
+});
+
+/**
+ * Send an extra shipping invoice when the addresses cost more to ship than
+ * the order paid for. A save must not go ahead while an invoice is pending.
+ * @param {Object} req - Express request object (tenant and actor)
+ * @param {ShopifyService} shopifyService - Shopify service for the tenant
+ * @param {Object} options - Save options
+ * @param {Object} options.order - Shopify order
+ * @param {Array} options.lineItems - Validated line items
+ * @param {string} options.saveMethod - Method the held save is applied with once paid
+ * @returns {Object|null} Pending invoice, or null when nothing is owed
+ */
+const requestExtraShipping = async (req, shopifyService, { order, lineItems, saveMethod }) => {
+  const invoices = new ShippingInvoices(req.tenant.id);
+  const invoice = invoices.get(order.id);
+
+  if (invoice?.status === ShippingInvoices.STATUS.PENDING_PAYMENT) {
+    throw new ApiError('An extra shipping invoice for this order is still awaiting payment; cancel it to change the addresses', 409, true, {
+      pending_payment: formatInvoice(invoice)
+    });
+  }
+
+  const groups = Object.values(shopifyService.groupLineItemsByAddress(shopifyService.expandAllocations(lineItems)));
+  const charge = ShippingInvoices.calculate(req.tenant, order, groups);
+
+  // A split order is not charged again; the split replays or rejects the repeat
+  const alreadySplit = charge && saveMethod !== 'metafields' &&
+    (await shopifyService.getOrderAddresses(order.id)).split;
+
+  if (!charge || alreadySplit) {
+    return null;
+  }
+
+  // Shipping already invoiced and paid for this order is not charged again
+  const amount = invoices.amountOwed(order.id, charge);
+
+  if (Number(amount) <= 0) {
+    return null;
+  }
+
+  return invoices.requestPayment(shopifyService, {
+    order,
+    charge,
+    amount,
+    lineItems,
+    saveMethod,
+    actor: req.actor
+  });
+};
+
+/**
+ * Save line items for an order by metafield or split. When the shipments cost
+ * more than the order paid for, an extra shipping invoice is sent instead and
+ * the save is held until it is paid.
+ * @param {Object} req - Express request object (tenant and actor)
+ * @param {ShopifyService} shopifyService - Shopify service for the tenant
+ * @param {Object} options - Save options
+ * @param {Object} options.order - Shopify order
+ * @param {Array} options.lineItems - Validated line items
+ * @param {string} options.saveMethod - metafields, split_orders or fulfillment_orders
+ * @returns {Object} Save `result` (or `pendingPayment` invoice) and line item `reconciliation`
+ */
+const persistAddresses = async (req, shopifyService, { order, lineItems, saveMethod }) => {
+  const reconciliation = assertLineItemsMatchOrder(order, lineItems);
+  const pendingPayment = await requestExtraShipping(req, shopifyService, { order, lineItems, saveMethod });
+
+  if (pendingPayment) {
+    return { pendingPayment, reconciliation };
+  }
+
+  const result = await saveOrderAddresses(shopifyService, {
+    tenantId: req.tenant.id,
+    actor: req.actor,
+    orderId: order.id,
+    lineItems,
+    saveMethod,
+    order
+  });
+
+  return { result, reconciliation };
+};
+
+/**
+ * Send the 202 response for a save held until extra shipping is paid
+ * @param {Object} res - Express response object
+ * @param {Object} invoice - Shipping invoice record
+ * @param {Object} data - Other response data
+ */
+const sendPendingPayment = (res, invoice, data) => {
+  res.status(202).json({
+    success: true,
+    message: `Extra shipping of ${invoice.amount} ${invoice.currency} is due; the addresses will be saved once the invoice is paid`,
+    data: {
+      pending_payment: formatInvoice(invoice),
+      ...data
+    }
+  });
+};
+
 /**
  * Get order details for multi-address portal
  * GET /api/multi-address/order/:orderId
@@ -24,11 +253,11 @@ router.get('/order/:orderId', asyncHandler(async (req, res) => {
   }
 
   try {
-    const shopifyService = new ShopifyService();
+    const shopifyService = createShopifyService(req.tenant);
     const order = await shopifyService.getOrder(orderId);
     
     // Check if order has multi-address attribute
-    if (!order.note_attributes?.find(attr => attr.name === 'multi_address_shipping' && attr.value === 'yes')) {
+    if (!ShopifyService.isMultiAddressOrder(order)) {
       throw new ApiError('This order is not configured for multi-address shipping', 400);
     }
 
@@ -76,43 +305,287 @@ router.get('/order/:orderId', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * List multi-address orders reported by webhooks
+ * GET /api/multi-address/pending
+ */
+router.get('/pending', requireApiKey, asyncHandler(async (req, res) => {
+  const status = req.query.status || OrderTracker.STATUS.AWAITING_ADDRESSES;
+
+  if (status !== 'all' && !Object.values(OrderTracker.STATUS).includes(status)) {
+    throw new ApiError(`Status must be one of: ${Object.values(OrderTracker.STATUS).join(', ')}, all`, 400);
+  }
+
+  const orders = new OrderTracker(req.tenant.id).list(status === 'all' ? undefined : status);
+
+  res.json({
+    success: true,
+    data: {
+      orders,
+      count: orders.length
+    }
+  });
+}));
+
+/**
+ * Preview a save without changing anything in Shopify
+ * POST /api/multi-address/preview (or POST /api/multi-address/save?dry_run=true)
+ */
+const previewSave = asyncHandler(async (req, res) => {
+  const { error, value } = validateAddressData(req.body);
+  if (error) {
+    throw validationError(error);
+  }
+
+  try {
+    const shopifyService = createShopifyService(req.tenant);
+    const order = await shopifyService.getOrder(value.order_id);
+
+    if (!ShopifyService.isMultiAddressOrder(order)) {
+      throw new ApiError('This order is not configured for multi-address shipping', 400);
+    }
+
+    const lineItems = resolveRecipients(req, order, value.line_items);
+    const reconciliation = assertLineItemsMatchOrder(order, lineItems);
+
+    res.json({
+      success: true,
+      data: await previewOrderAddresses(shopifyService, {
+        tenant: req.tenant,
+        order,
+        lineItems,
+        saveMethod: value.save_method,
+        reconciliation
+      })
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new ApiError('Order not found', 404);
+    }
+    throw error;
+  }
+});
+
+router.post('/preview', previewSave);
+
 /**
  * Save multi-address shipping data
  * POST /api/multi-address/save
  */
-router.post('/save', asyncHandler(async (req, res) => {
+router.post('/save', (req, res, next) => {
+  // Dry runs skip idempotency so a previewed key still works for the real save
+  if (['true', '1'].includes(String(req.query.dry_run).toLowerCase())) {
+    return previewSave(req, res, next);
+  }
+  next();
+}, idempotency, asyncHandler(async (req, res) => {
   // Validate request body
   const { error, value } = validateAddressData(req.body);
   if (error) {
-    throw new ApiError(`Validation error: ${error.details.map(d => d.message).join(', ')}`, 400);
+    throw validationError(error);
   }
 
   const { order_id, line_items, save_method } = value;
 
   try {
-    const shopifyService = new ShopifyService();
+    const shopifyService = createShopifyService(req.tenant);
     
     // Verify order exists and has multi-address shipping enabled
     const order = await shopifyService.getOrder(order_id);
     
-    if (!order.note_attributes?.find(attr => attr.name === 'multi_address_shipping' && attr.value === 'yes')) {
+    if (!ShopifyService.isMultiAddressOrder(order)) {
       throw new ApiError('This order is not configured for multi-address shipping', 400);
     }
 
-    let result;
-    
-    if (save_method === 'split_orders') {
-      // Option 1: Split into multiple orders
-      result = await shopifyService.splitOrderByAddress(order_id, line_items);
-    } else {
-      // Option 2: Save as metafields (default)
-      result = await shopifyService.saveAddressesToMetafields(order_id, line_items);
+    const { result, pendingPayment, reconciliation } = await persistAddresses(req, shopifyService, {
+      order,
+      lineItems: resolveRecipients(req, order, line_items),
+      saveMethod: save_method
+    });
+
+    if (pendingPayment) {
+      return sendPendingPayment(res, pendingPayment, { unassigned_items: reconciliation.unassigned });
     }
 
     res.json({
       success: true,
       message: 'Multi-address shipping data saved successfully',
-      data: result
+      data: {
+        ...result,
+        unassigned_items: reconciliation.unassigned
+      }
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new ApiError('Order not found', 404);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * Quote the shipping cost of sending an order to several addresses
+ * POST /api/multi-address/quote
+ */
+router.post('/quote', asyncHandler(async (req, res) => {
+  const { error, value } = validateQuoteRequest(req.body);
+  if (error) {
+    throw validationError(error);
+  }
+
+  try {
+    const shopifyService = createShopifyService(req.tenant);
+    const order = await shopifyService.getOrder(value.order_id);
+
+    if (!ShopifyService.isMultiAddressOrder(order)) {
+      throw new ApiError('This order is not configured for multi-address shipping', 400);
+    }
+
+    const lineItems = resolveRecipients(req, order, value.line_items);
+    const reconciliation = assertLineItemsMatchOrder(order, lineItems);
+
+    // Price the same shipments a split would create
+    const groups = shopifyService.groupLineItemsByAddress(shopifyService.expandAllocations(lineItems));
+    const rateEngine = ShippingRateEngine.forTenant(req.tenant);
+    const quote = rateEngine.quote(order, Object.values(groups), { service: value.service });
+
+    res.json({
+      success: true,
+      data: {
+        order_id: order.id,
+        ...quote,
+        available_services: rateEngine.getServices(),
+        unassigned_items: reconciliation.unassigned
+      }
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new ApiError('Order not found', 404);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * Get the extra shipping invoice for an order
+ * GET /api/multi-address/shipping-invoices/:orderId
+ */
+router.get('/shipping-invoices/:orderId', asyncHandler(async (req, res) => {
+  const invoice = new ShippingInvoices(req.tenant.id).get(req.params.orderId);
+
+  if (!invoice) {
+    throw new ApiError('No extra shipping invoice for this order', 404);
+  }
+
+  res.json({
+    success: true,
+    data: formatInvoice(invoice)
+  });
+}));
+
+/**
+ * Check an extra shipping invoice with Shopify and apply the held save if it
+ * has been paid (for when the paid webhook was missed)
+ * POST /api/multi-address/shipping-invoices/:orderId/refresh
+ */
+router.post('/shipping-invoices/:orderId/refresh', asyncHandler(async (req, res) => {
+  const shopifyService = createShopifyService(req.tenant);
+  const invoice = await new ShippingInvoices(req.tenant.id).refresh(shopifyService, req.params.orderId);
+
+  res.json({
+    success: true,
+    message: invoice.applied
+      ? 'Extra shipping paid; addresses saved'
+      : `Extra shipping invoice is ${invoice.status.replace('_', ' ')}`,
+    data: formatInvoice(invoice)
+  });
+}));
+
+/**
+ * Cancel a pending extra shipping invoice; the held addresses are dropped
+ * DELETE /api/multi-address/shipping-invoices/:orderId
+ */
+router.delete('/shipping-invoices/:orderId', asyncHandler(async (req, res) => {
+  const shopifyService = createShopifyService(req.tenant);
+  const invoice = await new ShippingInvoices(req.tenant.id).cancel(shopifyService, req.params.orderId);
+
+  res.json({
+    success: true,
+    message: 'Extra shipping invoice cancelled',
+    data: formatInvoice(invoice)
+  });
+}));
+
+/**
+ * Bulk upload recipients from a CSV/XLSX spreadsheet
+ * POST /api/multi-address/upload (multipart: file, order_id, save_method)
+ */
+router.post('/upload', upload.single('file'), asyncHandler(async (req, res) => {
+  const uploadSchema = Joi.object({
+    order_id: Joi.string().pattern(/^\d+$/).required().messages({
+      'string.pattern.base': 'Order ID must be a valid number',
+      'any.required': 'Order ID is required'
+    }),
+    save_method: Joi.string().valid('metafields', 'split_orders', 'fulfillment_orders').default('metafields')
+  });
+
+  const { error, value } = uploadSchema.validate(req.body, { stripUnknown: true });
+  if (error) {
+    throw validationError(error);
+  }
+
+  // Multipart fields are only read by multer, after the router-level check
+  assertPortalScope(req, { orderId: value.order_id });
+
+  const rows = parseRecipientFile(req.file);
+
+  try {
+    const shopifyService = createShopifyService(req.tenant);
+    const order = await shopifyService.getOrder(value.order_id);
+
+    if (!ShopifyService.isMultiAddressOrder(order)) {
+      throw new ApiError('This order is not configured for multi-address shipping', 400);
+    }
+
+    const { lineItems, errors } = buildLineItemsFromRows(rows, order);
+
+    if (errors.length > 0) {
+      throw new ApiError(`${errors.length} problem(s) found in the uploaded file; nothing was saved`, 422, true, {
+        rows: errors
+      });
+    }
+
+    // Run the assembled payload through the same schema as POST /save
+    const { error: payloadError, value: payload } = validateAddressData({
+      order_id: value.order_id,
+      save_method: value.save_method,
+      line_items: lineItems
+    });
+    if (payloadError) {
+      throw validationError(payloadError);
+    }
+
+    const { result, pendingPayment, reconciliation } = await persistAddresses(req, shopifyService, {
+      order,
+      lineItems: payload.line_items,
+      saveMethod: payload.save_method
+    });
+
+    if (pendingPayment) {
+      return sendPendingPayment(res, pendingPayment, {
+        rows_imported: rows.length,
+        unassigned_items: reconciliation.unassigned
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Imported ${rows.length} recipient rows`,
+      data: {
+        ...result,
+        rows_imported: rows.length,
+        unassigned_items: reconciliation.unassigned
+      }
     });
   } catch (error) {
     if (error.response?.status === 404) {
@@ -134,12 +607,16 @@ router.get('/addresses/:orderId', asyncHandler(async (req, res) => {
   }
 
   try {
-    const shopifyService = new ShopifyService();
+    const shopifyService = createShopifyService(req.tenant);
     const addresses = await shopifyService.getOrderAddresses(orderId);
+    const invoice = new ShippingInvoices(req.tenant.id).get(orderId);
 
     res.json({
       success: true,
-      data: addresses
+      data: {
+        ...addresses,
+        ...(invoice && { shipping_invoice: formatInvoice(invoice) })
+      }
     });
   } catch (error) {
     if (error.response?.status === 404) {
@@ -162,17 +639,156 @@ router.put('/addresses/:orderId', asyncHandler(async (req, res) => {
 
   const { error, value } = validateAddressData(req.body);
   if (error) {
-    throw new ApiError(`Validation error: ${error.details.map(d => d.message).join(', ')}`, 400);
+    throw validationError(error);
   }
 
   try {
-    const shopifyService = new ShopifyService();
-    const result = await shopifyService.updateOrderAddresses(orderId, value.line_items);
+    const shopifyService = createShopifyService(req.tenant);
+    const order = await shopifyService.getOrder(orderId);
+
+    if (!ShopifyService.isMultiAddressOrder(order)) {
+      throw new ApiError('This order is not configured for multi-address shipping', 400);
+    }
+
+    const lineItems = resolveRecipients(req, order, value.line_items);
+    const reconciliation = assertLineItemsMatchOrder(order, lineItems);
+
+    // Checked before any extra shipping is invoiced for the change
+    shopifyService.assertAddressesEditable(orderId, await shopifyService.getOrderAddresses(orderId));
+
+    const pendingPayment = await requestExtraShipping(req, shopifyService, { order, lineItems, saveMethod: 'metafields' });
+
+    if (pendingPayment) {
+      return sendPendingPayment(res, pendingPayment, { unassigned_items: reconciliation.unassigned });
+    }
+
+    const result = await shopifyService.updateOrderAddresses(orderId, lineItems);
+
+    new OrderTracker(req.tenant.id).markConfigured(orderId);
+    new ShipmentStatus(req.tenant.id).invalidate(orderId);
+
+    const auditLog = new AuditLog(req.tenant.id);
+    const [previous] = auditLog.getHistory(orderId, true);
+
+    auditLog.record(orderId, {
+      action: 'update',
+      actor: req.actor,
+      lineItems
+    });
+
+    notifyAddressesChanged(shopifyService, {
+      tenantId: req.tenant.id,
+      order,
+      orderId,
+      lineItems,
+      previousLineItems: previous?.line_items
+    });
 
     res.json({
       success: true,
       message: 'Address data updated successfully',
-      data: result
+      data: {
+        ...result,
+        unassigned_items: reconciliation.unassigned
+      }
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new ApiError('Order not found', 404);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * Get the change history of an order's addresses
+ * GET /api/multi-address/addresses/:orderId/history
+ */
+router.get('/addresses/:orderId/history', asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const includeSnapshots = req.query.include_snapshots === 'true';
+  const versions = new AuditLog(req.tenant.id).getHistory(orderId, includeSnapshots);
+
+  res.json({
+    success: true,
+    data: {
+      order_id: orderId,
+      versions,
+      count: versions.length
+    }
+  });
+}));
+
+/**
+ * Restore an earlier version of an order's addresses
+ * POST /api/multi-address/addresses/:orderId/history/:version/restore
+ */
+router.post('/addresses/:orderId/history/:version/restore', asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+  const versionNumber = parseInt(req.params.version);
+
+  if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+    throw new ApiError('Version must be a positive integer', 400);
+  }
+
+  const auditLog = new AuditLog(req.tenant.id);
+  const version = auditLog.getVersion(orderId, versionNumber);
+
+  if (!version) {
+    throw new ApiError('Version not found', 404);
+  }
+
+  if (!version.line_items) {
+    throw new ApiError(`Version ${versionNumber} is a deletion and has no addresses to restore`, 400);
+  }
+
+  try {
+    const shopifyService = createShopifyService(req.tenant);
+    const order = await shopifyService.getOrder(orderId);
+    const reconciliation = assertLineItemsMatchOrder(order, version.line_items);
+
+    // Checked before any extra shipping is invoiced for the change
+    shopifyService.assertAddressesEditable(orderId, await shopifyService.getOrderAddresses(orderId));
+
+    const pendingPayment = await requestExtraShipping(req, shopifyService, {
+      order,
+      lineItems: version.line_items,
+      saveMethod: 'metafields'
+    });
+
+    if (pendingPayment) {
+      return sendPendingPayment(res, pendingPayment, { unassigned_items: reconciliation.unassigned });
+    }
+
+    const result = await shopifyService.updateOrderAddresses(orderId, version.line_items);
+
+    new OrderTracker(req.tenant.id).markConfigured(orderId);
+    new ShipmentStatus(req.tenant.id).invalidate(orderId);
+
+    const [previous] = auditLog.getHistory(orderId, true);
+    const restored = auditLog.record(orderId, {
+      action: 'restore',
+      actor: req.actor,
+      lineItems: version.line_items,
+      metadata: { restored_from: versionNumber }
+    });
+
+    notifyAddressesChanged(shopifyService, {
+      tenantId: req.tenant.id,
+      order,
+      orderId,
+      lineItems: version.line_items,
+      previousLineItems: previous?.line_items
+    });
+
+    res.json({
+      success: true,
+      message: `Addresses restored from version ${versionNumber}`,
+      data: {
+        ...result,
+        version: restored.version,
+        unassigned_items: reconciliation.unassigned
+      }
     });
   } catch (error) {
     if (error.response?.status === 404) {
@@ -194,8 +810,19 @@ router.delete('/addresses/:orderId', asyncHandler(async (req, res) => {
   }
 
   try {
-    const shopifyService = new ShopifyService();
-    await shopifyService.deleteOrderAddresses(orderId);
+    const shopifyService = createShopifyService(req.tenant);
+    const result = await shopifyService.deleteOrderAddresses(orderId);
+
+    new OrderTracker(req.tenant.id).updateStatus(orderId, OrderTracker.STATUS.AWAITING_ADDRESSES);
+    new ShipmentStatus(req.tenant.id).invalidate(orderId);
+
+    if (result.deleted) {
+      new AuditLog(req.tenant.id).record(orderId, {
+        action: 'delete',
+        actor: req.actor,
+        lineItems: null
+      });
+    }
 
     res.json({
       success: true,
@@ -209,35 +836,161 @@ router.delete('/addresses/:orderId', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * Undo a split into separate orders: cancel the parts and let the original ship
+ * POST /api/multi-address/unsplit/:orderId
+ */
+router.post('/unsplit/:orderId', requireApiKey, asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  try {
+    const shopifyService = createShopifyService(req.tenant);
+    const result = await shopifyService.unsplitOrder(orderId);
+    new ShipmentStatus(req.tenant.id).invalidate(orderId);
+
+    // The addresses stay as they were; only the split is undone
+    const auditLog = new AuditLog(req.tenant.id);
+    const [latest] = auditLog.getHistory(orderId, true);
+
+    auditLog.record(orderId, {
+      action: 'unsplit',
+      actor: req.actor,
+      lineItems: latest?.line_items || null,
+      metadata: {
+        cancelled_orders: result.cancelled_orders,
+        released_fulfillment_orders: result.released_fulfillment_orders
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Split undone; the original order can be fulfilled again',
+      data: result
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new ApiError('Order not found', 404);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * Get the shipment status and tracking of each recipient of an order
+ * GET /api/multi-address/status/:orderId
+ */
+router.get('/status/:orderId', asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  try {
+    const shopifyService = createShopifyService(req.tenant);
+    const status = await new ShipmentStatus(req.tenant.id).get(shopifyService, orderId, {
+      refresh: req.query.refresh === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new ApiError('Order not found', 404);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * Issue a portal token and magic link for an order's customer
+ * POST /api/multi-address/portal-tokens
+ */
+router.post('/portal-tokens', requireApiKey, asyncHandler(async (req, res) => {
+  const { error, value } = Joi.object({
+    order_id: Joi.number().integer().positive().required().messages({
+      'number.base': 'Order ID must be a valid number',
+      'any.required': 'Order ID is required'
+    })
+  }).validate(req.body);
+  if (error) {
+    throw validationError(error);
+  }
+
+  try {
+    const shopifyService = createShopifyService(req.tenant);
+    const order = await shopifyService.getOrder(value.order_id);
+
+    if (!ShopifyService.isMultiAddressOrder(order)) {
+      throw new ApiError('This order is not configured for multi-address shipping', 400);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        order_id: order.id,
+        customer_id: order.customer?.id || null,
+        ...createPortalLink(req.tenant, order)
+      }
+    });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new ApiError('Order not found', 404);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * List split recoveries (rollbacks that could not be completed)
+ * GET /api/multi-address/split-recoveries
+ */
+router.get('/split-recoveries', requireApiKey, asyncHandler(async (req, res) => {
+  const status = req.query.status || 'pending';
+  const shopifyService = createShopifyService(req.tenant);
+  const recoveries = shopifyService.getSplitRecoveries(status === 'all' ? undefined : status);
+
+  res.json({
+    success: true,
+    data: {
+      recoveries,
+      count: recoveries.length
+    }
+  });
+}));
+
+/**
+ * Retry the pending rollback steps of a failed split
+ * POST /api/multi-address/split-recoveries/:recoveryId/retry
+ */
+router.post('/split-recoveries/:recoveryId/retry', requireApiKey, asyncHandler(async (req, res) => {
+  const shopifyService = createShopifyService(req.tenant);
+  const recovery = await shopifyService.retrySplitRecovery(req.params.recoveryId);
+
+  res.json({
+    success: recovery.status === 'resolved',
+    message: recovery.status === 'resolved'
+      ? 'Split rollback completed'
+      : 'Some rollback steps are still failing',
+    data: recovery
+  });
+}));
+
 /**
  * Validate address format
  * POST /api/multi-address/validate-address
  */
 router.post('/validate-address', asyncHandler(async (req, res) => {
-  const addressSchema = Joi.object({
-    first_name: Joi.string().required(),
-    last_name: Joi.string().required(),
-    address1: Joi.string().required(),
-    address2: Joi.string().optional().allow(''),
-    city: Joi.string().required(),
-    province: Joi.string().required(),
-    zip: Joi.string().required(),
-    country: Joi.string().required(),
-    phone: Joi.string().optional().allow('')
-  });
-
-  const { error, value } = addressSchema.validate(req.body);
+  // Same schema (including country rules) as the save endpoints
+  const { error, value } = validateAddress(req.body);
   
   if (error) {
     return res.status(400).json({
       success: false,
       error: 'Invalid address format',
-      details: error.details.map(d => d.message)
+      details: formatValidationErrors(error)
     });
   }
 
-  // Optional: Add additional address validation logic here
-  // (e.g., postal code format validation, address verification services)
+  // Optional: Add address verification services here
 
   res.json({
     success: true,
@@ -0,0 +1,158 @@
+/**
+ * Shopify Webhook Routes
+ *
+ * Receives order webhooks from Shopify so multi-address orders are detected
+ * automatically instead of being polled for.
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const ShopifyService = require('../services/ShopifyService');
+const createShopifyService = require('../services/createShopifyService');
+const OrderTracker = require('../services/OrderTracker');
+const AuditLog = require('../services/AuditLog');
+const ShippingInvoices = require('../services/ShippingInvoices');
+const { notifyOrderPlaced } = require('../services/notifications');
+
+const router = express.Router();
+
+/**
+ * Track a created or updated order if it uses multi-address shipping
+ * @param {Object} order - Order webhook payload
+ * @param {string} tenantId - Tenant the webhook was sent for
+ * @returns {string} Action taken
+ */
+const trackOrder = (order, tenantId) => {
+  const tracker = new OrderTracker(tenantId);
+  const tracked = tracker.get(order.id);
+
+  if (order.cancelled_at) {
+    // orders/cancelled handles cleanup; nothing to do here
+    return 'ignored';
+  }
+
+  if (!ShopifyService.isMultiAddressOrder(order)) {
+    // The attribute may have been removed after the order was placed
+    if (tracked && tracked.status === OrderTracker.STATUS.AWAITING_ADDRESSES) {
+      tracker.remove(order.id);
+      return 'untracked';
+    }
+    return 'ignored';
+  }
+
+  if (tracked && tracked.status !== OrderTracker.STATUS.AWAITING_ADDRESSES) {
+    return 'unchanged';
+  }
+
+  tracker.markAwaitingAddresses(order);
+  return 'awaiting_addresses';
+};
+
+/**
+ * Apply a save held for extra shipping once its invoice order is paid
+ * @param {Object} order - Order webhook payload
+ * @param {Object} tenant - Tenant the webhook was sent for
+ * @returns {string|null} Action taken, or null if the order is not a shipping invoice
+ */
+const applyPaidShippingInvoice = async (order, tenant) => {
+  const originalOrderId = ShippingInvoices.invoicedOrderId(order);
+
+  if (!originalOrderId) {
+    return null;
+  }
+
+  if (order.financial_status !== 'paid') {
+    return 'invoice_unpaid';
+  }
+
+  const invoice = await new ShippingInvoices(tenant.id)
+    .completePayment(createShopifyService(tenant), originalOrderId, { paid_order_id: order.id });
+
+  if (!invoice) {
+    return 'ignored';
+  }
+
+  return invoice.applied ? 'invoice_paid' : 'invoice_paid_apply_failed';
+};
+
+/**
+ * Order created
+ * POST /webhooks/orders/create
+ */
+router.post('/orders/create', asyncHandler(async (req, res) => {
+  const action = await applyPaidShippingInvoice(req.body, req.tenant) || trackOrder(req.body, req.tenant.id);
+
+  if (action === 'awaiting_addresses') {
+    // Sent in the background: the buyer's magic link to choose the addresses
+    notifyOrderPlaced(createShopifyService(req.tenant), { tenantId: req.tenant.id, orderId: req.body.id });
+  }
+
+  res.json({
+    success: true,
+    action
+  });
+}));
+
+/**
+ * Order updated
+ * POST /webhooks/orders/updated
+ */
+router.post('/orders/updated', asyncHandler(async (req, res) => {
+  const action = await applyPaidShippingInvoice(req.body, req.tenant) || trackOrder(req.body, req.tenant.id);
+
+  res.json({
+    success: true,
+    action
+  });
+}));
+
+/**
+ * Order paid - applies saves held for an extra shipping invoice
+ * POST /webhooks/orders/paid
+ */
+router.post('/orders/paid', asyncHandler(async (req, res) => {
+  const action = await applyPaidShippingInvoice(req.body, req.tenant) || 'ignored';
+
+  res.json({
+    success: true,
+    action
+  });
+}));
+
+/**
+ * Order cancelled - remove any saved address data
+ * POST /webhooks/orders/cancelled
+ */
+router.post('/orders/cancelled', asyncHandler(async (req, res) => {
+  const order = req.body;
+  const tracker = new OrderTracker(req.tenant.id);
+
+  if (!ShopifyService.isMultiAddressOrder(order) && !tracker.get(order.id)) {
+    return res.json({
+      success: true,
+      action: 'ignored'
+    });
+  }
+
+  const shopifyService = createShopifyService(req.tenant);
+  const result = await shopifyService.deleteOrderAddresses(order.id);
+
+  tracker.markCancelled(order.id);
+
+  if (result.deleted) {
+    new AuditLog(req.tenant.id).record(order.id, {
+      action: 'delete',
+      actor: { type: 'webhook', id: 'orders/cancelled' },
+      lineItems: null,
+      metadata: { reason: 'order_cancelled' }
+    });
+  }
+
+  res.json({
+    success: true,
+    action: 'cleaned_up',
+    data: result
+  });
+}));
+
+module.exports = router;
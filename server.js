@@ -12,10 +12,13 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
-const { validateApiKey } = require('./middleware/auth');
+const { authenticate, validateShopifyWebhook } = require('./middleware/auth');
+const { resolveTenant } = require('./middleware/tenant');
+const { getTenants } = require('./services/tenantRegistry');
 const { errorHandler } = require('./middleware/errorHandler');
 const multiAddressRoutes = require('./routes/multiAddress');
 const healthRoutes = require('./routes/health');
+const webhookRoutes = require('./routes/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -49,20 +52,27 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key', 'X-Shopify-Shop-Domain'],
+  exposedHeaders: ['Idempotent-Replayed']
 };
 app.use(cors(corsOptions));
 
 // Logging
-app.use(morgan('combined'));
+app.use(morgan('combined', { skip: () => process.env.NODE_ENV === 'test' }));
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing (keep the raw body for webhook HMAC verification)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/health', healthRoutes);
-app.use('/api/multi-address', validateApiKey, multiAddressRoutes);
+app.use('/webhooks', resolveTenant, validateShopifyWebhook, webhookRoutes);
+app.use('/api/multi-address', authenticate, resolveTenant, multiAddressRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -75,22 +85,24 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Dancing Deer Multi-Address API server running on port ${PORT}`);
-  console.log(`📦 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🛍️  Shopify Store: ${process.env.SHOPIFY_STORE_URL}`);
-});
+// Start server (tests require the app without listening)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Dancing Deer Multi-Address API server running on port ${PORT}`);
+    console.log(`📦 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🛍️  Shopify Stores: ${getTenants().map(tenant => tenant.shop_domain).join(', ') || 'none configured'}`);
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received. Shutting down gracefully...');
-  process.exit(0);
-});
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received. Shutting down gracefully...');
+    process.exit(0);
+  });
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received. Shutting down gracefully...');
-  process.exit(0);
-});
+  process.on('SIGINT', () => {
+    console.log('SIGINT received. Shutting down gracefully...');
+    process.exit(0);
+  });
+}
 
 module.exports = app;
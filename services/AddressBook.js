@@ -0,0 +1,275 @@
+/**
+ * Customer Address Book
+ *
+ * Saved recipients per Shopify customer, so repeat customers can pick earlier
+ * recipients instead of typing their addresses again. The book is seeded from
+ * the multi-address metafields of the customer's past orders.
+ */
+
+const crypto = require('crypto');
+const { ApiError } = require('../middleware/errorHandler');
+const { validateAddress } = require('../validators/addressValidator');
+const LocalStore = require('./LocalStore');
+const { addressKey } = require('./addressNormalizer');
+
+const MAX_RECIPIENTS = 500;
+
+/**
+ * Collect the addresses stored in a multi-address metafield
+ * @param {Array} lineItems - Metafield line item entries
+ * @returns {Array} Shipping addresses
+ */
+const addressesFromMetafield = (lineItems) => {
+  return (lineItems || []).flatMap(item => {
+    if (item.allocations) {
+      return item.allocations.map(allocation => allocation.shipping_address);
+    }
+    return [item.shipping_address];
+  }).filter(Boolean);
+};
+
+class AddressBook {
+  /**
+   * @param {string} [tenantId] - Tenant the customers belong to
+   */
+  constructor(tenantId = 'default') {
+    this.tenantId = tenantId;
+    this.store = LocalStore.collection('address_book');
+  }
+
+  /**
+   * Store key for a customer
+   * @param {string|number} customerId - Shopify customer ID
+   * @returns {string} Tenant-scoped key
+   */
+  key(customerId) {
+    return `${this.tenantId}:${customerId}`;
+  }
+
+  /**
+   * Check whether a customer has an address book yet
+   * @param {string|number} customerId - Shopify customer ID
+   * @returns {boolean} True once the book was seeded or written to
+   */
+  exists(customerId) {
+    return Boolean(this.store.get(this.key(customerId)));
+  }
+
+  /**
+   * Get a customer's address book record
+   * @param {string|number} customerId - Shopify customer ID
+   * @returns {Object} Book (empty if the customer has none yet)
+   */
+  getBook(customerId) {
+    return this.store.get(this.key(customerId)) || {
+      tenant_id: this.tenantId,
+      customer_id: String(customerId),
+      seeded_at: null,
+      recipients: []
+    };
+  }
+
+  /**
+   * List a customer's saved recipients
+   * @param {string|number} customerId - Shopify customer ID
+   * @returns {Array} Recipients, most recently updated first
+   */
+  list(customerId) {
+    return [...this.getBook(customerId).recipients]
+      .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+  }
+
+  /**
+   * Get a saved recipient
+   * @param {string|number} customerId - Shopify customer ID
+   * @param {string} recipientId - Recipient ID
+   * @returns {Object|null} Recipient
+   */
+  get(customerId, recipientId) {
+    return this.getBook(customerId).recipients.find(recipient => recipient.id === recipientId) || null;
+  }
+
+  /**
+   * Save a new recipient
+   * @param {string|number} customerId - Shopify customer ID
+   * @param {Object} recipient - Validated recipient ({ label, address })
+   * @param {Object} [source] - Where the recipient came from
+   * @returns {Object} Saved recipient
+   */
+  add(customerId, { label, address }, source = { type: 'manual' }) {
+    const book = this.getBook(customerId);
+    const duplicate = book.recipients.find(recipient => addressKey(recipient.address) === addressKey(address));
+
+    if (duplicate) {
+      throw new ApiError('This recipient is already in the address book', 409, true, {
+        recipient_id: duplicate.id
+      });
+    }
+
+    if (book.recipients.length >= MAX_RECIPIENTS) {
+      throw new ApiError(`An address book can hold at most ${MAX_RECIPIENTS} recipients`, 422);
+    }
+
+    const now = new Date().toISOString();
+    const recipient = {
+      id: `rcp_${crypto.randomBytes(8).toString('hex')}`,
+      label: label || null,
+      address,
+      source,
+      created_at: now,
+      updated_at: now
+    };
+
+    book.recipients.push(recipient);
+    this.store.set(this.key(customerId), book);
+
+    return recipient;
+  }
+
+  /**
+   * Replace a saved recipient's label and address
+   * @param {string|number} customerId - Shopify customer ID
+   * @param {string} recipientId - Recipient ID
+   * @param {Object} recipient - Validated recipient ({ label, address })
+   * @returns {Object} Updated recipient
+   */
+  update(customerId, recipientId, { label, address }) {
+    const book = this.getBook(customerId);
+    const index = book.recipients.findIndex(recipient => recipient.id === recipientId);
+
+    if (index === -1) {
+      throw new ApiError('Recipient not found', 404);
+    }
+
+    const duplicate = book.recipients.find(
+      recipient => recipient.id !== recipientId && addressKey(recipient.address) === addressKey(address)
+    );
+
+    if (duplicate) {
+      throw new ApiError('Another recipient in the address book has this address', 409, true, {
+        recipient_id: duplicate.id
+      });
+    }
+
+    book.recipients[index] = {
+      ...book.recipients[index],
+      label: label || null,
+      address,
+      updated_at: new Date().toISOString()
+    };
+    this.store.set(this.key(customerId), book);
+
+    return book.recipients[index];
+  }
+
+  /**
+   * Delete a saved recipient
+   * @param {string|number} customerId - Shopify customer ID
+   * @param {string} recipientId - Recipient ID
+   * @returns {boolean} Whether the recipient existed
+   */
+  remove(customerId, recipientId) {
+    const book = this.getBook(customerId);
+    const remaining = book.recipients.filter(recipient => recipient.id !== recipientId);
+
+    if (remaining.length === book.recipients.length) {
+      return false;
+    }
+
+    this.store.set(this.key(customerId), { ...book, recipients: remaining });
+    return true;
+  }
+
+  /**
+   * Import recipients from the multi-address metafields of past orders
+   * @param {string|number} customerId - Shopify customer ID
+   * @param {ShopifyService} shopifyService - Shopify service for the tenant
+   * @returns {Object} Counts of `imported` and `skipped` addresses, and `orders_scanned`
+   */
+  async importFromOrders(customerId, shopifyService) {
+    const orders = await shopifyService.getCustomerOrders(customerId);
+    let imported = 0;
+    let skipped = 0;
+
+    for (const order of orders) {
+      const { addresses } = await shopifyService.getOrderAddresses(order.id);
+
+      for (const shippingAddress of addressesFromMetafield(addresses)) {
+        const { error, value } = validateAddress(shippingAddress);
+
+        if (error) {
+          skipped += 1;
+          continue;
+        }
+
+        try {
+          this.add(customerId, { address: value }, { type: 'order', order_id: order.id, order_name: order.name });
+          imported += 1;
+        } catch (addError) {
+          if (!(addError instanceof ApiError) || addError.statusCode !== 409) {
+            throw addError;
+          }
+          skipped += 1;
+        }
+      }
+    }
+
+    const book = this.getBook(customerId);
+    this.store.set(this.key(customerId), { ...book, seeded_at: new Date().toISOString() });
+
+    return { imported, skipped, orders_scanned: orders.length };
+  }
+
+  /**
+   * Replace `recipient_id` references in line items with the saved addresses
+   * @param {string|number|null} customerId - Shopify customer ID of the order
+   * @param {Array} lineItems - Validated line items
+   * @returns {Object} Resolved `lineItems` and unresolved `errors`
+   */
+  resolveLineItems(customerId, lineItems) {
+    const errors = [];
+
+    const resolve = (target, location) => {
+      if (!target.recipient_id) {
+        return target;
+      }
+
+      const recipient = customerId ? this.get(customerId, target.recipient_id) : null;
+
+      if (!recipient) {
+        errors.push({
+          ...location,
+          recipient_id: target.recipient_id,
+          message: customerId
+            ? `Recipient ${target.recipient_id} is not in this customer's address book`
+            : 'The order has no customer, so saved recipients cannot be used'
+        });
+        return target;
+      }
+
+      return { ...target, address: recipient.address };
+    };
+
+    const resolved = lineItems.map(item => {
+      const lineItem = resolve(item, { line_item_id: item.line_item_id });
+
+      if (!item.allocations) {
+        return lineItem;
+      }
+
+      return {
+        ...lineItem,
+        allocations: item.allocations.map((allocation, index) => resolve(allocation, {
+          line_item_id: item.line_item_id,
+          allocation: index + 1
+        }))
+      };
+    });
+
+    return { lineItems: resolved, errors };
+  }
+}
+
+AddressBook.MAX_RECIPIENTS = MAX_RECIPIENTS;
+
+module.exports = AddressBook;
@@ -0,0 +1,204 @@
+/**
+ * Address Audit Log
+ *
+ * Records every change to an order's multi-address data (who, when and a
+ * per-recipient diff) and keeps a snapshot of each version so earlier
+ * addresses can be restored.
+ */
+
+const LocalStore = require('./LocalStore');
+
+const ADDRESS_FIELDS = [
+  'first_name',
+  'last_name',
+  'address1',
+  'address2',
+  'city',
+  'province',
+  'zip',
+  'country',
+  'phone'
+];
+
+/**
+ * Flatten line items into one entry per recipient
+ * @param {Array|null} lineItems - Line items with an address or allocations
+ * @returns {Map} Recipient entries keyed by line item (and allocation)
+ */
+const flattenRecipients = (lineItems) => {
+  const recipients = new Map();
+
+  (lineItems || []).forEach(item => {
+    if (item.allocations) {
+      item.allocations.forEach((allocation, index) => {
+        recipients.set(`${item.line_item_id}#${index + 1}`, {
+          line_item_id: item.line_item_id,
+          allocation: index + 1,
+          quantity: allocation.quantity,
+          address: allocation.address
+        });
+      });
+    } else {
+      // Keyed like a first allocation so switching to allocations diffs cleanly
+      recipients.set(`${item.line_item_id}#1`, {
+        line_item_id: item.line_item_id,
+        allocation: null,
+        quantity: item.quantity,
+        address: item.address
+      });
+    }
+  });
+
+  return recipients;
+};
+
+/**
+ * Compute the per-recipient differences between two versions
+ * @param {Array|null} before - Previous line items
+ * @param {Array|null} after - New line items
+ * @returns {Array} Changes
+ */
+const diffLineItems = (before, after) => {
+  const previous = flattenRecipients(before);
+  const next = flattenRecipients(after);
+  const changes = [];
+
+  next.forEach((recipient, key) => {
+    const old = previous.get(key);
+
+    if (!old) {
+      changes.push({
+        line_item_id: recipient.line_item_id,
+        allocation: recipient.allocation,
+        change: 'added',
+        after: { quantity: recipient.quantity, address: recipient.address }
+      });
+      return;
+    }
+
+    const changedFields = ADDRESS_FIELDS.filter(
+      field => (old.address?.[field] || '') !== (recipient.address?.[field] || '')
+    );
+
+    if (old.quantity !== recipient.quantity) {
+      changedFields.push('quantity');
+    }
+
+    if (changedFields.length > 0) {
+      changes.push({
+        line_item_id: recipient.line_item_id,
+        allocation: recipient.allocation,
+        change: 'changed',
+        fields: changedFields,
+        before: { quantity: old.quantity, address: old.address },
+        after: { quantity: recipient.quantity, address: recipient.address }
+      });
+    }
+  });
+
+  previous.forEach((recipient, key) => {
+    if (!next.has(key)) {
+      changes.push({
+        line_item_id: recipient.line_item_id,
+        allocation: recipient.allocation,
+        change: 'removed',
+        before: { quantity: recipient.quantity, address: recipient.address }
+      });
+    }
+  });
+
+  return changes;
+};
+
+class AuditLog {
+  /**
+   * @param {string} [tenantId] - Tenant the orders belong to
+   */
+  constructor(tenantId = 'default') {
+    this.tenantId = tenantId;
+    this.store = LocalStore.collection('address_audit');
+  }
+
+  /**
+   * Store key for an order
+   * @param {string|number} orderId - Order ID
+   * @returns {string} Tenant-scoped key
+   */
+  key(orderId) {
+    return `${this.tenantId}:${orderId}`;
+  }
+
+  /**
+   * Record a change to an order's addresses
+   * @param {string|number} orderId - Order ID
+   * @param {Object} entry - Audit entry
+   * @param {string} entry.action - save, update, split, unsplit, delete or restore
+   * @param {Object} entry.actor - Who made the change ({ type, id })
+   * @param {Array|null} entry.lineItems - Line items after the change (null when deleted)
+   * @param {Object} [entry.metadata] - Extra details (e.g. created orders)
+   * @returns {Object} Recorded version (without snapshot)
+   */
+  record(orderId, { action, actor, lineItems, metadata = {} }) {
+    const history = this.store.get(this.key(orderId)) || {
+      tenant_id: this.tenantId,
+      order_id: String(orderId),
+      versions: []
+    };
+
+    const latest = history.versions[history.versions.length - 1];
+    const version = {
+      version: history.versions.length + 1,
+      action,
+      actor: actor || { type: 'unknown', id: null },
+      timestamp: new Date().toISOString(),
+      diff: diffLineItems(latest ? latest.line_items : null, lineItems),
+      metadata,
+      line_items: lineItems || null
+    };
+
+    history.versions.push(version);
+    this.store.set(this.key(orderId), history);
+
+    const { line_items: snapshot, ...summary } = version;
+    return summary;
+  }
+
+  /**
+   * Get an order's change history, newest first
+   * @param {string|number} orderId - Order ID
+   * @param {boolean} [includeSnapshots] - Include each version's line items
+   * @returns {Array} Versions
+   */
+  getHistory(orderId, includeSnapshots = false) {
+    const history = this.store.get(this.key(orderId));
+
+    if (!history) {
+      return [];
+    }
+
+    return [...history.versions]
+      .reverse()
+      .map(version => {
+        if (includeSnapshots) {
+          return version;
+        }
+        const { line_items: snapshot, ...summary } = version;
+        return summary;
+      });
+  }
+
+  /**
+   * Get a single version, including its snapshot
+   * @param {string|number} orderId - Order ID
+   * @param {number} versionNumber - Version number
+   * @returns {Object|null} Version
+   */
+  getVersion(orderId, versionNumber) {
+    const history = this.store.get(this.key(orderId));
+    return history?.versions.find(version => version.version === versionNumber) || null;
+  }
+}
+
+AuditLog.diffLineItems = diffLineItems;
+
+module.exports = AuditLog;
@@ -0,0 +1,112 @@
+/**
+ * Local Store
+ *
+ * Small key/value store for state that does not belong in Shopify
+ * (webhook bookkeeping, request tracking). Collections live in memory and are
+ * mirrored to a JSON file per collection when DATA_DIR is set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const collections = new Map();
+
+class LocalStore {
+  /**
+   * @param {string} name - Collection name (also used as the file name)
+   */
+  constructor(name) {
+    this.name = name;
+    this.dataDir = process.env.DATA_DIR || null;
+    this.filePath = this.dataDir ? path.join(this.dataDir, `${name}.json`) : null;
+    this.records = this.load();
+  }
+
+  /**
+   * Get the shared store for a collection
+   * @param {string} name - Collection name
+   * @returns {LocalStore} Store instance
+   */
+  static collection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new LocalStore(name));
+    }
+    return collections.get(name);
+  }
+
+  /**
+   * Load the collection from disk, if file persistence is enabled
+   * @returns {Object} Records keyed by id
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      console.error(`Failed to load local store "${this.name}":`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Write the collection to disk, if file persistence is enabled
+   */
+  persist() {
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.records, null, 2));
+  }
+
+  /**
+   * Get a record
+   * @param {string} key - Record key
+   * @returns {Object|null} Record or null
+   */
+  get(key) {
+    return this.records[key] || null;
+  }
+
+  /**
+   * Create or replace a record
+   * @param {string} key - Record key
+   * @param {Object} value - Record value
+   * @returns {Object} Stored value
+   */
+  set(key, value) {
+    this.records[key] = value;
+    this.persist();
+    return value;
+  }
+
+  /**
+   * Delete a record
+   * @param {string} key - Record key
+   * @returns {boolean} Whether a record was deleted
+   */
+  delete(key) {
+    if (!(key in this.records)) {
+      return false;
+    }
+
+    delete this.records[key];
+    this.persist();
+    return true;
+  }
+
+  /**
+   * List records, optionally filtered
+   * @param {Function} [predicate] - Filter function
+   * @returns {Array} Matching records
+   */
+  list(predicate = () => true) {
+    return Object.values(this.records).filter(predicate);
+  }
+}
+
+module.exports = LocalStore;
@@ -0,0 +1,134 @@
+/**
+ * Order Tracker
+ *
+ * Keeps track of multi-address orders reported by Shopify webhooks so the team
+ * can see which orders are still waiting for recipient addresses.
+ */
+
+const LocalStore = require('./LocalStore');
+
+const STATUS = {
+  AWAITING_ADDRESSES: 'awaiting_addresses',
+  PENDING_PAYMENT: 'pending_payment',
+  CONFIGURED: 'configured',
+  CANCELLED: 'cancelled'
+};
+
+class OrderTracker {
+  /**
+   * @param {string} [tenantId] - Tenant the orders belong to
+   */
+  constructor(tenantId = 'default') {
+    this.tenantId = tenantId;
+    this.store = LocalStore.collection('tracked_orders');
+  }
+
+  /**
+   * Store key for an order
+   * @param {string|number} orderId - Order ID
+   * @returns {string} Tenant-scoped key
+   */
+  key(orderId) {
+    return `${this.tenantId}:${orderId}`;
+  }
+
+  /**
+   * Record an order as waiting for addresses
+   * @param {Object} order - Shopify order payload
+   * @returns {Object} Tracked order record
+   */
+  markAwaitingAddresses(order) {
+    const existing = this.store.get(this.key(order.id));
+    const now = new Date().toISOString();
+
+    return this.store.set(this.key(order.id), {
+      tenant_id: this.tenantId,
+      order_id: order.id,
+      name: order.name,
+      email: order.email || order.customer?.email || null,
+      status: STATUS.AWAITING_ADDRESSES,
+      created_at: existing?.created_at || order.created_at || now,
+      updated_at: now
+    });
+  }
+
+  /**
+   * Update the status of a tracked order
+   * @param {string|number} orderId - Order ID
+   * @param {string} status - New status
+   * @returns {Object|null} Updated record, or null if the order is not tracked
+   */
+  updateStatus(orderId, status) {
+    const existing = this.store.get(this.key(orderId));
+
+    if (!existing) {
+      return null;
+    }
+
+    return this.store.set(this.key(orderId), {
+      ...existing,
+      status,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Mark an order as having its addresses configured
+   * @param {string|number} orderId - Order ID
+   * @returns {Object|null} Updated record
+   */
+  markConfigured(orderId) {
+    return this.updateStatus(orderId, STATUS.CONFIGURED);
+  }
+
+  /**
+   * Mark an order as waiting for extra shipping to be paid
+   * @param {string|number} orderId - Order ID
+   * @returns {Object|null} Updated record
+   */
+  markPendingPayment(orderId) {
+    return this.updateStatus(orderId, STATUS.PENDING_PAYMENT);
+  }
+
+  /**
+   * Mark an order as cancelled
+   * @param {string|number} orderId - Order ID
+   * @returns {Object|null} Updated record
+   */
+  markCancelled(orderId) {
+    return this.updateStatus(orderId, STATUS.CANCELLED);
+  }
+
+  /**
+   * Stop tracking an order
+   * @param {string|number} orderId - Order ID
+   * @returns {boolean} Whether the order was tracked
+   */
+  remove(orderId) {
+    return this.store.delete(this.key(orderId));
+  }
+
+  /**
+   * Get a tracked order
+   * @param {string|number} orderId - Order ID
+   * @returns {Object|null} Tracked order record
+   */
+  get(orderId) {
+    return this.store.get(this.key(orderId));
+  }
+
+  /**
+   * List tracked orders
+   * @param {string} [status] - Only return orders with this status
+   * @returns {Array} Tracked orders, oldest first
+   */
+  list(status) {
+    return this.store
+      .list(record => record.tenant_id === this.tenantId && (!status || record.status === status))
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+}
+
+OrderTracker.STATUS = STATUS;
+
+module.exports = OrderTracker;
@@ -0,0 +1,260 @@
+/**
+ * Shipment Status
+ *
+ * Answers "has this recipient's package shipped?" for a multi-address order:
+ * each shipment's fulfillment status and tracking, worked out from Shopify
+ * fulfillments and matched back to the saved line items.
+ *
+ * - metafields: the original order's fulfillments, matched to recipients by
+ *   line item and quantity in the order the recipients were saved
+ * - split_orders: each part's own fulfillments
+ * - fulfillment_orders: the fulfillments of each shipment's fulfillment orders
+ *
+ * Results are cached for SHIPMENT_STATUS_CACHE_SECONDS (default 60) so
+ * customers refreshing a status page don't use up the Shopify rate limit.
+ */
+
+const { ApiError } = require('../middleware/errorHandler');
+
+const DEFAULT_CACHE_SECONDS = 60;
+
+// Statuses, keyed by tenant and order: { expires_at, data }
+const cache = new Map();
+
+/**
+ * Line items saved in the metafield as one entry per recipient
+ * @param {Array} savedItems - Metafield line items (with shipping_address or allocations)
+ * @returns {Array} Items ({ line_item_id, title, quantity, address })
+ */
+const toRecipientItems = (savedItems) => {
+  return savedItems.flatMap(item => (item.allocations
+    ? item.allocations.map(allocation => ({
+      line_item_id: item.line_item_id,
+      title: item.title,
+      quantity: allocation.quantity,
+      address: allocation.shipping_address
+    }))
+    : [{
+      line_item_id: item.line_item_id,
+      title: item.title,
+      quantity: item.quantity,
+      address: item.shipping_address
+    }]));
+};
+
+/**
+ * Spread fulfilled units over items, oldest fulfillment first
+ * @param {Array} items - Items ({ line_item_id, quantity }) in the order they are filled
+ * @param {Array} fulfillments - Successful fulfillments
+ * @returns {Array} Per item: fulfilled quantity and the fulfillments that covered it
+ */
+const applyFulfillments = (items, fulfillments) => {
+  const filled = items.map(item => ({ item, fulfilled: 0, fulfillments: new Set() }));
+
+  [...fulfillments]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach(fulfillment => {
+      fulfillment.line_items.forEach(({ line_item_id, quantity }) => {
+        let remaining = quantity;
+
+        filled
+          .filter(entry => String(entry.item.line_item_id) === String(line_item_id))
+          .forEach(entry => {
+            const take = Math.min(remaining, entry.item.quantity - entry.fulfilled);
+            if (take > 0) {
+              entry.fulfilled += take;
+              entry.fulfillments.add(fulfillment);
+              remaining -= take;
+            }
+          });
+      });
+    });
+
+  return filled;
+};
+
+/**
+ * Build one recipient's status
+ * @param {Object} shipment - Shipment ({ shipment, address, order_id })
+ * @param {Array} filled - Its items with their fulfillments (from applyFulfillments)
+ * @returns {Object} Recipient status
+ */
+const recipientStatus = (shipment, filled) => {
+  const quantity = filled.reduce((sum, entry) => sum + entry.item.quantity, 0);
+  const fulfilled = filled.reduce((sum, entry) => sum + entry.fulfilled, 0);
+  const used = [...new Set(filled.flatMap(entry => [...entry.fulfillments]))];
+
+  let status = 'unfulfilled';
+  if (shipment.cancelled) {
+    status = 'cancelled';
+  } else if (quantity > 0 && fulfilled >= quantity) {
+    status = 'fulfilled';
+  } else if (fulfilled > 0) {
+    status = 'partial';
+  }
+
+  return {
+    shipment: shipment.shipment,
+    shipping_address: shipment.address,
+    order_id: shipment.order_id,
+    ...(shipment.fulfillment_order_ids && { fulfillment_order_ids: shipment.fulfillment_order_ids }),
+    status,
+    line_items: filled.map(entry => ({
+      line_item_id: entry.item.line_item_id,
+      title: entry.item.title,
+      quantity: entry.item.quantity,
+      fulfilled_quantity: entry.fulfilled
+    })),
+    tracking: used.flatMap(fulfillment => {
+      const numbers = fulfillment.tracking.length > 0 ? fulfillment.tracking : [{}];
+      return numbers.map(tracking => ({
+        fulfillment_id: fulfillment.id,
+        carrier: tracking.company || null,
+        tracking_number: tracking.number || null,
+        tracking_url: tracking.url || null,
+        shipment_status: fulfillment.shipment_status || null,
+        shipped_at: fulfillment.created_at
+      }));
+    })
+  };
+};
+
+/**
+ * Fulfillments that shipped
+ * @param {Array} fulfillments - Fulfillments
+ * @returns {Array} Successful fulfillments
+ */
+const shipped = (fulfillments) => fulfillments.filter(fulfillment => fulfillment.status === 'success');
+
+class ShipmentStatus {
+  /**
+   * @param {string} [tenantId] - Tenant the orders belong to
+   */
+  constructor(tenantId = 'default') {
+    this.tenantId = tenantId;
+  }
+
+  /**
+   * Cache key for an order
+   * @param {string|number} orderId - Order ID
+   * @returns {string} Tenant-scoped key
+   */
+  key(orderId) {
+    return `${this.tenantId}:${orderId}`;
+  }
+
+  /**
+   * Get the shipment status of each recipient of an order
+   * @param {ShopifyService} shopifyService - Shopify service for the tenant
+   * @param {string|number} orderId - Original order ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.refresh] - Skip the cache
+   * @returns {Object} Status per recipient, with `cached` and `checked_at`
+   */
+  async get(shopifyService, orderId, { refresh = false } = {}) {
+    const cached = cache.get(this.key(orderId));
+
+    if (!refresh && cached && cached.expires_at > Date.now()) {
+      return { ...cached.data, cached: true };
+    }
+
+    const data = await this.build(shopifyService, orderId);
+    const ttlMs = (parseInt(process.env.SHIPMENT_STATUS_CACHE_SECONDS) || DEFAULT_CACHE_SECONDS) * 1000;
+    cache.set(this.key(orderId), { expires_at: Date.now() + ttlMs, data });
+
+    return { ...data, cached: false };
+  }
+
+  /**
+   * Forget the cached status of an order (e.g. after its addresses change)
+   * @param {string|number} orderId - Original order ID
+   */
+  invalidate(orderId) {
+    cache.delete(this.key(orderId));
+  }
+
+  /**
+   * Work out the status of each recipient from Shopify
+   * @param {ShopifyService} shopifyService - Shopify service for the tenant
+   * @param {string|number} orderId - Original order ID
+   * @returns {Object} Status per recipient
+   */
+  async build(shopifyService, orderId) {
+    const saved = await shopifyService.getOrderAddresses(orderId);
+
+    if (!saved.configured) {
+      throw new ApiError('No multi-address shipping data has been saved for this order', 404);
+    }
+
+    const split = saved.split;
+    const mode = split ? split.method || 'split_orders' : 'metafields';
+    let recipients;
+
+    if (mode === 'split_orders') {
+      recipients = await Promise.all(split.result.created_orders.map(async (createdOrder, index) => {
+        const child = await shopifyService.getOrder(createdOrder.order_id);
+
+        // Parts list their items in the order of the split's line_items
+        const originalIds = new Map(child.line_items.map((childItem, itemIndex) => [
+          String(childItem.id),
+          createdOrder.line_items[itemIndex]?.line_item_id
+        ]));
+        const fulfillments = shipped(await shopifyService.getFulfillments(createdOrder.order_id))
+          .map(fulfillment => ({
+            ...fulfillment,
+            line_items: fulfillment.line_items.map(item => ({ ...item, line_item_id: originalIds.get(String(item.line_item_id)) }))
+          }));
+
+        return recipientStatus({
+          shipment: index + 1,
+          address: createdOrder.shipping_address,
+          order_id: createdOrder.order_id,
+          cancelled: Boolean(child.cancelled_at)
+        }, applyFulfillments(createdOrder.line_items.map((item, itemIndex) => ({
+          ...item,
+          title: child.line_items[itemIndex]?.title
+        })), fulfillments));
+      }));
+    } else if (mode === 'fulfillment_orders') {
+      recipients = [];
+
+      for (const shipment of split.result.fulfillment_orders) {
+        const fulfillments = new Map();
+
+        for (const fulfillmentOrderId of shipment.fulfillment_order_ids) {
+          shipped(await shopifyService.getFulfillmentOrderFulfillments(fulfillmentOrderId))
+            .forEach(fulfillment => fulfillments.set(fulfillment.id, fulfillment));
+        }
+
+        recipients.push(recipientStatus({
+          shipment: shipment.shipment,
+          address: shipment.shipping_address,
+          order_id: Number(orderId),
+          fulfillment_order_ids: shipment.fulfillment_order_ids
+        }, applyFulfillments(shipment.line_items, [...fulfillments.values()])));
+      }
+    } else {
+      const fulfillments = shipped(await shopifyService.getFulfillments(orderId));
+      const items = toRecipientItems(saved.addresses);
+
+      // One order ships everyone, so units are handed out in the order recipients were saved
+      const filled = new Map(applyFulfillments(items, fulfillments).map(entry => [entry.item, entry]));
+
+      recipients = Object.values(shopifyService.groupLineItemsByAddress(items)).map((group, index) => recipientStatus({
+        shipment: index + 1,
+        address: group[0].address,
+        order_id: Number(orderId)
+      }, group.map(item => filled.get(item))));
+    }
+
+    return {
+      order_id: Number(orderId),
+      mode,
+      recipients,
+      recipient_count: recipients.length,
+      checked_at: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = ShipmentStatus;
@@ -0,0 +1,337 @@
+/**
+ * Extra Shipping Invoices
+ *
+ * When an order is sent to more addresses than its shipping paid for, the
+ * extra shipping is invoiced with a supplemental Shopify draft order. The save
+ * or split waits in "pending payment" until that invoice is paid, then it is
+ * applied with the line items that were submitted.
+ *
+ * Extra shipping is configured per tenant (`extra_shipping`) or with
+ * EXTRA_SHIPPING_MODE:
+ * - off: no extra shipping is charged (default)
+ * - per_shipment: EXTRA_SHIPPING_PER_SHIPMENT for each shipment beyond the first
+ * - rate_table: the rate engine's extra_shipping (see ShippingRateEngine)
+ */
+
+const { ApiError } = require('../middleware/errorHandler');
+const LocalStore = require('./LocalStore');
+const OrderTracker = require('./OrderTracker');
+const ShippingRateEngine = require('./ShippingRateEngine');
+const saveOrderAddresses = require('./saveOrderAddresses');
+const { toCents, formatCents } = require('./money');
+
+const STATUS = {
+  PENDING_PAYMENT: 'pending_payment',
+  PAID: 'paid',
+  CANCELLED: 'cancelled'
+};
+
+// Note attribute linking an invoice (and the order it turns into) to the original order
+const INVOICE_ATTRIBUTE = 'multi_address_shipping_invoice_for';
+
+const MODES = ['off', 'per_shipment', 'rate_table'];
+
+class ShippingInvoices {
+  /**
+   * @param {string} [tenantId] - Tenant the orders belong to
+   */
+  constructor(tenantId = 'default') {
+    this.tenantId = tenantId;
+    this.store = LocalStore.collection('shipping_invoices');
+  }
+
+  /**
+   * Store key for an order
+   * @param {string|number} orderId - Original order ID
+   * @returns {string} Tenant-scoped key
+   */
+  key(orderId) {
+    return `${this.tenantId}:${orderId}`;
+  }
+
+  /**
+   * Extra shipping settings for a tenant
+   * @param {Object} [tenant] - Tenant from the tenant registry
+   * @returns {Object} Settings ({ mode, per_shipment, service })
+   */
+  static getSettings(tenant = null) {
+    const settings = {
+      mode: process.env.EXTRA_SHIPPING_MODE || 'off',
+      per_shipment: process.env.EXTRA_SHIPPING_PER_SHIPMENT || '0',
+      service: process.env.EXTRA_SHIPPING_SERVICE || undefined,
+      ...tenant?.extra_shipping
+    };
+
+    if (!MODES.includes(settings.mode)) {
+      throw new ApiError(`Extra shipping mode must be one of: ${MODES.join(', ')}`, 500, false);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Work out the extra shipping owed for a set of shipments
+   * @param {Object} tenant - Tenant from the tenant registry
+   * @param {Object} order - Shopify order
+   * @param {Array} groups - Line items grouped by address (from groupLineItemsByAddress)
+   * @returns {Object|null} Charge ({ mode, amount, currency, shipment_count }), or null when disabled
+   */
+  static calculate(tenant, order, groups) {
+    const settings = ShippingInvoices.getSettings(tenant);
+
+    if (settings.mode === 'off') {
+      return null;
+    }
+
+    if (settings.mode === 'per_shipment') {
+      const extraShipments = Math.max(0, groups.length - 1);
+      return {
+        mode: settings.mode,
+        amount: formatCents(extraShipments * toCents(settings.per_shipment)),
+        currency: order.currency,
+        shipment_count: groups.length
+      };
+    }
+
+    const quote = ShippingRateEngine.forTenant(tenant).quote(order, groups, { service: settings.service });
+    return {
+      mode: settings.mode,
+      amount: quote.extra_shipping,
+      currency: quote.currency,
+      shipment_count: quote.shipment_count,
+      service: quote.service.code
+    };
+  }
+
+  /**
+   * Amount still owed once earlier paid invoices are taken into account
+   * @param {string|number} orderId - Original order ID
+   * @param {Object} charge - Charge from calculate()
+   * @returns {string} Amount owed
+   */
+  amountOwed(orderId, charge) {
+    const paid = this.get(orderId)?.paid_total || '0';
+    return formatCents(Math.max(0, toCents(charge.amount) - toCents(paid)));
+  }
+
+  /**
+   * Get the invoice record for an order
+   * @param {string|number} orderId - Original order ID
+   * @returns {Object|null} Invoice record
+   */
+  get(orderId) {
+    return this.store.get(this.key(orderId));
+  }
+
+  /**
+   * Create and send an invoice for extra shipping, and hold the save until it is paid
+   * @param {ShopifyService} shopifyService - Shopify service for the tenant
+   * @param {Object} options - Invoice options
+   * @param {Object} options.order - Original Shopify order
+   * @param {Object} options.charge - Charge from calculate()
+   * @param {string} options.amount - Amount to invoice
+   * @param {Array} options.lineItems - Validated line items to save once paid
+   * @param {string} options.saveMethod - metafields, split_orders or fulfillment_orders
+   * @param {Object} options.actor - Who submitted the save
+   * @returns {Object} Invoice record
+   */
+  async requestPayment(shopifyService, { order, charge, amount, lineItems, saveMethod, actor }) {
+    const existing = this.get(order.id);
+
+    if (existing?.status === STATUS.PENDING_PAYMENT) {
+      throw new ApiError('An extra shipping invoice for this order is still awaiting payment', 409, true, {
+        draft_order_id: existing.draft_order_id,
+        invoice_url: existing.invoice_url
+      });
+    }
+
+    const email = order.email || order.customer?.email;
+
+    if (!email) {
+      throw new ApiError(`Extra shipping of ${amount} ${charge.currency} is owed but the order has no email to send an invoice to`, 422);
+    }
+
+    const draft = await shopifyService.createDraftOrder({
+      line_items: [{
+        title: `Additional shipping for order ${order.name} (${charge.shipment_count} shipments)`,
+        price: amount,
+        quantity: 1,
+        requires_shipping: false,
+        taxable: false
+      }],
+      customer: order.customer?.id ? { id: order.customer.id } : undefined,
+      email,
+      use_customer_default_address: true,
+      note: `Extra shipping for multi-address order ${order.name}`,
+      note_attributes: [{ name: INVOICE_ATTRIBUTE, value: String(order.id) }],
+      tags: 'multi-address-shipping-invoice'
+    });
+
+    try {
+      await shopifyService.sendDraftOrderInvoice(draft.id, {
+        to: email,
+        subject: `Additional shipping for order ${order.name}`,
+        custom_message: `Your order ${order.name} ships to ${charge.shipment_count} addresses. Please pay the additional shipping so we can send it.`
+      });
+    } catch (error) {
+      // Don't leave an unsent invoice behind
+      await shopifyService.deleteDraftOrder(draft.id).catch(() => {});
+      throw new ApiError(`Failed to send extra shipping invoice: ${error.message}`, error.statusCode || error.response?.status || 500);
+    }
+
+    const now = new Date().toISOString();
+    const record = this.store.set(this.key(order.id), {
+      tenant_id: this.tenantId,
+      order_id: order.id,
+      order_name: order.name,
+      status: STATUS.PENDING_PAYMENT,
+      draft_order_id: draft.id,
+      invoice_url: draft.invoice_url || null,
+      amount,
+      currency: charge.currency,
+      charge,
+      paid_total: existing?.paid_total || '0.00',
+      save_method: saveMethod,
+      line_items: lineItems,
+      actor,
+      created_at: now,
+      updated_at: now
+    });
+
+    new OrderTracker(this.tenantId).markPendingPayment(order.id);
+
+    return record;
+  }
+
+  /**
+   * Record that the invoice was paid and apply the held save
+   * @param {ShopifyService} shopifyService - Shopify service for the tenant
+   * @param {string|number} orderId - Original order ID
+   * @param {Object} [payment] - Payment details ({ paid_order_id })
+   * @returns {Object|null} Updated invoice record, or null if there is none
+   */
+  async completePayment(shopifyService, orderId, { paid_order_id = null } = {}) {
+    let record = this.get(orderId);
+
+    if (!record || record.status === STATUS.CANCELLED) {
+      return null;
+    }
+
+    if (record.status === STATUS.PENDING_PAYMENT) {
+      record = this.store.set(this.key(orderId), {
+        ...record,
+        status: STATUS.PAID,
+        paid_at: new Date().toISOString(),
+        paid_order_id,
+        paid_total: formatCents(toCents(record.paid_total) + toCents(record.amount)),
+        applied: false,
+        updated_at: new Date().toISOString()
+      });
+    }
+
+    if (record.applied) {
+      return record;
+    }
+
+    try {
+      const result = await saveOrderAddresses(shopifyService, {
+        tenantId: this.tenantId,
+        actor: record.actor,
+        orderId,
+        lineItems: record.line_items,
+        saveMethod: record.save_method,
+        metadata: { extra_shipping_draft_order_id: record.draft_order_id }
+      });
+
+      return this.store.set(this.key(orderId), {
+        ...record,
+        applied: true,
+        apply_error: null,
+        result,
+        updated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      // Paid but not applied; refresh() tries again
+      console.error(`Failed to apply paid multi-address save for order ${orderId}:`, error.message);
+      return this.store.set(this.key(orderId), {
+        ...record,
+        applied: false,
+        apply_error: error.message,
+        updated_at: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Check the invoice with Shopify and apply the save if it has been paid
+   * @param {ShopifyService} shopifyService - Shopify service for the tenant
+   * @param {string|number} orderId - Original order ID
+   * @returns {Object} Invoice record
+   */
+  async refresh(shopifyService, orderId) {
+    const record = this.get(orderId);
+
+    if (!record) {
+      throw new ApiError('No extra shipping invoice for this order', 404);
+    }
+
+    if (record.status === STATUS.PAID) {
+      return record.applied ? record : this.completePayment(shopifyService, orderId);
+    }
+
+    if (record.status !== STATUS.PENDING_PAYMENT) {
+      return record;
+    }
+
+    const draft = await shopifyService.getDraftOrder(record.draft_order_id);
+
+    if (draft.status !== 'completed') {
+      return record;
+    }
+
+    return this.completePayment(shopifyService, orderId, { paid_order_id: draft.order_id });
+  }
+
+  /**
+   * Cancel a pending invoice and drop the held save
+   * @param {ShopifyService} shopifyService - Shopify service for the tenant
+   * @param {string|number} orderId - Original order ID
+   * @returns {Object} Cancelled invoice record
+   */
+  async cancel(shopifyService, orderId) {
+    const record = this.get(orderId);
+
+    if (!record) {
+      throw new ApiError('No extra shipping invoice for this order', 404);
+    }
+
+    if (record.status !== STATUS.PENDING_PAYMENT) {
+      throw new ApiError(`Only a pending invoice can be cancelled; this one is ${record.status}`, 409);
+    }
+
+    await shopifyService.deleteDraftOrder(record.draft_order_id);
+
+    new OrderTracker(this.tenantId).updateStatus(orderId, OrderTracker.STATUS.AWAITING_ADDRESSES);
+
+    return this.store.set(this.key(orderId), {
+      ...record,
+      status: STATUS.CANCELLED,
+      line_items: null,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Original order an invoice order was created for
+   * @param {Object} order - Shopify order (e.g. from a webhook)
+   * @returns {string|null} Original order ID
+   */
+  static invoicedOrderId(order) {
+    return order.note_attributes?.find(attr => attr.name === INVOICE_ATTRIBUTE)?.value || null;
+  }
+}
+
+ShippingInvoices.STATUS = STATUS;
+ShippingInvoices.INVOICE_ATTRIBUTE = INVOICE_ATTRIBUTE;
+
+module.exports = ShippingInvoices;
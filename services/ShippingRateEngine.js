@@ -0,0 +1,241 @@
+/**
+ * Shipping Rate Engine
+ *
+ * Prices each shipment of a multi-address order from a rate table: zones
+ * matched by country/state, weight tiers and service levels (standard,
+ * expedited). The default table is shippingRates.json; SHIPPING_RATES_FILE or a
+ * tenant's `shipping_rates` replaces it.
+ *
+ * Rate table format:
+ * {
+ *   "currency": "USD",
+ *   "default_item_grams": 454,          // used when a variant has no weight
+ *   "default_service": "standard",
+ *   "services": { "standard": { "name": "Standard" } },
+ *   "zones": [{
+ *     "id": "us_contiguous",
+ *     "name": "US - Contiguous states",
+ *     "match": [{ "country": "US", "provinces": ["TX"] }],   // "*" matches any country
+ *     "rates": {
+ *       "standard": [
+ *         { "max_grams": 500, "price": 6.95 },
+ *         { "max_grams": null, "price": 9.95, "per_additional_kg": 2.00 }
+ *       ]
+ *     }
+ *   }]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ApiError } = require('../middleware/errorHandler');
+const { findProvinceCode } = require('../validators/countryRules');
+const { toCents, formatCents, paidShipping } = require('./money');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, 'shippingRates.json');
+
+const rateTableCache = new Map();
+
+/**
+ * Check that a rate table has everything the engine needs
+ * @param {Object} table - Rate table
+ * @param {string} source - Where the table came from (for error messages)
+ * @returns {Object} The same table
+ */
+const checkRateTable = (table, source) => {
+  if (!table || !Array.isArray(table.zones) || !table.services) {
+    throw new Error(`Rate table ${source} must have "services" and a "zones" array`);
+  }
+
+  table.zones.forEach((zone, index) => {
+    if (!zone.id || !Array.isArray(zone.match) || !zone.rates) {
+      throw new Error(`Zone at index ${index} of rate table ${source} needs an id, a match list and rates`);
+    }
+
+    Object.entries(zone.rates).forEach(([service, tiers]) => {
+      if (!table.services[service]) {
+        throw new Error(`Zone "${zone.id}" of rate table ${source} has rates for unknown service "${service}"`);
+      }
+      if (!Array.isArray(tiers) || tiers.length === 0) {
+        throw new Error(`Zone "${zone.id}" of rate table ${source} has no weight tiers for "${service}"`);
+      }
+    });
+  });
+
+  return table;
+};
+
+/**
+ * Load a rate table file, once per path
+ * @param {string} filePath - Path to a JSON rate table
+ * @returns {Object} Rate table
+ */
+const loadRateTableFile = (filePath) => {
+  if (!rateTableCache.has(filePath)) {
+    const table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    rateTableCache.set(filePath, checkRateTable(table, filePath));
+  }
+  return rateTableCache.get(filePath);
+};
+
+/**
+ * Convert a weight to grams
+ * @param {number} value - Weight
+ * @param {string} unit - GRAMS, KILOGRAMS, OUNCES or POUNDS
+ * @returns {number} Grams
+ */
+const toGrams = (value, unit) => {
+  const factors = { GRAMS: 1, KILOGRAMS: 1000, OUNCES: 28.3495, POUNDS: 453.592 };
+  return Math.round(Number(value || 0) * (factors[String(unit).toUpperCase()] || 1));
+};
+
+class ShippingRateEngine {
+  /**
+   * @param {Object} rateTable - Rate table (see format above)
+   */
+  constructor(rateTable) {
+    this.table = checkRateTable(rateTable, 'configuration');
+  }
+
+  /**
+   * Create the engine for a tenant
+   * @param {Object} [tenant] - Tenant from the tenant registry
+   * @returns {ShippingRateEngine} Engine using the tenant's rate table
+   */
+  static forTenant(tenant = null) {
+    if (tenant?.shipping_rates) {
+      return new ShippingRateEngine(tenant.shipping_rates);
+    }
+    return new ShippingRateEngine(loadRateTableFile(process.env.SHIPPING_RATES_FILE || DEFAULT_RATES_FILE));
+  }
+
+  /**
+   * List the service levels in the rate table
+   * @returns {Array} Services ({ code, name })
+   */
+  getServices() {
+    return Object.entries(this.table.services).map(([code, service]) => ({ code, name: service.name }));
+  }
+
+  /**
+   * Find the first zone that covers an address
+   * @param {Object} address - Shipping address
+   * @returns {Object|null} Zone
+   */
+  findZone(address) {
+    const country = String(address.country || '').toUpperCase();
+    const province = findProvinceCode(country, address.province) || String(address.province || '').toUpperCase();
+
+    return this.table.zones.find(zone => zone.match.some(rule => {
+      if (rule.country !== '*' && rule.country !== country) {
+        return false;
+      }
+      return !rule.provinces || rule.provinces.includes(province);
+    })) || null;
+  }
+
+  /**
+   * Weight of one unit of an order line item
+   * @param {Object} orderItem - Shopify order line item
+   * @returns {number} Grams
+   */
+  unitGrams(orderItem) {
+    const grams = Number(orderItem?.grams);
+    return grams > 0 ? grams : this.table.default_item_grams || 0;
+  }
+
+  /**
+   * Price a shipment from a zone's weight tiers
+   * @param {Object} zone - Rate zone
+   * @param {number} grams - Shipment weight
+   * @param {string} service - Service level code
+   * @returns {number} Price in cents
+   */
+  rateShipment(zone, grams, service) {
+    const tiers = zone.rates[service];
+
+    if (!tiers) {
+      throw new ApiError(`${this.table.services[service].name} shipping is not available to ${zone.name || zone.id}`, 422);
+    }
+
+    const tier = tiers.find(candidate => candidate.max_grams === null || grams <= candidate.max_grams);
+
+    if (!tier) {
+      const limit = tiers[tiers.length - 1].max_grams;
+      throw new ApiError(`A ${grams} g shipment to ${zone.name || zone.id} is over the ${limit} g limit`, 422);
+    }
+
+    let cents = toCents(tier.price);
+
+    if (tier.max_grams === null && tier.per_additional_kg) {
+      // Charged per started kilogram over the heaviest capped tier
+      const cappedGrams = Math.max(0, ...tiers.filter(candidate => candidate.max_grams !== null).map(candidate => candidate.max_grams));
+      const extraKg = Math.ceil(Math.max(0, grams - cappedGrams) / 1000);
+      cents += extraKg * toCents(tier.per_additional_kg);
+    }
+
+    return cents;
+  }
+
+  /**
+   * Work out the shipping cost of each shipment of an order
+   * @param {Object} order - Shopify order
+   * @param {Array} groups - Line items grouped by address (from groupLineItemsByAddress)
+   * @param {Object} [options] - Quote options
+   * @param {string} [options.service] - Service level code
+   * @returns {Object} Quote with per-shipment prices and totals
+   */
+  quote(order, groups, { service } = {}) {
+    const serviceCode = service || this.table.default_service || Object.keys(this.table.services)[0];
+
+    if (!this.table.services[serviceCode]) {
+      throw new ApiError(`Unknown shipping service "${serviceCode}". Available: ${Object.keys(this.table.services).join(', ')}`, 400);
+    }
+
+    const shipments = groups.map((items, index) => {
+      const address = items[0].address;
+      const zone = this.findZone(address);
+
+      if (!zone) {
+        throw new ApiError(`No shipping zone covers ${address.country}${address.province ? `/${address.province}` : ''}`, 422);
+      }
+
+      const shipmentItems = items.map(item => {
+        const orderItem = order.line_items.find(li => li.id === item.line_item_id);
+        return {
+          line_item_id: item.line_item_id,
+          quantity: item.quantity,
+          grams: this.unitGrams(orderItem) * item.quantity
+        };
+      });
+
+      const grams = shipmentItems.reduce((sum, item) => sum + item.grams, 0);
+
+      return {
+        shipment: index + 1,
+        zone: { id: zone.id, name: zone.name },
+        shipping_address: address,
+        items: shipmentItems,
+        weight_grams: grams,
+        cents: this.rateShipment(zone, grams, serviceCode)
+      };
+    });
+
+    const totalCents = shipments.reduce((sum, shipment) => sum + shipment.cents, 0);
+    const paidCents = paidShipping(order);
+
+    return {
+      currency: this.table.currency,
+      service: { code: serviceCode, name: this.table.services[serviceCode].name },
+      shipments: shipments.map(({ cents, ...shipment }) => ({ ...shipment, price: formatCents(cents) })),
+      shipment_count: shipments.length,
+      total_shipping: formatCents(totalCents),
+      paid_shipping: formatCents(paidCents),
+      extra_shipping: formatCents(Math.max(0, totalCents - paidCents))
+    };
+  }
+}
+
+ShippingRateEngine.toGrams = toGrams;
+
+module.exports = ShippingRateEngine;
@@ -0,0 +1,1196 @@
+/**
+ * Shopify GraphQL Service
+ *
+ * Implements the ShopifyService interface on top of the GraphQL Admin API.
+ * Orders and draft orders are mapped to the REST shapes the routes already use,
+ * so the two services are interchangeable (see createShopifyService).
+ */
+
+const { ApiError } = require('../middleware/errorHandler');
+const ShopifyService = require('./ShopifyService');
+const ShippingRateEngine = require('./ShippingRateEngine');
+const { createShopifyClient, recordThrottle, readInt, sleep } = require('./shopifyClient');
+
+// Cost assumed for a query before Shopify reports the real one
+const DEFAULT_QUERY_COST = 50;
+const DEFAULT_MAX_RETRIES = 3;
+
+// Line items per page; connection costs scale with `first`, so larger pages of
+// an order's line items push a query past Shopify's 1000-point limit
+const LINE_ITEM_PAGE_SIZE = 50;
+
+// Cost-based throttle state, shared across instances for the same store
+const throttleStates = new Map();
+
+// Requested cost last reported for each query document, used as its estimate
+const queryCosts = new Map();
+
+const ADDRESS_FIELDS = `
+  firstName
+  lastName
+  company
+  address1
+  address2
+  city
+  province
+  provinceCode
+  zip
+  country
+  countryCodeV2
+  phone
+`;
+
+const ORDER_FIELDS = `
+  id
+  legacyResourceId
+  name
+  email
+  note
+  createdAt
+  cancelledAt
+  currencyCode
+  tags
+  displayFinancialStatus
+  displayFulfillmentStatus
+  taxesIncluded
+  discountCodes
+  totalPriceSet { shopMoney { amount } }
+  totalTaxSet { shopMoney { amount } }
+  totalShippingPriceSet { shopMoney { amount } }
+  shippingLines(first: 5) {
+    nodes {
+      title
+      originalPriceSet { shopMoney { amount } }
+      discountAllocations { allocatedAmountSet { shopMoney { amount } } }
+    }
+  }
+  customAttributes { key value }
+  customer { id email firstName lastName }
+  shippingAddress { ${ADDRESS_FIELDS} }
+  billingAddress { ${ADDRESS_FIELDS} }
+`;
+
+const LINE_ITEM_FIELDS = `
+  id
+  title
+  variantTitle
+  sku
+  quantity
+  currentQuantity
+  requiresShipping
+  taxable
+  customAttributes { key value }
+  originalUnitPriceSet { shopMoney { amount } }
+  totalDiscountSet { shopMoney { amount } }
+  discountAllocations { allocatedAmountSet { shopMoney { amount } } }
+  variant { id }
+  product { id }
+`;
+
+// Weight and image sit several objects deep, so they are read in their own
+// pages to keep each query well under the cost limit
+const LINE_ITEM_DETAIL_FIELDS = `
+  id
+  image { url }
+  variant { inventoryItem { measurement { weight { unit value } } } }
+`;
+
+const LINE_ITEMS_PAGE_QUERY = (fields) => `
+  query GetOrderLineItems($id: ID!, $first: Int!, $after: String) {
+    order(id: $id) {
+      lineItems(first: $first, after: $after) {
+        nodes { ${fields} }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+`;
+
+/**
+ * Build a GraphQL global ID
+ * @param {string} type - Resource type (e.g. Order)
+ * @param {string|number} id - Numeric ID or existing global ID
+ * @returns {string} Global ID
+ */
+const toGid = (type, id) => {
+  return String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+};
+
+/**
+ * Extract the numeric ID from a GraphQL global ID
+ * @param {string} gid - Global ID
+ * @returns {number|null} Numeric ID
+ */
+const fromGid = (gid) => {
+  if (!gid) {
+    return null;
+  }
+  return Number(String(gid).split('/').pop().split('?')[0]);
+};
+
+/**
+ * Convert a GraphQL Weight to grams
+ * @param {Object} weight - Weight ({ unit, value })
+ * @returns {number} Grams (0 when unknown)
+ */
+const toGrams = (weight) => {
+  return weight ? ShippingRateEngine.toGrams(weight.value, weight.unit) : 0;
+};
+
+/**
+ * Map a GraphQL MailingAddress to the REST address shape
+ * @param {Object} address - GraphQL address
+ * @returns {Object|null} REST-style address
+ */
+const mapAddress = (address) => {
+  if (!address) {
+    return null;
+  }
+
+  return {
+    first_name: address.firstName,
+    last_name: address.lastName,
+    company: address.company,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    province: address.province,
+    province_code: address.provinceCode,
+    zip: address.zip,
+    country: address.country,
+    country_code: address.countryCodeV2,
+    phone: address.phone
+  };
+};
+
+/**
+ * Map a REST-style address to a GraphQL MailingAddressInput
+ * @param {Object} address - REST-style or validated portal address
+ * @returns {Object|null} MailingAddressInput
+ */
+const toMailingAddressInput = (address) => {
+  if (!address) {
+    return null;
+  }
+
+  return {
+    firstName: address.first_name,
+    lastName: address.last_name,
+    address1: address.address1,
+    address2: address.address2 || null,
+    city: address.city,
+    provinceCode: address.province_code || address.province || null,
+    zip: address.zip || null,
+    countryCode: address.country_code || address.country,
+    phone: address.phone || null
+  };
+};
+
+/**
+ * Map GraphQL custom attributes to REST note attributes / properties
+ * @param {Array} attributes - GraphQL attributes ({ key, value })
+ * @returns {Array} REST attributes ({ name, value })
+ */
+const mapAttributes = (attributes = []) => {
+  return attributes.map(attr => ({ name: attr.key, value: attr.value }));
+};
+
+/**
+ * Map REST note attributes / properties to GraphQL attribute input
+ * @param {Array} attributes - REST attributes ({ name, value })
+ * @returns {Array} GraphQL AttributeInput list
+ */
+const toAttributeInput = (attributes = []) => {
+  return attributes.map(attr => ({ key: attr.name, value: String(attr.value) }));
+};
+
+// GraphQL display fulfillment statuses that REST reports (others are null)
+const FULFILLMENT_STATUSES = {
+  FULFILLED: 'fulfilled',
+  PARTIALLY_FULFILLED: 'partial',
+  RESTOCKED: 'restocked'
+};
+
+const FULFILLMENT_FIELDS = `
+  id
+  status
+  displayStatus
+  createdAt
+  trackingInfo { company number url }
+  fulfillmentLineItems(first: 100) {
+    nodes { quantity lineItem { id } }
+  }
+`;
+
+/**
+ * Map a GraphQL fulfillment to the REST-style fields used for shipment status
+ * @param {Object} fulfillment - GraphQL fulfillment
+ * @returns {Object} Fulfillment ({ id, status, shipment_status, created_at, tracking, line_items })
+ */
+const mapFulfillment = (fulfillment) => {
+  return {
+    id: fromGid(fulfillment.id),
+    status: String(fulfillment.status).toLowerCase(),
+    shipment_status: fulfillment.displayStatus ? String(fulfillment.displayStatus).toLowerCase() : null,
+    created_at: fulfillment.createdAt,
+    tracking: (fulfillment.trackingInfo || []).map(info => ({
+      company: info.company || null,
+      number: info.number,
+      url: info.url || null
+    })),
+    line_items: fulfillment.fulfillmentLineItems.nodes.map(item => ({
+      line_item_id: fromGid(item.lineItem.id),
+      quantity: item.quantity
+    }))
+  };
+};
+
+/**
+ * Map GraphQL discount allocations to REST discount allocations
+ * @param {Array} allocations - GraphQL allocations ({ allocatedAmountSet })
+ * @returns {Array} REST allocations ({ amount })
+ */
+const mapDiscountAllocations = (allocations = []) => {
+  return allocations.map(allocation => ({ amount: allocation.allocatedAmountSet?.shopMoney?.amount }));
+};
+
+/**
+ * Map a GraphQL order to the REST order shape used by the routes
+ * @param {Object} order - GraphQL order
+ * @param {Array} lineItems - The order's line items (LINE_ITEM_FIELDS)
+ * @param {Array} [lineItemDetails] - Weight and image per line item (LINE_ITEM_DETAIL_FIELDS)
+ * @returns {Object} REST-style order
+ */
+const mapOrder = (order, lineItems, lineItemDetails = []) => {
+  const details = new Map(lineItemDetails.map(detail => [detail.id, detail]));
+
+  return {
+    id: Number(order.legacyResourceId),
+    admin_graphql_api_id: order.id,
+    name: order.name,
+    order_number: Number(String(order.name).replace(/\D/g, '')) || null,
+    email: order.email,
+    note: order.note,
+    created_at: order.createdAt,
+    cancelled_at: order.cancelledAt,
+    currency: order.currencyCode,
+    tags: (order.tags || []).join(', '),
+    financial_status: order.displayFinancialStatus?.toLowerCase(),
+    fulfillment_status: FULFILLMENT_STATUSES[order.displayFulfillmentStatus] || null,
+    taxes_included: order.taxesIncluded,
+    discount_codes: (order.discountCodes || []).map(code => ({ code })),
+    total_price: order.totalPriceSet?.shopMoney?.amount,
+    total_tax: order.totalTaxSet?.shopMoney?.amount,
+    total_shipping_price_set: order.totalShippingPriceSet
+      ? { shop_money: { amount: order.totalShippingPriceSet.shopMoney.amount } }
+      : undefined,
+    shipping_lines: (order.shippingLines?.nodes || []).map(line => ({
+      title: line.title,
+      price: line.originalPriceSet?.shopMoney?.amount,
+      discount_allocations: mapDiscountAllocations(line.discountAllocations)
+    })),
+    note_attributes: mapAttributes(order.customAttributes),
+    customer: order.customer
+      ? {
+        id: fromGid(order.customer.id),
+        email: order.customer.email,
+        first_name: order.customer.firstName,
+        last_name: order.customer.lastName
+      }
+      : null,
+    shipping_address: mapAddress(order.shippingAddress),
+    billing_address: mapAddress(order.billingAddress),
+    line_items: lineItems.map(item => ({
+      id: fromGid(item.id),
+      admin_graphql_api_id: item.id,
+      title: item.title,
+      variant_title: item.variantTitle,
+      sku: item.sku,
+      quantity: item.quantity,
+      current_quantity: item.currentQuantity,
+      requires_shipping: item.requiresShipping,
+      taxable: item.taxable,
+      price: item.originalUnitPriceSet?.shopMoney?.amount,
+      total_discount: item.totalDiscountSet?.shopMoney?.amount,
+      discount_allocations: mapDiscountAllocations(item.discountAllocations),
+      properties: mapAttributes(item.customAttributes),
+      variant_id: fromGid(item.variant?.id),
+      product_id: fromGid(item.product?.id),
+      grams: toGrams(details.get(item.id)?.variant?.inventoryItem?.measurement?.weight),
+      image: details.get(item.id)?.image?.url || null
+    }))
+  };
+};
+
+class ShopifyGraphQLService extends ShopifyService {
+  /**
+   * @param {Object} [tenant] - Tenant from the tenant registry
+   */
+  constructor(tenant = null) {
+    super(tenant);
+    this.maxRetries = readInt(process.env.SHOPIFY_MAX_RETRIES, DEFAULT_MAX_RETRIES);
+
+    // GraphQL is limited by query cost, not the REST call bucket
+    this.graphqlApi = createShopifyClient({
+      baseURL: this.baseURL,
+      accessToken: this.accessToken,
+      storeKey: this.storeUrl,
+      leakyBucket: false
+    });
+  }
+
+  /**
+   * Get the cost-based throttle state for this store
+   * @returns {Object} Throttle state
+   */
+  getThrottleState() {
+    if (!throttleStates.has(this.storeUrl)) {
+      throttleStates.set(this.storeUrl, {
+        maximumAvailable: 1000,
+        currentlyAvailable: 1000,
+        restoreRate: 50,
+        reserved: 0,
+        updatedAt: Date.now()
+      });
+    }
+    return throttleStates.get(this.storeUrl);
+  }
+
+  /**
+   * Estimate the points available now, accounting for restore since the last update
+   * @param {Object} state - Throttle state
+   * @returns {number} Available query cost points
+   */
+  estimateAvailable(state) {
+    const elapsedSeconds = (Date.now() - state.updatedAt) / 1000;
+    return Math.min(state.maximumAvailable, state.currentlyAvailable + elapsedSeconds * state.restoreRate);
+  }
+
+  /**
+   * Wait until enough query cost points are available, reserving them so
+   * concurrent queries don't all count the same points (see releaseQueryCost)
+   * @param {number} cost - Expected query cost
+   */
+  async waitForQueryCost(cost) {
+    const state = this.getThrottleState();
+    const available = this.estimateAvailable(state) - state.reserved;
+
+    state.reserved += cost;
+
+    if (available < cost) {
+      const waitMs = ((cost - available) / state.restoreRate) * 1000;
+      recordThrottle(waitMs);
+      await sleep(waitMs);
+    }
+  }
+
+  /**
+   * Give back points reserved by waitForQueryCost once the query has returned
+   * (its real cost is then in the reported throttle status)
+   * @param {number} cost - Cost that was reserved
+   */
+  releaseQueryCost(cost) {
+    const state = this.getThrottleState();
+    state.reserved = Math.max(0, state.reserved - cost);
+  }
+
+  /**
+   * Update throttle state from a response's cost extension
+   * @param {Object} cost - extensions.cost from the GraphQL response
+   */
+  updateThrottleState(cost) {
+    const throttleStatus = cost?.throttleStatus;
+
+    if (!throttleStatus) {
+      return;
+    }
+
+    const state = this.getThrottleState();
+    state.maximumAvailable = throttleStatus.maximumAvailable;
+    state.currentlyAvailable = throttleStatus.currentlyAvailable;
+    state.restoreRate = throttleStatus.restoreRate;
+    state.updatedAt = Date.now();
+  }
+
+  /**
+   * Run a GraphQL Admin API query
+   * @param {string} query - GraphQL document
+   * @param {Object} [variables] - Query variables
+   * @returns {Object} Response data
+   */
+  async graphql(query, variables = {}) {
+    // Queries only read, so transport failures can be retried; mutations can't
+    const idempotent = !query.trim().startsWith('mutation');
+
+    for (let attempt = 1; ; attempt++) {
+      const expectedCost = queryCosts.get(query) || DEFAULT_QUERY_COST;
+      let response;
+
+      await this.waitForQueryCost(expectedCost);
+
+      try {
+        response = await this.graphqlApi.post('/graphql.json', { query, variables }, { idempotent });
+      } finally {
+        this.releaseQueryCost(expectedCost);
+      }
+
+      const { data, errors, extensions } = response.data;
+
+      this.updateThrottleState(extensions?.cost);
+
+      if (extensions?.cost?.requestedQueryCost) {
+        queryCosts.set(query, extensions.cost.requestedQueryCost);
+      }
+
+      if (!errors?.length) {
+        return data;
+      }
+
+      const throttled = errors.some(error => error.extensions?.code === 'THROTTLED');
+
+      if (throttled && attempt <= this.maxRetries) {
+        const state = this.getThrottleState();
+        const cost = extensions?.cost?.requestedQueryCost || DEFAULT_QUERY_COST;
+        const waitMs = Math.max(0, ((cost - state.currentlyAvailable) / state.restoreRate) * 1000);
+
+        recordThrottle(waitMs, true);
+        await sleep(waitMs);
+        continue;
+      }
+
+      throw new ApiError(
+        `Shopify GraphQL error: ${errors.map(error => error.message).join(', ')}`,
+        throttled ? 429 : 502,
+        true,
+        { graphql_errors: errors }
+      );
+    }
+  }
+
+  /**
+   * Throw an ApiError if a mutation returned user errors
+   * @param {Array} userErrors - Mutation user errors
+   * @param {string} action - Description of the mutation for the message
+   */
+  assertNoUserErrors(userErrors, action) {
+    if (userErrors?.length) {
+      throw new ApiError(
+        `${action}: ${userErrors.map(error => error.message).join(', ')}`,
+        422,
+        true,
+        { user_errors: userErrors }
+      );
+    }
+  }
+
+  /**
+   * Get order by ID
+   * @param {string|number} orderId - Order ID
+   * @returns {Object} Order data (REST shape)
+   */
+  async getOrder(orderId) {
+    const id = toGid('Order', orderId);
+    const data = await this.graphql(
+      `query GetOrder($id: ID!, $first: Int!) {
+        order(id: $id) {
+          ${ORDER_FIELDS}
+          lineItems(first: $first) {
+            nodes { ${LINE_ITEM_FIELDS} }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      }`,
+      { id, first: LINE_ITEM_PAGE_SIZE }
+    );
+
+    if (!data.order) {
+      throw new ApiError('Order not found', 404);
+    }
+
+    const lineItems = await this.getOrderLineItemPages(id, LINE_ITEM_FIELDS, data.order.lineItems);
+    const lineItemDetails = await this.getOrderLineItemPages(id, LINE_ITEM_DETAIL_FIELDS);
+
+    return mapOrder(data.order, lineItems, lineItemDetails);
+  }
+
+  /**
+   * Read an order's line items page by page
+   * @param {string} orderGid - Order global ID
+   * @param {string} fields - Line item fields to select
+   * @param {Object} [firstPage] - First page, if already fetched ({ nodes, pageInfo })
+   * @returns {Array} Line items (GraphQL shape)
+   */
+  async getOrderLineItemPages(orderGid, fields, firstPage = null) {
+    const lineItems = [];
+    let page = firstPage;
+    let after = null;
+
+    do {
+      if (!page) {
+        const data = await this.graphql(LINE_ITEMS_PAGE_QUERY(fields), { id: orderGid, first: LINE_ITEM_PAGE_SIZE, after });
+
+        if (!data.order) {
+          throw new ApiError('Order not found', 404);
+        }
+
+        page = data.order.lineItems;
+      }
+
+      lineItems.push(...page.nodes);
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+      page = null;
+    } while (after);
+
+    return lineItems;
+  }
+
+  /**
+   * List a customer's orders, newest first
+   * @param {string|number} customerId - Shopify customer ID
+   * @param {number} [limit] - Maximum number of orders
+   * @returns {Array} Orders ({ id, name, created_at })
+   */
+  async getCustomerOrders(customerId, limit = 50) {
+    const data = await this.graphql(
+      `query GetCustomerOrders($id: ID!, $first: Int!) {
+        customer(id: $id) {
+          orders(first: $first, sortKey: CREATED_AT, reverse: true) {
+            nodes { legacyResourceId name createdAt }
+          }
+        }
+      }`,
+      { id: toGid('Customer', customerId), first: limit }
+    );
+
+    if (!data.customer) {
+      throw new ApiError('Customer not found', 404);
+    }
+
+    return data.customer.orders.nodes.map(order => ({
+      id: Number(order.legacyResourceId),
+      name: order.name,
+      created_at: order.createdAt
+    }));
+  }
+
+  /**
+   * List orders that may be parts of a split, with the fields needed to check
+   *
+   * Without IDs, orders are searched by the tag every split part carries.
+   * @param {Object} filter - Which orders to list
+   * @param {Array} [filter.ids] - Order IDs from the split record
+   * @param {string} [filter.since] - Otherwise, tagged orders placed since this date
+   * @returns {Array} Orders ({ id, name, created_at, cancelled_at, fulfillment_status, note_attributes })
+   */
+  async getSplitChildCandidates({ ids = null, since = null }) {
+    const fields = 'legacyResourceId name createdAt cancelledAt displayFulfillmentStatus customAttributes { key value }';
+    const mapCandidate = (order) => ({
+      id: Number(order.legacyResourceId),
+      name: order.name,
+      created_at: order.createdAt,
+      cancelled_at: order.cancelledAt,
+      fulfillment_status: FULFILLMENT_STATUSES[order.displayFulfillmentStatus] || null,
+      note_attributes: mapAttributes(order.customAttributes)
+    });
+
+    if (ids) {
+      const data = await this.graphql(
+        `query GetSplitChildOrders($ids: [ID!]!) { nodes(ids: $ids) { ... on Order { ${fields} } } }`,
+        { ids: ids.map(id => toGid('Order', id)) }
+      );
+      return data.nodes.filter(Boolean).map(mapCandidate);
+    }
+
+    const orders = [];
+    let after = null;
+
+    do {
+      const data = await this.graphql(
+        `query SearchSplitChildOrders($query: String!, $after: String) {
+          orders(first: 50, after: $after, query: $query) {
+            nodes { ${fields} }
+            pageInfo { hasNextPage endCursor }
+          }
+        }`,
+        { query: `tag:'${ShopifyService.CHILD_TAG}' AND created_at:>='${since}'`, after }
+      );
+
+      orders.push(...data.orders.nodes.map(mapCandidate));
+      after = data.orders.pageInfo.hasNextPage ? data.orders.pageInfo.endCursor : null;
+    } while (after);
+
+    return orders;
+  }
+
+  /**
+   * Find the multi-address metafield on an order
+   * @param {string|number} orderId - Order ID
+   * @returns {Object|null} Metafield with `id` and JSON `value`, or null
+   */
+  async findAddressMetafield(orderId) {
+    const data = await this.graphql(
+      `query GetAddressMetafield($id: ID!, $namespace: String!, $key: String!) {
+        order(id: $id) { metafield(namespace: $namespace, key: $key) { id value } }
+      }`,
+      {
+        id: toGid('Order', orderId),
+        namespace: ShopifyService.METAFIELD_NAMESPACE,
+        key: ShopifyService.METAFIELD_KEY
+      }
+    );
+
+    if (!data.order) {
+      throw new ApiError('Order not found', 404);
+    }
+
+    const metafield = data.order.metafield;
+    return metafield ? { id: fromGid(metafield.id), value: metafield.value } : null;
+  }
+
+  /**
+   * Create or replace the multi-address metafield with metafieldsSet
+   * @param {string|number} orderId - Order ID
+   * @param {Object} addressData - Metafield value
+   * @returns {Object} Metafield with `id`
+   */
+  async writeAddressMetafield(orderId, addressData) {
+    const data = await this.graphql(
+      `mutation SetAddressMetafield($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { id }
+          userErrors { field message code }
+        }
+      }`,
+      {
+        metafields: [{
+          ownerId: toGid('Order', orderId),
+          namespace: ShopifyService.METAFIELD_NAMESPACE,
+          key: ShopifyService.METAFIELD_KEY,
+          type: 'json',
+          value: JSON.stringify(addressData)
+        }]
+      }
+    );
+
+    this.assertNoUserErrors(data.metafieldsSet.userErrors, 'Failed to set metafield');
+    return { id: fromGid(data.metafieldsSet.metafields[0].id) };
+  }
+
+  /**
+   * Delete the multi-address metafield from an order
+   * @param {string|number} orderId - Order ID
+   */
+  async deleteMetafield(orderId) {
+    const data = await this.graphql(
+      `mutation DeleteAddressMetafield($metafields: [MetafieldIdentifierInput!]!) {
+        metafieldsDelete(metafields: $metafields) {
+          deletedMetafields { key }
+          userErrors { field message }
+        }
+      }`,
+      {
+        metafields: [{
+          ownerId: toGid('Order', orderId),
+          namespace: ShopifyService.METAFIELD_NAMESPACE,
+          key: ShopifyService.METAFIELD_KEY
+        }]
+      }
+    );
+
+    this.assertNoUserErrors(data.metafieldsDelete.userErrors, 'Failed to delete metafield');
+  }
+
+  /**
+   * Update order fields
+   * @param {string|number} orderId - Order ID
+   * @param {Object} fields - Order fields to update (REST names, e.g. note)
+   * @returns {Object} Updated order ({ id, note })
+   */
+  async updateOrder(orderId, fields) {
+    const input = { id: toGid('Order', orderId) };
+
+    if (fields.note !== undefined) {
+      input.note = fields.note;
+    }
+    if (fields.tags !== undefined) {
+      input.tags = Array.isArray(fields.tags) ? fields.tags : String(fields.tags).split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    if (fields.note_attributes !== undefined) {
+      input.customAttributes = toAttributeInput(fields.note_attributes);
+    }
+
+    const data = await this.graphql(
+      `mutation UpdateOrder($input: OrderInput!) {
+        orderUpdate(input: $input) {
+          order { id note }
+          userErrors { field message }
+        }
+      }`,
+      { input }
+    );
+
+    this.assertNoUserErrors(data.orderUpdate.userErrors, 'Failed to update order');
+    return {
+      id: fromGid(data.orderUpdate.order.id),
+      note: data.orderUpdate.order.note
+    };
+  }
+
+  /**
+   * Get all metafields for an order
+   * @param {string|number} orderId - Order ID
+   * @returns {Array} Metafields (REST shape)
+   */
+  async getOrderMetafields(orderId) {
+    try {
+      const data = await this.graphql(
+        `query GetOrderMetafields($id: ID!) {
+          order(id: $id) { metafields(first: 50) { nodes { id namespace key value type } } }
+        }`,
+        { id: toGid('Order', orderId) }
+      );
+
+      if (!data.order) {
+        throw new ApiError('Order not found', 404);
+      }
+
+      return data.order.metafields.nodes.map(metafield => ({
+        ...metafield,
+        id: fromGid(metafield.id)
+      }));
+    } catch (error) {
+      throw new ApiError(`Failed to fetch order metafields: ${error.message}`, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Create a draft order with draftOrderCreate
+   * @param {Object} draftOrder - Draft order payload (REST shape)
+   * @returns {Object} Created draft order ({ id, invoice_url })
+   */
+  async createDraftOrder(draftOrder) {
+    const input = {
+      lineItems: draftOrder.line_items.map(item => (item.variant_id
+        ? {
+          variantId: toGid('ProductVariant', item.variant_id),
+          quantity: item.quantity,
+          customAttributes: toAttributeInput(item.properties)
+        }
+        : {
+          // Custom line item (e.g. a shipping charge or a split order item)
+          title: item.title,
+          originalUnitPrice: item.price,
+          quantity: item.quantity,
+          sku: item.sku,
+          weight: item.grams ? { unit: 'GRAMS', value: Number(item.grams) } : undefined,
+          requiresShipping: item.requires_shipping !== false,
+          taxable: item.taxable !== false,
+          customAttributes: toAttributeInput(item.properties)
+        })),
+      shippingAddress: toMailingAddressInput(draftOrder.shipping_address),
+      billingAddress: toMailingAddressInput(draftOrder.billing_address),
+      note: draftOrder.note,
+      customAttributes: toAttributeInput(draftOrder.note_attributes)
+    };
+
+    if (draftOrder.applied_discount) {
+      input.appliedDiscount = {
+        title: draftOrder.applied_discount.title,
+        description: draftOrder.applied_discount.description,
+        value: Number(draftOrder.applied_discount.value),
+        valueType: draftOrder.applied_discount.value_type === 'percentage' ? 'PERCENTAGE' : 'FIXED_AMOUNT'
+      };
+    }
+    if (draftOrder.shipping_line) {
+      input.shippingLine = {
+        title: draftOrder.shipping_line.title,
+        price: draftOrder.shipping_line.price
+      };
+    }
+    if (draftOrder.tax_exempt !== undefined) {
+      input.taxExempt = draftOrder.tax_exempt;
+    }
+
+    if (draftOrder.email) {
+      input.email = draftOrder.email;
+    }
+    if (draftOrder.tags) {
+      input.tags = Array.isArray(draftOrder.tags) ? draftOrder.tags : String(draftOrder.tags).split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    if (draftOrder.customer?.id) {
+      input.purchasingEntity = { customerId: toGid('Customer', draftOrder.customer.id) };
+    }
+
+    const data = await this.graphql(
+      `mutation CreateDraftOrder($input: DraftOrderInput!) {
+        draftOrderCreate(input: $input) {
+          draftOrder { id invoiceUrl }
+          userErrors { field message }
+        }
+      }`,
+      { input }
+    );
+
+    this.assertNoUserErrors(data.draftOrderCreate.userErrors, 'Failed to create draft order');
+    return {
+      id: fromGid(data.draftOrderCreate.draftOrder.id),
+      invoice_url: data.draftOrderCreate.draftOrder.invoiceUrl
+    };
+  }
+
+  /**
+   * Complete a draft order with draftOrderComplete
+   * @param {string|number} draftOrderId - Draft order ID
+   * @param {Object} [options] - Completion options
+   * @param {boolean} [options.paymentPending] - Leave the order unpaid instead of marking it paid
+   * @returns {Object} Completed draft order ({ id, order_id, total_price })
+   */
+  async completeDraftOrder(draftOrderId, { paymentPending = false } = {}) {
+    const data = await this.graphql(
+      `mutation CompleteDraftOrder($id: ID!, $paymentPending: Boolean) {
+        draftOrderComplete(id: $id, paymentPending: $paymentPending) {
+          draftOrder { id totalPriceSet { shopMoney { amount } } order { id } }
+          userErrors { field message }
+        }
+      }`,
+      { id: toGid('DraftOrder', draftOrderId), paymentPending }
+    );
+
+    this.assertNoUserErrors(data.draftOrderComplete.userErrors, 'Failed to complete draft order');
+    return {
+      id: fromGid(data.draftOrderComplete.draftOrder.id),
+      order_id: fromGid(data.draftOrderComplete.draftOrder.order?.id),
+      total_price: data.draftOrderComplete.draftOrder.totalPriceSet?.shopMoney?.amount
+    };
+  }
+
+  /**
+   * Get a draft order
+   * @param {string|number} draftOrderId - Draft order ID
+   * @returns {Object} Draft order ({ id, status, order_id, invoice_url })
+   */
+  async getDraftOrder(draftOrderId) {
+    const data = await this.graphql(
+      `query GetDraftOrder($id: ID!) {
+        draftOrder(id: $id) { id status invoiceUrl order { id } }
+      }`,
+      { id: toGid('DraftOrder', draftOrderId) }
+    );
+
+    if (!data.draftOrder) {
+      throw new ApiError('Draft order not found', 404);
+    }
+
+    return {
+      id: fromGid(data.draftOrder.id),
+      status: String(data.draftOrder.status).toLowerCase(),
+      order_id: fromGid(data.draftOrder.order?.id),
+      invoice_url: data.draftOrder.invoiceUrl
+    };
+  }
+
+  /**
+   * Email a draft order's invoice with draftOrderInvoiceSend
+   * @param {string|number} draftOrderId - Draft order ID
+   * @param {Object} [invoice] - Invoice email options ({ to, subject, custom_message })
+   * @returns {Object} Sent invoice ({ draft_order_id })
+   */
+  async sendDraftOrderInvoice(draftOrderId, invoice = {}) {
+    const email = {};
+
+    if (invoice.to) {
+      email.to = invoice.to;
+    }
+    if (invoice.subject) {
+      email.subject = invoice.subject;
+    }
+    if (invoice.custom_message) {
+      email.customMessage = invoice.custom_message;
+    }
+
+    const data = await this.graphql(
+      `mutation SendDraftOrderInvoice($id: ID!, $email: EmailInput) {
+        draftOrderInvoiceSend(id: $id, email: $email) {
+          draftOrder { id }
+          userErrors { field message }
+        }
+      }`,
+      { id: toGid('DraftOrder', draftOrderId), email }
+    );
+
+    this.assertNoUserErrors(data.draftOrderInvoiceSend.userErrors, 'Failed to send draft order invoice');
+    return { draft_order_id: fromGid(data.draftOrderInvoiceSend.draftOrder.id) };
+  }
+
+  /**
+   * Delete a draft order with draftOrderDelete
+   * @param {string|number} draftOrderId - Draft order ID
+   */
+  async deleteDraftOrder(draftOrderId) {
+    const data = await this.graphql(
+      `mutation DeleteDraftOrder($input: DraftOrderDeleteInput!) {
+        draftOrderDelete(input: $input) {
+          deletedId
+          userErrors { field message }
+        }
+      }`,
+      { input: { id: toGid('DraftOrder', draftOrderId) } }
+    );
+
+    const { userErrors } = data.draftOrderDelete;
+
+    if (userErrors?.length) {
+      // Already gone counts as deleted
+      const gone = await this.getDraftOrder(draftOrderId).then(() => false, error => {
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+        return true;
+      });
+
+      if (gone) {
+        return;
+      }
+    }
+
+    this.assertNoUserErrors(userErrors, 'Failed to delete draft order');
+  }
+
+  /**
+   * List an order's fulfillment orders
+   * @param {string|number} orderId - Order ID
+   * @returns {Array} Fulfillment orders ({ id, status, supported_actions, line_items })
+   */
+  async getFulfillmentOrders(orderId) {
+    const data = await this.graphql(
+      `query GetFulfillmentOrders($id: ID!) {
+        order(id: $id) {
+          fulfillmentOrders(first: 50) {
+            nodes {
+              id
+              status
+              assignedLocation { location { id } }
+              supportedActions { action }
+              fulfillmentHolds { reason reasonNotes }
+              lineItems(first: 100) {
+                nodes { id totalQuantity remainingQuantity lineItem { id } }
+              }
+            }
+          }
+        }
+      }`,
+      { id: toGid('Order', orderId) }
+    );
+
+    if (!data.order) {
+      throw new ApiError('Order not found', 404);
+    }
+
+    return data.order.fulfillmentOrders.nodes.map(fo => ({
+      id: fromGid(fo.id),
+      status: String(fo.status).toLowerCase(),
+      assigned_location_id: fromGid(fo.assignedLocation?.location?.id),
+      supported_actions: fo.supportedActions.map(supported => String(supported.action).toLowerCase()),
+      fulfillment_holds: (fo.fulfillmentHolds || []).map(hold => ({
+        reason: String(hold.reason).toLowerCase(),
+        reason_notes: hold.reasonNotes || null
+      })),
+      line_items: fo.lineItems.nodes.map(foItem => ({
+        id: fromGid(foItem.id),
+        line_item_id: fromGid(foItem.lineItem.id),
+        quantity: foItem.totalQuantity,
+        fulfillable_quantity: foItem.remainingQuantity
+      }))
+    }));
+  }
+
+  /**
+   * Split line items off a fulfillment order with fulfillmentOrderSplit
+   * @param {string|number} fulfillmentOrderId - Fulfillment order ID
+   * @param {Array} lineItems - Fulfillment order line items to split off ({ id, quantity })
+   * @returns {Object} Split fulfillment order IDs
+   */
+  async splitFulfillmentOrder(fulfillmentOrderId, lineItems) {
+    const data = await this.graphql(
+      `mutation SplitFulfillmentOrder($splits: [FulfillmentOrderSplitInput!]!) {
+        fulfillmentOrderSplit(fulfillmentOrderSplits: $splits) {
+          fulfillmentOrderSplits {
+            fulfillmentOrder { id }
+            remainingFulfillmentOrder { id }
+            replacementFulfillmentOrder { id }
+          }
+          userErrors { field message }
+        }
+      }`,
+      {
+        splits: [{
+          fulfillmentOrderId: toGid('FulfillmentOrder', fulfillmentOrderId),
+          fulfillmentOrderLineItems: lineItems.map(foItem => ({
+            id: toGid('FulfillmentOrderLineItem', foItem.id),
+            quantity: foItem.quantity
+          }))
+        }]
+      }
+    );
+
+    this.assertNoUserErrors(data.fulfillmentOrderSplit.userErrors, 'Failed to split fulfillment order');
+
+    const [split] = data.fulfillmentOrderSplit.fulfillmentOrderSplits;
+    return {
+      fulfillment_order_id: fromGid(split?.fulfillmentOrder?.id),
+      remaining_fulfillment_order_id: fromGid(split?.remainingFulfillmentOrder?.id),
+      replacement_fulfillment_order_id: fromGid(split?.replacementFulfillmentOrder?.id)
+    };
+  }
+
+  /**
+   * Put a fulfillment order on hold with fulfillmentOrderHold
+   * @param {string|number} fulfillmentOrderId - Fulfillment order ID
+   * @param {string} notes - Why it is held, shown to the merchant
+   * @returns {Object} Held fulfillment order ({ id, status })
+   */
+  async holdFulfillmentOrder(fulfillmentOrderId, notes) {
+    const data = await this.graphql(
+      `mutation HoldFulfillmentOrder($id: ID!, $fulfillmentHold: FulfillmentOrderHoldInput!) {
+        fulfillmentOrderHold(id: $id, fulfillmentHold: $fulfillmentHold) {
+          fulfillmentOrder { id status }
+          userErrors { field message }
+        }
+      }`,
+      {
+        id: toGid('FulfillmentOrder', fulfillmentOrderId),
+        fulfillmentHold: { reason: 'OTHER', reasonNotes: notes, notifyMerchant: false }
+      }
+    );
+
+    this.assertNoUserErrors(data.fulfillmentOrderHold.userErrors, 'Failed to hold fulfillment order');
+    return {
+      id: fromGid(data.fulfillmentOrderHold.fulfillmentOrder.id),
+      status: String(data.fulfillmentOrderHold.fulfillmentOrder.status).toLowerCase()
+    };
+  }
+
+  /**
+   * Release a fulfillment order's hold with fulfillmentOrderReleaseHold
+   * @param {string|number} fulfillmentOrderId - Fulfillment order ID
+   * @returns {Object} Released fulfillment order ({ id, status })
+   */
+  async releaseFulfillmentOrderHold(fulfillmentOrderId) {
+    const data = await this.graphql(
+      `mutation ReleaseFulfillmentOrderHold($id: ID!) {
+        fulfillmentOrderReleaseHold(id: $id) {
+          fulfillmentOrder { id status }
+          userErrors { field message }
+        }
+      }`,
+      { id: toGid('FulfillmentOrder', fulfillmentOrderId) }
+    );
+
+    this.assertNoUserErrors(data.fulfillmentOrderReleaseHold.userErrors, 'Failed to release fulfillment order hold');
+    return {
+      id: fromGid(data.fulfillmentOrderReleaseHold.fulfillmentOrder.id),
+      status: String(data.fulfillmentOrderReleaseHold.fulfillmentOrder.status).toLowerCase()
+    };
+  }
+
+  /**
+   * List an order's fulfillments
+   * @param {string|number} orderId - Order ID
+   * @returns {Array} Fulfillments ({ id, status, shipment_status, created_at, tracking, line_items })
+   */
+  async getFulfillments(orderId) {
+    const data = await this.graphql(
+      `query GetFulfillments($id: ID!) {
+        order(id: $id) {
+          fulfillments(first: 50) {${FULFILLMENT_FIELDS}}
+        }
+      }`,
+      { id: toGid('Order', orderId) }
+    );
+
+    if (!data.order) {
+      throw new ApiError('Order not found', 404);
+    }
+
+    return data.order.fulfillments.map(mapFulfillment);
+  }
+
+  /**
+   * List the fulfillments of a fulfillment order
+   * @param {string|number} fulfillmentOrderId - Fulfillment order ID
+   * @returns {Array} Fulfillments ({ id, status, shipment_status, created_at, tracking, line_items })
+   */
+  async getFulfillmentOrderFulfillments(fulfillmentOrderId) {
+    const data = await this.graphql(
+      `query GetFulfillmentOrderFulfillments($id: ID!) {
+        fulfillmentOrder(id: $id) {
+          fulfillments(first: 50) {
+            nodes {${FULFILLMENT_FIELDS}}
+          }
+        }
+      }`,
+      { id: toGid('FulfillmentOrder', fulfillmentOrderId) }
+    );
+
+    if (!data.fulfillmentOrder) {
+      throw new ApiError('Fulfillment order not found', 404);
+    }
+
+    return data.fulfillmentOrder.fulfillments.nodes.map(mapFulfillment);
+  }
+
+  /**
+   * Cancel an order with orderCancel
+   * @param {string|number} orderId - Order ID
+   * @param {string} [note] - Reason recorded on the order
+   * @returns {Object} Cancelled order ({ id })
+   */
+  async cancelOrder(orderId, note) {
+    const data = await this.graphql(
+      `mutation CancelOrder($orderId: ID!) {
+        orderCancel(orderId: $orderId, reason: OTHER, refund: false, restock: true, notifyCustomer: false) {
+          job { id }
+          orderCancelUserErrors { field message code }
+        }
+      }`,
+      { orderId: toGid('Order', orderId) }
+    );
+
+    this.assertNoUserErrors(data.orderCancel.orderCancelUserErrors, 'Failed to cancel order');
+
+    if (note) {
+      await this.addOrderNote(orderId, note);
+    }
+
+    return { id: Number(orderId) };
+  }
+
+  /**
+   * Test connection to Shopify API
+   * @returns {Object} Shop information
+   */
+  async testConnection() {
+    try {
+      const data = await this.graphql('query { shop { name myshopifyDomain plan { displayName } } }');
+      return {
+        connected: true,
+        shop: {
+          name: data.shop.name,
+          domain: data.shop.myshopifyDomain,
+          plan_name: data.shop.plan.displayName
+        }
+      };
+    } catch (error) {
+      return {
+        connected: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+ShopifyGraphQLService.toGid = toGid;
+ShopifyGraphQLService.fromGid = fromGid;
+
+module.exports = ShopifyGraphQLService;
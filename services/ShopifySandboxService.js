@@ -0,0 +1,653 @@
+/**
+ * Shopify Sandbox Service
+ *
+ * ShopifyService backed by an in-memory stand-in for the Shopify Admin REST
+ * API instead of a live store, for local development and tests. Only the
+ * transport is replaced, so every route (saves, splits, invoices) runs the
+ * same code it runs against Shopify.
+ *
+ * The fake store covers the endpoints ShopifyService uses: orders, order
+ * metafields, draft orders, fulfillment orders and fulfillments (so a test can
+ * ship a fulfillment order with POST /fulfillments.json). It is seeded with the
+ * orders in sandboxFixtures.json (or SHOPIFY_SANDBOX_FIXTURES) and kept in the
+ * "shopify_sandbox" local store, so it is saved to DATA_DIR when that is set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AxiosError } = require('axios');
+const ShopifyService = require('./ShopifyService');
+const LocalStore = require('./LocalStore');
+const { createShopifyClient } = require('./shopifyClient');
+const { toCents, formatCents } = require('./money');
+
+const SANDBOX_SHOP_DOMAIN = 'sandbox.myshopify.com';
+const DEFAULT_FIXTURES_FILE = path.join(__dirname, 'sandboxFixtures.json');
+
+// IDs given to records created in the sandbox
+const FIRST_SANDBOX_ID = 900000;
+
+/**
+ * Error for a fake API call, shaped like the axios error for a real one
+ * @param {Object} config - Axios request config
+ * @param {number} status - HTTP status
+ * @param {Object|string} errors - Shopify `errors` body
+ * @returns {AxiosError} Error with `response`
+ */
+const apiError = (config, status, errors) => {
+  const response = {
+    status,
+    statusText: String(status),
+    headers: {},
+    config,
+    data: { errors }
+  };
+  const code = status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+  return new AxiosError(`Request failed with status code ${status}`, code, config, null, response);
+};
+
+/**
+ * Fulfillment order holding every shippable item of an order
+ * @param {Object} state - Sandbox store state
+ * @param {Object} order - Order
+ * @returns {Object} Fulfillment order
+ */
+const createFulfillmentOrder = (state, order) => {
+  const shippable = order.line_items.filter(item => item.requires_shipping);
+
+  return {
+    id: nextId(state),
+    order_id: order.id,
+    status: 'open',
+    assigned_location_id: 1,
+    supported_actions: ['create_fulfillment', 'hold', 'split', 'move'],
+    destination: order.shipping_address,
+    line_items: shippable.map(item => ({
+      id: nextId(state),
+      line_item_id: item.id,
+      quantity: item.quantity,
+      fulfillable_quantity: item.quantity
+    }))
+  };
+};
+
+/**
+ * Next ID for a sandbox record
+ * @param {Object} state - Sandbox store state
+ * @returns {number} ID
+ */
+const nextId = (state) => {
+  state.next_id += 1;
+  return state.next_id;
+};
+
+/**
+ * Build a fresh sandbox store from the fixture orders
+ * @param {string} shopDomain - Sandbox shop domain
+ * @returns {Object} Store state
+ */
+const seedState = (shopDomain) => {
+  const fixturesFile = process.env.SHOPIFY_SANDBOX_FIXTURES || DEFAULT_FIXTURES_FILE;
+  const fixtures = JSON.parse(fs.readFileSync(fixturesFile, 'utf8'));
+  const state = {
+    shop_domain: shopDomain,
+    next_id: FIRST_SANDBOX_ID,
+    orders: {},
+    metafields: {},
+    draft_orders: {},
+    fulfillment_orders: {},
+    fulfillments: {}
+  };
+
+  fixtures.orders.forEach(order => {
+    state.orders[order.id] = order;
+    const fulfillmentOrder = createFulfillmentOrder(state, order);
+    state.fulfillment_orders[fulfillmentOrder.id] = fulfillmentOrder;
+  });
+
+  return state;
+};
+
+/**
+ * Find an order line item by variant, for pricing draft line items
+ * @param {Object} state - Sandbox store state
+ * @param {number} variantId - Variant ID
+ * @returns {Object|null} Line item
+ */
+const findVariant = (state, variantId) => {
+  for (const order of Object.values(state.orders)) {
+    const item = order.line_items.find(lineItem => String(lineItem.variant_id) === String(variantId));
+    if (item) {
+      return item;
+    }
+  }
+  return null;
+};
+
+/**
+ * Sum line item prices
+ * @param {Array} lineItems - Line items ({ price, quantity })
+ * @returns {string} Total
+ */
+const sumLineItems = (lineItems) => {
+  const cents = lineItems.reduce((sum, item) => sum + toCents(item.price) * item.quantity, 0);
+  return formatCents(cents);
+};
+
+/**
+ * Fake Admin REST API endpoints: [method, path pattern, handler]
+ *
+ * Handlers get ({ state, params, body, query, config }) and return a response
+ * body, or throw apiError(). They may change `state`, which is saved afterwards.
+ */
+const ROUTES = [
+  ['get', /^\/shop\.json$/, ({ state }) => ({
+    shop: { name: 'Sandbox Store', myshopify_domain: state.shop_domain, plan_display_name: 'Sandbox' }
+  })],
+
+  ['get', /^\/orders\.json$/, ({ state, query }) => {
+    const ids = query.ids ? String(query.ids).split(',') : null;
+    let orders = Object.values(state.orders)
+      .filter(order => !query.customer_id || String(order.customer?.id) === String(query.customer_id))
+      .filter(order => !ids || ids.includes(String(order.id)))
+      .filter(order => !query.created_at_min || new Date(order.created_at) >= new Date(query.created_at_min))
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+      .slice(0, parseInt(query.limit) || 50);
+
+    if (query.fields) {
+      const fields = String(query.fields).split(',');
+      orders = orders.map(order => Object.fromEntries(fields.map(field => [field, order[field]])));
+    }
+
+    return { orders };
+  }],
+
+  ['get', /^\/orders\/(\d+)\.json$/, ({ state, params, config }) => {
+    const order = state.orders[params[0]];
+    if (!order) {
+      throw apiError(config, 404, 'Not Found');
+    }
+    return { order };
+  }],
+
+  ['put', /^\/orders\/(\d+)\.json$/, ({ state, params, body, config }) => {
+    const order = state.orders[params[0]];
+    if (!order) {
+      throw apiError(config, 404, 'Not Found');
+    }
+
+    ['note', 'tags', 'note_attributes', 'email', 'shipping_address'].forEach(field => {
+      if (body.order?.[field] !== undefined) {
+        order[field] = body.order[field];
+      }
+    });
+    order.updated_at = new Date().toISOString();
+
+    return { order };
+  }],
+
+  ['post', /^\/orders\/(\d+)\/cancel\.json$/, ({ state, params, config }) => {
+    const order = state.orders[params[0]];
+    if (!order) {
+      throw apiError(config, 404, 'Not Found');
+    }
+    if (order.cancelled_at) {
+      throw apiError(config, 422, 'Order has already been cancelled');
+    }
+
+    order.cancelled_at = new Date().toISOString();
+    order.cancel_reason = 'other';
+    Object.values(state.fulfillment_orders)
+      .filter(fo => fo.order_id === order.id)
+      .forEach(fo => { fo.status = 'cancelled'; });
+
+    return { order };
+  }],
+
+  ['get', /^\/orders\/(\d+)\/metafields\.json$/, ({ state, params, config }) => {
+    if (!state.orders[params[0]]) {
+      throw apiError(config, 404, 'Not Found');
+    }
+    return { metafields: state.metafields[params[0]] || [] };
+  }],
+
+  ['post', /^\/orders\/(\d+)\/metafields\.json$/, ({ state, params, body, config }) => {
+    if (!state.orders[params[0]]) {
+      throw apiError(config, 404, 'Not Found');
+    }
+
+    const metafields = state.metafields[params[0]] || [];
+    const { namespace, key, value, type } = body.metafield || {};
+    const existing = metafields.find(mf => mf.namespace === namespace && mf.key === key);
+
+    // Like Shopify, creating a metafield that exists updates it
+    if (existing) {
+      existing.value = value;
+      existing.updated_at = new Date().toISOString();
+      return { metafield: existing };
+    }
+
+    const metafield = {
+      id: nextId(state),
+      namespace,
+      key,
+      value,
+      type,
+      owner_id: Number(params[0]),
+      owner_resource: 'order',
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    state.metafields[params[0]] = [...metafields, metafield];
+
+    return { metafield };
+  }],
+
+  ['put', /^\/orders\/(\d+)\/metafields\/(\d+)\.json$/, ({ state, params, body, config }) => {
+    const metafield = (state.metafields[params[0]] || []).find(mf => String(mf.id) === params[1]);
+    if (!metafield) {
+      throw apiError(config, 404, 'Not Found');
+    }
+
+    metafield.value = body.metafield?.value ?? metafield.value;
+    metafield.updated_at = new Date().toISOString();
+
+    return { metafield };
+  }],
+
+  ['delete', /^\/orders\/(\d+)\/metafields\/(\d+)\.json$/, ({ state, params, config }) => {
+    const metafields = state.metafields[params[0]] || [];
+    if (!metafields.some(mf => String(mf.id) === params[1])) {
+      throw apiError(config, 404, 'Not Found');
+    }
+
+    state.metafields[params[0]] = metafields.filter(mf => String(mf.id) !== params[1]);
+    return {};
+  }],
+
+  ['post', /^\/draft_orders\.json$/, ({ state, body, config }) => {
+    const input = body.draft_order || {};
+
+    if (!Array.isArray(input.line_items) || input.line_items.length === 0) {
+      throw apiError(config, 422, { line_items: ['must have at least one line item'] });
+    }
+
+    const lineItems = input.line_items.map(item => {
+      if (!item.variant_id) {
+        return { ...item, id: nextId(state), price: item.price || '0.00', taxable: item.taxable !== false };
+      }
+
+      const variant = findVariant(state, item.variant_id);
+      if (!variant) {
+        throw apiError(config, 422, { line_items: [`variant ${item.variant_id} does not exist`] });
+      }
+
+      return {
+        ...item,
+        id: nextId(state),
+        product_id: variant.product_id,
+        title: variant.title,
+        variant_title: variant.variant_title,
+        sku: variant.sku,
+        price: variant.price,
+        grams: variant.grams,
+        requires_shipping: variant.requires_shipping,
+        taxable: variant.taxable
+      };
+    });
+
+    const id = nextId(state);
+    const subtotal = sumLineItems(lineItems);
+    const discount = Number(input.applied_discount?.amount || 0);
+    const shipping = Number(input.shipping_line?.price || 0);
+    const draftOrder = {
+      ...input,
+      id,
+      name: `#D${id}`,
+      status: 'open',
+      line_items: lineItems,
+      subtotal_price: (Number(subtotal) - discount).toFixed(2),
+      total_tax: '0.00',
+      total_price: (Number(subtotal) - discount + shipping).toFixed(2),
+      invoice_url: `https://${state.shop_domain}/sandbox/invoices/${id}`,
+      order_id: null,
+      created_at: new Date().toISOString()
+    };
+    state.draft_orders[id] = draftOrder;
+
+    return { draft_order: draftOrder };
+  }],
+
+  ['get', /^\/draft_orders\/(\d+)\.json$/, ({ state, params, config }) => {
+    const draftOrder = state.draft_orders[params[0]];
+    if (!draftOrder) {
+      throw apiError(config, 404, 'Not Found');
+    }
+    return { draft_order: draftOrder };
+  }],
+
+  ['put', /^\/draft_orders\/(\d+)\/complete\.json$/, ({ state, params, query, config }) => {
+    const draftOrder = state.draft_orders[params[0]];
+    if (!draftOrder) {
+      throw apiError(config, 404, 'Not Found');
+    }
+    if (draftOrder.status === 'completed') {
+      throw apiError(config, 422, 'This order has already been paid for');
+    }
+
+    const paymentPending = String(query.payment_pending) === 'true';
+    const customer = draftOrder.customer?.id
+      ? Object.values(state.orders).find(order => order.customer?.id === draftOrder.customer.id)?.customer || draftOrder.customer
+      : null;
+    const orderNumber = 1000 + Object.keys(state.orders).length + 1;
+
+    const order = {
+      id: nextId(state),
+      name: `#${orderNumber}`,
+      order_number: orderNumber,
+      email: draftOrder.email || customer?.email || null,
+      created_at: new Date().toISOString(),
+      currency: draftOrder.currency || 'USD',
+      financial_status: paymentPending ? 'pending' : 'paid',
+      fulfillment_status: null,
+      note: draftOrder.note || '',
+      tags: draftOrder.tags || '',
+      note_attributes: draftOrder.note_attributes || [],
+      customer,
+      billing_address: draftOrder.billing_address || null,
+      shipping_address: draftOrder.shipping_address || null,
+      line_items: draftOrder.line_items.map(item => ({
+        ...item,
+        id: nextId(state),
+        requires_shipping: item.requires_shipping !== false,
+        total_discount: '0.00',
+        properties: item.properties || []
+      })),
+      shipping_lines: draftOrder.shipping_line ? [draftOrder.shipping_line] : [],
+      total_shipping_price_set: { shop_money: { amount: draftOrder.shipping_line?.price || '0.00', currency_code: draftOrder.currency || 'USD' } },
+      subtotal_price: draftOrder.subtotal_price,
+      total_discounts: draftOrder.applied_discount?.amount || '0.00',
+      total_tax: draftOrder.total_tax,
+      total_price: draftOrder.total_price
+    };
+    state.orders[order.id] = order;
+
+    const fulfillmentOrder = createFulfillmentOrder(state, order);
+    if (fulfillmentOrder.line_items.length > 0) {
+      state.fulfillment_orders[fulfillmentOrder.id] = fulfillmentOrder;
+    }
+
+    draftOrder.status = 'completed';
+    draftOrder.order_id = order.id;
+    draftOrder.completed_at = order.created_at;
+
+    return { draft_order: draftOrder };
+  }],
+
+  ['post', /^\/draft_orders\/(\d+)\/send_invoice\.json$/, ({ state, params, body, config }) => {
+    const draftOrder = state.draft_orders[params[0]];
+    if (!draftOrder) {
+      throw apiError(config, 404, 'Not Found');
+    }
+
+    draftOrder.status = draftOrder.status === 'completed' ? 'completed' : 'invoice_sent';
+    draftOrder.invoice_sent_at = new Date().toISOString();
+
+    return {
+      draft_order_invoice: {
+        to: body.draft_order_invoice?.to || draftOrder.email,
+        from: `orders@${state.shop_domain}`,
+        subject: body.draft_order_invoice?.subject || `Invoice ${draftOrder.name}`,
+        custom_message: body.draft_order_invoice?.custom_message || ''
+      }
+    };
+  }],
+
+  ['delete', /^\/draft_orders\/(\d+)\.json$/, ({ state, params, config }) => {
+    if (!state.draft_orders[params[0]]) {
+      throw apiError(config, 404, 'Not Found');
+    }
+    delete state.draft_orders[params[0]];
+    return {};
+  }],
+
+  ['get', /^\/orders\/(\d+)\/fulfillment_orders\.json$/, ({ state, params, config }) => {
+    if (!state.orders[params[0]]) {
+      throw apiError(config, 404, 'Not Found');
+    }
+    return {
+      fulfillment_orders: Object.values(state.fulfillment_orders).filter(fo => String(fo.order_id) === params[0])
+    };
+  }],
+
+  ['post', /^\/fulfillment_orders\/(\d+)\/split\.json$/, ({ state, params, body, config }) => {
+    const fulfillmentOrder = state.fulfillment_orders[params[0]];
+    if (!fulfillmentOrder) {
+      throw apiError(config, 404, 'Not Found');
+    }
+    if (fulfillmentOrder.status !== 'open') {
+      throw apiError(config, 422, `Fulfillment order is ${fulfillmentOrder.status} and cannot be split`);
+    }
+
+    const requested = body.fulfillment_order?.fulfillment_order_line_items || [];
+    const splitOff = createFulfillmentOrder(state, { id: fulfillmentOrder.order_id, line_items: [] });
+    splitOff.destination = fulfillmentOrder.destination;
+    splitOff.assigned_location_id = fulfillmentOrder.assigned_location_id;
+
+    requested.forEach(({ id, quantity }) => {
+      const foItem = fulfillmentOrder.line_items.find(candidate => String(candidate.id) === String(id));
+
+      if (!foItem || quantity < 1 || quantity > foItem.fulfillable_quantity) {
+        throw apiError(config, 422, `Cannot split ${quantity} of fulfillment order line item ${id}`);
+      }
+
+      foItem.quantity -= quantity;
+      foItem.fulfillable_quantity -= quantity;
+      splitOff.line_items.push({ id: nextId(state), line_item_id: foItem.line_item_id, quantity, fulfillable_quantity: quantity });
+    });
+
+    fulfillmentOrder.line_items = fulfillmentOrder.line_items.filter(foItem => foItem.quantity > 0);
+
+    if (fulfillmentOrder.line_items.length === 0) {
+      throw apiError(config, 422, 'Cannot split every item off a fulfillment order');
+    }
+
+    state.fulfillment_orders[splitOff.id] = splitOff;
+
+    return { original_fulfillment_order: fulfillmentOrder, remaining_fulfillment_order: splitOff };
+  }],
+
+  ['post', /^\/fulfillment_orders\/(\d+)\/hold\.json$/, ({ state, params, body, config }) => {
+    const fulfillmentOrder = state.fulfillment_orders[params[0]];
+    if (!fulfillmentOrder) {
+      throw apiError(config, 404, 'Not Found');
+    }
+    if (!['open', 'scheduled'].includes(fulfillmentOrder.status)) {
+      throw apiError(config, 422, `Fulfillment order is ${fulfillmentOrder.status} and cannot be put on hold`);
+    }
+
+    fulfillmentOrder.status = 'on_hold';
+    fulfillmentOrder.supported_actions = ['release_hold'];
+    fulfillmentOrder.fulfillment_holds = [{ ...body.fulfillment_hold }];
+
+    return { fulfillment_order: fulfillmentOrder };
+  }],
+
+  ['post', /^\/fulfillment_orders\/(\d+)\/release_hold\.json$/, ({ state, params, config }) => {
+    const fulfillmentOrder = state.fulfillment_orders[params[0]];
+    if (!fulfillmentOrder) {
+      throw apiError(config, 404, 'Not Found');
+    }
+    if (fulfillmentOrder.status !== 'on_hold') {
+      throw apiError(config, 422, `Fulfillment order is ${fulfillmentOrder.status}, not on hold`);
+    }
+
+    fulfillmentOrder.status = 'open';
+    fulfillmentOrder.supported_actions = ['create_fulfillment', 'hold', 'split', 'move'];
+    fulfillmentOrder.fulfillment_holds = [];
+
+    return { fulfillment_order: fulfillmentOrder };
+  }],
+
+  ['post', /^\/fulfillments\.json$/, ({ state, body, config }) => {
+    const requested = body.fulfillment?.line_items_by_fulfillment_order || [];
+    const tracking = body.fulfillment?.tracking_info || {};
+    const lineItems = [];
+    let orderId = null;
+
+    requested.forEach(({ fulfillment_order_id: fulfillmentOrderId, fulfillment_order_line_items: foItems }) => {
+      const fulfillmentOrder = state.fulfillment_orders[fulfillmentOrderId];
+      if (!fulfillmentOrder) {
+        throw apiError(config, 404, 'Not Found');
+      }
+      if (!['open', 'in_progress'].includes(fulfillmentOrder.status)) {
+        throw apiError(config, 422, `Fulfillment order is ${fulfillmentOrder.status} and cannot be fulfilled`);
+      }
+
+      orderId = fulfillmentOrder.order_id;
+
+      // Without line items the whole fulfillment order ships
+      const shipping = foItems || fulfillmentOrder.line_items.map(foItem => ({ id: foItem.id, quantity: foItem.fulfillable_quantity }));
+
+      shipping.forEach(({ id, quantity }) => {
+        const foItem = fulfillmentOrder.line_items.find(candidate => String(candidate.id) === String(id));
+
+        if (!foItem || quantity < 1 || quantity > foItem.fulfillable_quantity) {
+          throw apiError(config, 422, `Cannot fulfill ${quantity} of fulfillment order line item ${id}`);
+        }
+
+        foItem.fulfillable_quantity -= quantity;
+        lineItems.push({ id: foItem.line_item_id, quantity, fulfillment_order_id: fulfillmentOrder.id });
+      });
+
+      fulfillmentOrder.status = fulfillmentOrder.line_items.every(foItem => foItem.fulfillable_quantity === 0) ? 'closed' : 'in_progress';
+    });
+
+    if (!orderId || lineItems.length === 0) {
+      throw apiError(config, 422, 'line_items_by_fulfillment_order is required');
+    }
+
+    const fulfillment = {
+      id: nextId(state),
+      order_id: orderId,
+      status: 'success',
+      shipment_status: null,
+      created_at: new Date().toISOString(),
+      tracking_company: tracking.company || null,
+      tracking_numbers: tracking.number ? [tracking.number] : [],
+      tracking_urls: tracking.url ? [tracking.url] : [],
+      line_items: lineItems
+    };
+
+    state.fulfillments = state.fulfillments || {};
+    state.fulfillments[fulfillment.id] = fulfillment;
+
+    const orderFulfillmentOrders = Object.values(state.fulfillment_orders)
+      .filter(fo => fo.order_id === orderId && fo.status !== 'cancelled');
+    state.orders[orderId].fulfillment_status = orderFulfillmentOrders.every(fo => fo.status === 'closed') ? 'fulfilled' : 'partial';
+
+    return { fulfillment };
+  }],
+
+  ['get', /^\/orders\/(\d+)\/fulfillments\.json$/, ({ state, params, config }) => {
+    if (!state.orders[params[0]]) {
+      throw apiError(config, 404, 'Not Found');
+    }
+    return {
+      fulfillments: Object.values(state.fulfillments || {}).filter(fulfillment => String(fulfillment.order_id) === params[0])
+    };
+  }],
+
+  ['get', /^\/fulfillment_orders\/(\d+)\/fulfillments\.json$/, ({ state, params, config }) => {
+    if (!state.fulfillment_orders[params[0]]) {
+      throw apiError(config, 404, 'Not Found');
+    }
+    return {
+      fulfillments: Object.values(state.fulfillments || {})
+        .filter(fulfillment => fulfillment.line_items.some(item => String(item.fulfillment_order_id) === params[0]))
+    };
+  }]
+];
+
+/**
+ * Get the sandbox store for a shop, seeding it on first use
+ * @param {string} shopDomain - Sandbox shop domain
+ * @returns {Object} Store state
+ */
+const getState = (shopDomain) => {
+  const store = LocalStore.collection('shopify_sandbox');
+  return store.get(shopDomain) || store.set(shopDomain, seedState(shopDomain));
+};
+
+/**
+ * Create an axios adapter that answers requests from the sandbox store
+ * @param {string} shopDomain - Sandbox shop domain
+ * @returns {Function} Axios adapter
+ */
+const createSandboxAdapter = (shopDomain) => async (config) => {
+  const method = (config.method || 'get').toLowerCase();
+  const url = String(config.url).replace(/\?.*$/, '');
+  const body = typeof config.data === 'string' && config.data ? JSON.parse(config.data) : (config.data || {});
+
+  const route = ROUTES.find(([routeMethod, pattern]) => routeMethod === method && pattern.test(url));
+
+  if (!route) {
+    throw apiError(config, 404, 'Not Found');
+  }
+
+  // Work on a copy so a failed call leaves the store as it was
+  const state = JSON.parse(JSON.stringify(getState(shopDomain)));
+  const data = route[2]({
+    state,
+    params: url.match(route[1]).slice(1),
+    body,
+    query: config.params || {},
+    config
+  });
+
+  if (method !== 'get') {
+    LocalStore.collection('shopify_sandbox').set(shopDomain, state);
+  }
+
+  return {
+    data: JSON.stringify(data),
+    status: 200,
+    statusText: 'OK',
+    // A near-empty bucket keeps the client from throttling sandbox calls
+    headers: { 'content-type': 'application/json', 'x-shopify-shop-api-call-limit': '1/40' },
+    config,
+    request: {}
+  };
+};
+
+class ShopifySandboxService extends ShopifyService {
+  /**
+   * @param {Object} [tenant] - Tenant from the tenant registry
+   */
+  constructor(tenant = null) {
+    super({
+      ...tenant,
+      shop_domain: tenant?.shop_domain || process.env.SHOPIFY_STORE_URL || SANDBOX_SHOP_DOMAIN,
+      access_token: tenant?.access_token || process.env.SHOPIFY_ACCESS_TOKEN || 'sandbox'
+    });
+
+    this.api = createShopifyClient({
+      baseURL: this.baseURL,
+      accessToken: this.accessToken,
+      storeKey: this.storeUrl,
+      adapter: createSandboxAdapter(this.storeUrl)
+    });
+  }
+
+  /**
+   * Throw away a sandbox store; it is seeded again from the fixtures on next use
+   * @param {string} [shopDomain] - Sandbox shop domain
+   */
+  static reset(shopDomain = SANDBOX_SHOP_DOMAIN) {
+    LocalStore.collection('shopify_sandbox').delete(shopDomain);
+  }
+}
+
+ShopifySandboxService.SANDBOX_SHOP_DOMAIN = SANDBOX_SHOP_DOMAIN;
+
+module.exports = ShopifySandboxService;
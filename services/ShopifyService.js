@@ -4,45 +4,134 @@
  * Handles all interactions with Shopify Admin API for multi-address shipping
  */
 
-const axios = require('axios');
+const crypto = require('crypto');
 const { ApiError } = require('../middleware/errorHandler');
+const { fingerprint } = require('./fingerprint');
+const LocalStore = require('./LocalStore');
+const { createShopifyClient, getClientStats } = require('./shopifyClient');
+const { addressKey, explainMerge } = require('./addressNormalizer');
+const { priceSplitParts } = require('./splitPricing');
+
+const METAFIELD_NAMESPACE = 'multi_address';
+const METAFIELD_KEY = 'shipping_addresses';
+
+// Original orders whose split parts are created already paid
+const PAID_FINANCIAL_STATUSES = ['paid', 'partially_refunded'];
+
+// Tags marking each side of a split
+const PARENT_TAG = 'multi-address-parent';
+const CHILD_TAG = 'multi-address-child';
+
+// Fulfillment order statuses that still ship unless held
+const SHIPPABLE_FULFILLMENT_STATUSES = ['open', 'scheduled'];
+
+// End of the notes on holds a split places, so an undo can tell them from the merchant's own
+const SPLIT_HOLD_NOTE = 'by multi-address shipping; ship those instead';
+
+// Start of the notes on holds placed on each recipient's fulfillment order in a fulfillment order split
+const RECIPIENT_HOLD_NOTE = 'Multi-address shipping: does not go to the order\'s shipping address.';
+
+// What a fulfillment order split leaves for the merchant to do, returned with its result
+const FULFILLMENT_ORDER_SPLIT_NOTE = 'Shopify ships a fulfillment order to the order\'s shipping address, ' +
+  'so each recipient\'s fulfillment order is on hold with the recipient in its hold notes. ' +
+  'Release a hold only when shipping that fulfillment order to its recipient outside the normal flow (e.g. with a manually addressed label).';
+
+// Fields read when looking for the orders a split created
+const SPLIT_CHILD_FIELDS = 'id,name,created_at,cancelled_at,fulfillment_status,note_attributes';
+
+/**
+ * Cursor for the next page from a REST Link header
+ * @param {string} [link] - Link header
+ * @returns {string|null} page_info of the next page
+ */
+const nextPageInfo = (link) => {
+  const next = String(link || '').split(',').find(part => part.includes('rel="next"'));
+  return next?.match(/[?&]page_info=([^&>]+)/)?.[1] || null;
+};
+
+/**
+ * Sum quantities by order line item ID
+ * @param {Array} entries - [lineItemId, quantity] pairs
+ * @returns {Map} Quantities keyed by line item ID (as a string)
+ */
+const quantitiesByLineItem = (entries) => {
+  const quantities = new Map();
+  entries.forEach(([lineItemId, quantity]) => {
+    if (quantity > 0) {
+      quantities.set(String(lineItemId), (quantities.get(String(lineItemId)) || 0) + quantity);
+    }
+  });
+  return quantities;
+};
+
+/**
+ * Unfulfilled quantities held by a fulfillment order
+ * @param {Object} fulfillmentOrder - Fulfillment order
+ * @returns {Map} Quantities by order line item ID
+ */
+const fulfillmentOrderQuantities = (fulfillmentOrder) => {
+  return quantitiesByLineItem(fulfillmentOrder.line_items.map(foItem => [foItem.line_item_id, foItem.fulfillable_quantity]));
+};
+
+/**
+ * Check whether two quantity maps hold the same items
+ * @param {Map} a - Quantities by line item ID
+ * @param {Map} b - Quantities by line item ID
+ * @returns {boolean} Whether they match
+ */
+const sameQuantities = (a, b) => {
+  return a.size === b.size && [...a].every(([lineItemId, quantity]) => b.get(lineItemId) === quantity);
+};
+
+/**
+ * Map a REST fulfillment to the fields used for shipment status
+ * @param {Object} fulfillment - Shopify fulfillment
+ * @returns {Object} Fulfillment ({ id, status, shipment_status, created_at, tracking, line_items })
+ */
+const formatFulfillment = (fulfillment) => {
+  const numbers = fulfillment.tracking_numbers || [];
+  const urls = fulfillment.tracking_urls || [];
+
+  return {
+    id: fulfillment.id,
+    status: fulfillment.status,
+    shipment_status: fulfillment.shipment_status || null,
+    created_at: fulfillment.created_at,
+    tracking: numbers.map((number, index) => ({
+      company: fulfillment.tracking_company || null,
+      number,
+      url: urls[index] || null
+    })),
+    line_items: (fulfillment.line_items || []).map(item => ({
+      line_item_id: item.id,
+      quantity: item.quantity
+    }))
+  };
+};
 
 class ShopifyService {
-  constructor() {
-    this.storeUrl = process.env.SHOPIFY_STORE_URL;
-    this.accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
-    this.apiVersion = process.env.SHOPIFY_API_VERSION || '2023-10';
+  /**
+   * @param {Object} [tenant] - Tenant from the tenant registry; defaults to the
+   *   store configured by environment variables
+   */
+  constructor(tenant = null) {
+    this.tenantId = tenant?.id || 'default';
+    this.storeUrl = tenant?.shop_domain || process.env.SHOPIFY_STORE_URL;
+    this.accessToken = tenant?.access_token || process.env.SHOPIFY_ACCESS_TOKEN;
+    this.apiVersion = tenant?.api_version || process.env.SHOPIFY_API_VERSION || '2023-10';
     
     if (!this.storeUrl || !this.accessToken) {
-      throw new Error('Shopify configuration is missing. Please set SHOPIFY_STORE_URL and SHOPIFY_ACCESS_TOKEN environment variables.');
+      throw new Error('Shopify configuration is missing. Please set SHOPIFY_STORE_URL and SHOPIFY_ACCESS_TOKEN environment variables or configure tenants.');
     }
 
     this.baseURL = `https://${this.storeUrl}/admin/api/${this.apiVersion}`;
     
-    // Create axios instance with default headers
-    this.api = axios.create({
+    // Rate-limit aware client (throttling, Retry-After, backoff)
+    this.api = createShopifyClient({
       baseURL: this.baseURL,
-      headers: {
-        'X-Shopify-Access-Token': this.accessToken,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000 // 30 seconds timeout
+      accessToken: this.accessToken,
+      storeKey: this.storeUrl
     });
-
-    // Add response interceptor for error handling
-    this.api.interceptors.response.use(
-      response => response,
-      error => {
-        if (error.response) {
-          console.error('Shopify API Error:', {
-            status: error.response.status,
-            data: error.response.data,
-            url: error.config.url
-          });
-        }
-        throw error;
-      }
-    );
   }
 
   /**
@@ -58,7 +147,29 @@ class ShopifyService {
       if (error.response?.status === 404) {
         throw new ApiError('Order not found', 404);
       }
-      throw new ApiError(`Failed to fetch order: ${error.message}`, error.response?.status || 500);
+      throw new ApiError(`Failed to fetch order: ${error.message}`, error.statusCode || error.response?.status || 500);
+    }
+  }
+
+  /**
+   * List a customer's orders, newest first
+   * @param {string|number} customerId - Shopify customer ID
+   * @param {number} [limit] - Maximum number of orders
+   * @returns {Array} Orders ({ id, name, created_at })
+   */
+  async getCustomerOrders(customerId, limit = 50) {
+    try {
+      const response = await this.api.get('/orders.json', {
+        params: {
+          customer_id: customerId,
+          status: 'any',
+          limit,
+          fields: 'id,name,created_at'
+        }
+      });
+      return response.data.orders;
+    } catch (error) {
+      throw new ApiError(`Failed to fetch customer orders: ${error.message}`, error.statusCode || error.response?.status || 500);
     }
   }
 
@@ -66,58 +177,168 @@ class ShopifyService {
    * Save address data to order metafields
    * @param {string|number} orderId - Order ID
    * @param {Array} lineItems - Array of line items with addresses
+   * @param {Object} [split] - Split result to record with the addresses
    * @returns {Object} Result object
    */
-  async saveAddressesToMetafields(orderId, lineItems) {
+  async saveAddressesToMetafields(orderId, lineItems, split = null) {
     try {
       // Prepare metafield data
       const addressData = {
         multi_address_shipping: {
           configured_at: new Date().toISOString(),
-          line_items: lineItems.map(item => ({
-            line_item_id: item.line_item_id,
-            title: item.title,
-            quantity: item.quantity,
-            shipping_address: {
-              first_name: item.address.first_name,
-              last_name: item.address.last_name,
-              address1: item.address.address1,
-              address2: item.address.address2 || '',
-              city: item.address.city,
-              province: item.address.province,
-              zip: item.address.zip,
-              country: item.address.country,
-              phone: item.address.phone || ''
-            }
-          }))
+          line_items: lineItems.map(item => this.formatLineItemForMetafield(item)),
+          ...(split && { split })
         }
       };
 
       // Create or update metafield
-      const metafield = {
-        metafield: {
-          namespace: 'multi_address',
-          key: 'shipping_addresses',
-          value: JSON.stringify(addressData),
-          type: 'json'
-        }
-      };
-
-      const response = await this.api.post(`/orders/${orderId}/metafields.json`, metafield);
+      const metafield = await this.writeAddressMetafield(orderId, addressData);
       
       // Also add a note to the order
       await this.addOrderNote(orderId, 'Multi-address shipping addresses configured via portal');
 
       return {
-        metafield_id: response.data.metafield.id,
+        metafield_id: metafield.id,
         addresses_saved: lineItems.length,
         saved_at: new Date().toISOString()
       };
     } catch (error) {
-      throw new ApiError(`Failed to save addresses to metafields: ${error.message}`, error.response?.status || 500);
+      throw new ApiError(`Failed to save addresses to metafields: ${error.message}`, error.statusCode || error.response?.status || 500);
     }
   }
 
+  /**
+   * Format an address for storage and draft orders
+   * @param {Object} address - Validated address
+   * @returns {Object} Shopify shipping address
+   */
+  formatShippingAddress(address) {
+    return {
+      first_name: address.first_name,
+      last_name: address.last_name,
+      address1: address.address1,
+      address2: address.address2 || '',
+      city: address.city,
+      province: address.province || '',
+      zip: address.zip || '',
+      country: address.country,
+      phone: address.phone || ''
+    };
+  }
+
+  /**
+   * Format a line item for the multi_address metafield
+   * @param {Object} item - Line item with an address or allocations
+   * @returns {Object} Metafield line item entry
+   */
+  formatLineItemForMetafield(item) {
+    const entry = {
+      line_item_id: item.line_item_id,
+      title: item.title,
+      quantity: item.quantity
+    };
+
+    if (item.allocations) {
+      entry.allocations = item.allocations.map(allocation => {
+        const gift = this.formatGiftOptions(allocation.gift);
+        return {
+          quantity: allocation.quantity,
+          shipping_address: this.formatShippingAddress(allocation.address),
+          ...(allocation.recipient_id && { recipient_id: allocation.recipient_id }),
+          ...(gift && { gift })
+        };
+      });
+    } else {
+      entry.shipping_address = this.formatShippingAddress(item.address);
+
+      if (item.recipient_id) {
+        entry.recipient_id = item.recipient_id;
+      }
+
+      const gift = this.formatGiftOptions(item.gift);
+      if (gift) {
+        entry.gift = gift;
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Drop empty gift options
+   * @param {Object} [gift] - Validated gift options
+   * @returns {Object|null} Gift options that are set, or null if none are
+   */
+  formatGiftOptions(gift) {
+    if (!gift) {
+      return null;
+    }
+
+    const formatted = {};
+
+    ['message', 'sender_name', 'recipient_email'].forEach(field => {
+      if (gift[field]) {
+        formatted[field] = gift[field];
+      }
+    });
+
+    if (gift.hide_prices) {
+      formatted.hide_prices = true;
+    }
+
+    return Object.keys(formatted).length > 0 ? formatted : null;
+  }
+
+  /**
+   * Gift options for a shipment. Items without options take the shipment's;
+   * items with different options cannot share a packing slip.
+   * @param {Array} items - Line items sharing one shipping address
+   * @returns {Object|null} Gift options for the shipment
+   */
+  getShipmentGiftOptions(items) {
+    const options = items
+      .map(item => this.formatGiftOptions(item.gift))
+      .filter(Boolean);
+
+    const distinct = [...new Map(options.map(gift => [JSON.stringify(gift), gift])).values()];
+
+    if (distinct.length > 1) {
+      throw new ApiError(
+        `Line items shipping to ${items[0].address.address1}, ${items[0].address.city} have different gift options; they share one packing slip`,
+        422,
+        true,
+        { line_item_ids: items.map(item => item.line_item_id), gift_options: distinct }
+      );
+    }
+
+    return distinct[0] || null;
+  }
+
+  /**
+   * Expand line items with allocations into one entry per recipient
+   * @param {Array} lineItems - Line items with an address or allocations
+   * @returns {Array} Line items that each have a single address
+   */
+  expandAllocations(lineItems) {
+    return lineItems.flatMap(item => {
+      if (!item.allocations) {
+        return [item];
+      }
+
+      return item.allocations.map((allocation, index) => ({
+        line_item_id: item.line_item_id,
+        title: item.title,
+        quantity: allocation.quantity,
+        address: allocation.address,
+        ...(allocation.gift && { gift: allocation.gift }),
+        allocation: {
+          index: index + 1,
+          count: item.allocations.length
+        }
+      }));
+    });
+  }
+
   /**
    * Get address data from order metafields
    * @param {string|number} orderId - Order ID
@@ -125,12 +346,7 @@ class ShopifyService {
    */
   async getOrderAddresses(orderId) {
     try {
-      const response = await this.api.get(`/orders/${orderId}/metafields.json`);
-      const metafields = response.data.metafields;
-      
-      const addressMetafield = metafields.find(
-        mf => mf.namespace === 'multi_address' && mf.key === 'shipping_addresses'
-      );
+      const addressMetafield = await this.findAddressMetafield(orderId);
 
       if (!addressMetafield) {
         return { addresses: [], configured: false };
@@ -142,10 +358,12 @@ class ShopifyService {
         addresses: addressData.multi_address_shipping.line_items,
         configured: true,
         configured_at: addressData.multi_address_shipping.configured_at,
+        updated_at: addressData.multi_address_shipping.updated_at,
+        split: addressData.multi_address_shipping.split || null,
         metafield_id: addressMetafield.id
       };
     } catch (error) {
-      throw new ApiError(`Failed to fetch order addresses: ${error.message}`, error.response?.status || 500);
+      throw new ApiError(`Failed to fetch order addresses: ${error.message}`, error.statusCode || error.response?.status || 500);
     }
   }
 
@@ -156,10 +374,11 @@ class ShopifyService {
    * @returns {Object} Result object
    */
   async updateOrderAddresses(orderId, lineItems) {
+    // First, get existing metafield
+    const existingAddresses = await this.getOrderAddresses(orderId);
+    this.assertAddressesEditable(orderId, existingAddresses);
+
     try {
-      // First, get existing metafield
-      const existingAddresses = await this.getOrderAddresses(orderId);
-      
       if (!existingAddresses.configured) {
         // If no existing addresses, create new
         return await this.saveAddressesToMetafields(orderId, lineItems);
@@ -170,33 +389,11 @@ class ShopifyService {
         multi_address_shipping: {
           configured_at: existingAddresses.configured_at,
           updated_at: new Date().toISOString(),
-          line_items: lineItems.map(item => ({
-            line_item_id: item.line_item_id,
-            title: item.title,
-            quantity: item.quantity,
-            shipping_address: {
-              first_name: item.address.first_name,
-              last_name: item.address.last_name,
-              address1: item.address.address1,
-              address2: item.address.address2 || '',
-              city: item.address.city,
-              province: item.address.province,
-              zip: item.address.zip,
-              country: item.address.country,
-              phone: item.address.phone || ''
-            }
-          }))
-        }
-      };
-
-      const metafieldUpdate = {
-        metafield: {
-          id: existingAddresses.metafield_id,
-          value: JSON.stringify(addressData)
+          line_items: lineItems.map(item => this.formatLineItemForMetafield(item))
         }
       };
 
-      await this.api.put(`/orders/${orderId}/metafields/${existingAddresses.metafield_id}.json`, metafieldUpdate);
+      await this.writeAddressMetafield(orderId, addressData, existingAddresses.metafield_id);
 
       return {
         metafield_id: existingAddresses.metafield_id,
@@ -204,7 +401,19 @@ class ShopifyService {
         updated_at: new Date().toISOString()
       };
     } catch (error) {
-      throw new ApiError(`Failed to update order addresses: ${error.message}`, error.response?.status || 500);
+      throw new ApiError(`Failed to update order addresses: ${error.message}`, error.statusCode || error.response?.status || 500);
+    }
+  }
+
+  /**
+   * Reject address changes on an order that has been split into separate
+   * orders, which would no longer ship to the saved addresses
+   * @param {string|number} orderId - Order ID
+   * @param {Object} existingAddresses - Saved addresses (from getOrderAddresses)
+   */
+  assertAddressesEditable(orderId, existingAddresses) {
+    if (existingAddresses.split) {
+      throw new ApiError(`Order ${orderId} has been split into separate orders; unsplit it before changing its addresses`, 409);
     }
   }
 
@@ -221,7 +430,7 @@ class ShopifyService {
         return { deleted: false, message: 'No address data found to delete' };
       }
 
-      await this.api.delete(`/orders/${orderId}/metafields/${existingAddresses.metafield_id}.json`);
+      await this.deleteMetafield(orderId, existingAddresses.metafield_id);
 
       return {
         deleted: true,
@@ -229,149 +438,1103 @@ class ShopifyService {
         deleted_at: new Date().toISOString()
       };
     } catch (error) {
-      throw new ApiError(`Failed to delete order addresses: ${error.message}`, error.response?.status || 500);
+      throw new ApiError(`Failed to delete order addresses: ${error.message}`, error.statusCode || error.response?.status || 500);
     }
   }
 
   /**
    * Split order into multiple orders based on shipping addresses
+   *
+   * Runs as a saga: if any step fails, draft orders that were created are
+   * deleted, orders that were already completed are cancelled and holds are
+   * released. Compensation steps that fail themselves are kept as a split
+   * recovery record so they can be retried with retrySplitRecovery().
+   *
+   * Once the parts exist, the original order's fulfillment orders are put on
+   * hold so its goods don't ship as well, and both sides are tagged
+   * (multi-address-parent / multi-address-child).
    * @param {string|number} orderId - Original order ID
    * @param {Array} lineItems - Line items with addresses
    * @returns {Object} Result with created orders
    */
   async splitOrderByAddress(orderId, lineItems) {
-    try {
-      // Get original order
-      const originalOrder = await this.getOrder(orderId);
-      
-      // Group line items by shipping address
-      const addressGroups = this.groupLineItemsByAddress(lineItems);
-      
-      const createdOrders = [];
-      let orderCounter = 1;
-
-      for (const [addressKey, items] of Object.entries(addressGroups)) {
-        const address = items[0].address; // All items in group have same address
-        
-        // Calculate totals for this group
-        const groupLineItems = items.map(item => {
-          const originalItem = originalOrder.line_items.find(li => li.id === item.line_item_id);
-          return {
-            variant_id: originalItem.variant_id,
-            quantity: item.quantity,
-            properties: originalItem.properties || []
-          };
-        });
+    // Get original order
+    const originalOrder = await this.getOrder(orderId);
 
-        // Create draft order
-        const draftOrder = {
-          draft_order: {
-            line_items: groupLineItems,
-            customer: {
-              id: originalOrder.customer?.id
-            },
-            shipping_address: {
-              first_name: address.first_name,
-              last_name: address.last_name,
-              address1: address.address1,
-              address2: address.address2,
-              city: address.city,
-              province: address.province,
-              zip: address.zip,
-              country: address.country,
-              phone: address.phone
-            },
-            billing_address: originalOrder.billing_address,
-            currency: originalOrder.currency,
-            note: `Split from order ${originalOrder.name} - Part ${orderCounter}`,
-            note_attributes: [
-              {
-                name: 'original_order_id',
-                value: originalOrder.id.toString()
-              },
-              {
-                name: 'split_order_part',
-                value: orderCounter.toString()
-              },
-              {
-                name: 'multi_address_split',
-                value: 'yes'
-              }
-            ]
-          }
-        };
+    // A repeated split returns the original result instead of creating orders again
+    const requestFingerprint = fingerprint(lineItems);
+    const existingAddresses = await this.getOrderAddresses(orderId);
 
-        // Create the draft order
-        const draftResponse = await this.api.post('/draft_orders.json', draftOrder);
-        const draftOrderId = draftResponse.data.draft_order.id;
+    if (existingAddresses.split) {
+      return this.replayExistingSplit(existingAddresses.split, 'split_orders', requestFingerprint);
+    }
 
-        // Complete the draft order (convert to order)
-        const completedResponse = await this.api.put(`/draft_orders/${draftOrderId}/complete.json`, {
-          payment_pending: false
-        });
+    this.assertSplittable(originalOrder);
+    const fulfillmentOrdersToHold = await this.getFulfillmentOrdersToHold(orderId);
 
-        createdOrders.push({
-          order_id: completedResponse.data.draft_order.order_id,
-          draft_order_id: draftOrderId,
-          shipping_address: address,
-          line_items: items.map(item => ({
+    // Group line items (one entry per allocation) by shipping address
+    const addressGroups = Object.values(this.groupLineItemsByAddress(this.expandAllocations(lineItems)));
+
+    // Each part is charged its share of what was paid on the original order
+    const pricing = priceSplitParts(originalOrder, addressGroups);
+    const paymentPending = Boolean(originalOrder.financial_status) &&
+      !PAID_FINANCIAL_STATUSES.includes(originalOrder.financial_status);
+
+    // Build every draft up front so bad input fails before anything is created
+    const parts = addressGroups.map((items, index) => ({
+      items,
+      address: items[0].address, // All items in group have same address
+      gift: this.getShipmentGiftOptions(items),
+      pricing: pricing.parts[index],
+      draftOrder: this.buildSplitDraftOrder(originalOrder, items, index + 1, pricing.parts[index])
+    }));
+
+    const createdOrders = [];
+    const heldFulfillmentOrders = [];
+    let splitResult;
+
+    try {
+      for (const part of parts) {
+        const mergeReasons = explainMerge(part.items.map(item => item.address));
+        const createdOrder = {
+          order_id: null,
+          draft_order_id: null,
+          shipping_address: part.address,
+          line_items: part.items.map(item => ({
             line_item_id: item.line_item_id,
             title: item.title,
-            quantity: item.quantity
-          }))
-        });
+            quantity: item.quantity,
+            ...(item.allocation && { allocation: item.allocation })
+          })),
+          ...(part.gift && { gift: part.gift }),
+          pricing: part.pricing,
+          // Why differently written addresses ended up in one shipment
+          ...(mergeReasons.length > 0 && { merged_addresses: mergeReasons })
+        };
 
-        orderCounter++;
+        // Create the draft order
+        const draft = await this.createDraftOrder(part.draftOrder);
+        createdOrder.draft_order_id = draft.id;
+        createdOrders.push(createdOrder);
+
+        // Complete the draft order (convert to order), paid only if the original was
+        const completedDraft = await this.completeDraftOrder(draft.id, { paymentPending });
+        createdOrder.order_id = completedDraft.order_id;
+
+        // Can differ from pricing.total where Shopify charges tax the original order didn't
+        createdOrder.total_price = completedDraft.total_price ?? null;
       }
 
-      // Add note to original order about the split
-      await this.addOrderNote(
-        orderId, 
-        `Order split into ${createdOrders.length} separate orders: ${createdOrders.map(o => o.order_id).join(', ')}`
-      );
+      // The parts ship now; stop the original shipping the same goods
+      const holdNotes = `Split into orders ${createdOrders.map(createdOrder => createdOrder.order_id).join(', ')} ${SPLIT_HOLD_NOTE}`;
 
-      // Mark original order as split
-      await this.saveAddressesToMetafields(orderId, lineItems);
+      for (const fulfillmentOrder of fulfillmentOrdersToHold) {
+        await this.holdFulfillmentOrder(fulfillmentOrder.id, holdNotes);
+        heldFulfillmentOrders.push(fulfillmentOrder.id);
+      }
 
-      return {
+      splitResult = {
         split_successful: true,
         original_order_id: orderId,
         created_orders: createdOrders,
         total_split_orders: createdOrders.length,
+        held_fulfillment_orders: heldFulfillmentOrders,
+        pricing: {
+          original_total: pricing.original_total,
+          split_total: pricing.split_total,
+          remaining_total: pricing.remaining_total
+        },
         split_at: new Date().toISOString()
       };
+
+      // Mark original order as split
+      await this.saveAddressesToMetafields(orderId, lineItems, {
+        request_fingerprint: requestFingerprint,
+        created_orders: createdOrders.map(createdOrder => createdOrder.order_id),
+        result: splitResult
+      });
+    } catch (error) {
+      const rollback = await this.compensateSplit(orderId, createdOrders, error, heldFulfillmentOrders);
+      const outcome = rollback.recovery_id
+        ? `rollback incomplete, see split recovery ${rollback.recovery_id}`
+        : 'all created orders were rolled back';
+
+      throw new ApiError(
+        `Failed to split order: ${error.message} (${outcome})`,
+        error.statusCode || error.response?.status || 500,
+        true,
+        rollback
+      );
+    }
+
+    // Add note to original order about the split
+    await this.addOrderNote(
+      orderId, 
+      `Order split into ${createdOrders.length} separate orders: ${createdOrders.map(o => o.order_id).join(', ')}`
+    );
+    await this.updateOrderTags(orderId, { add: [PARENT_TAG] });
+
+    return splitResult;
+  }
+
+  /**
+   * Reject orders that can't be split into separate orders
+   * @param {Object} order - Shopify order
+   */
+  assertSplittable(order) {
+    if (order.note_attributes?.find(attr => attr.name === 'original_order_id')) {
+      throw new ApiError('This order was created by a multi-address split and cannot be split again', 409);
+    }
+
+    if (order.cancelled_at) {
+      throw new ApiError(`Order ${order.name} has been cancelled and cannot be split`, 409);
+    }
+
+    if (['fulfilled', 'partial'].includes(order.fulfillment_status)) {
+      throw new ApiError(
+        `Order ${order.name} has already been ${order.fulfillment_status === 'partial' ? 'partly ' : ''}fulfilled and cannot be split`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Fulfillment orders of an order that must be held when it is split
+   * @param {string|number} orderId - Order ID
+   * @returns {Array} Fulfillment orders that would otherwise still ship
+   */
+  async getFulfillmentOrdersToHold(orderId) {
+    const fulfillmentOrders = await this.getFulfillmentOrders(orderId);
+
+    const started = fulfillmentOrders.filter(fo => fo.status === 'in_progress');
+    if (started.length > 0) {
+      throw new ApiError('Fulfillment of this order has already started, so it cannot be split', 409, true, {
+        fulfillment_order_ids: started.map(fo => fo.id)
+      });
+    }
+
+    const toHold = fulfillmentOrders.filter(fo => SHIPPABLE_FULFILLMENT_STATUSES.includes(fo.status));
+    const unholdable = toHold.filter(fo => !fo.supported_actions.includes('hold'));
+    if (unholdable.length > 0) {
+      throw new ApiError('Some of this order\'s fulfillment orders cannot be put on hold, so it cannot be split', 409, true, {
+        fulfillment_order_ids: unholdable.map(fo => fo.id)
+      });
+    }
+
+    return toHold;
+  }
+
+  /**
+   * Undo a split into separate orders
+   *
+   * The parts are found by their original_order_id note attribute (from the
+   * split record, or by searching orders placed since the original if the
+   * record is gone) and cancelled, and the holds the split put on the
+   * original order's fulfillment orders are released so it ships again.
+   * Holds placed by anyone else are left alone. Nothing is changed if any part has been fulfilled.
+   * Parts that are already cancelled are skipped, so a failed undo can be
+   * retried.
+   * @param {string|number} orderId - Original order ID
+   * @returns {Object} Result with the cancelled orders and released fulfillment orders
+   */
+  async unsplitOrder(orderId) {
+    const originalOrder = await this.getOrder(orderId);
+    const existingAddresses = await this.getOrderAddresses(orderId);
+    const split = existingAddresses.split;
+
+    if (split?.method && split.method !== 'split_orders') {
+      throw new ApiError(`Only a split into separate orders can be undone; this order was split by ${split.method}`, 409);
+    }
+
+    if (originalOrder.cancelled_at) {
+      throw new ApiError(`Order ${originalOrder.name} has been cancelled, so its split cannot be undone`, 409);
+    }
+
+    const childOrders = await this.findSplitChildOrders(originalOrder, split);
+
+    if (childOrders.length === 0) {
+      throw new ApiError('This order has not been split into separate orders', 409);
+    }
+
+    if (!split && childOrders.every(child => child.cancelled_at)) {
+      throw new ApiError('This order\'s split has already been undone', 409);
+    }
+
+    const fulfilled = childOrders.filter(child => ['fulfilled', 'partial'].includes(child.fulfillment_status));
+    if (fulfilled.length > 0) {
+      throw new ApiError('Some orders from this split have already been fulfilled, so it cannot be undone', 409, true, {
+        fulfilled_orders: fulfilled.map(child => ({ order_id: child.id, name: child.name, fulfillment_status: child.fulfillment_status }))
+      });
+    }
+
+    const cancelled = [];
+    const alreadyCancelled = [];
+
+    for (const child of childOrders) {
+      if (child.cancelled_at) {
+        alreadyCancelled.push(child.id);
+        continue;
+      }
+
+      try {
+        await this.cancelOrder(child.id, `Multi-address split of order ${originalOrder.name} was undone`);
+        cancelled.push(child.id);
+      } catch (error) {
+        throw new ApiError(
+          `Failed to cancel order ${child.name} while undoing the split: ${error.message} (retry to finish)`,
+          error.statusCode || error.response?.status || 500,
+          true,
+          { cancelled_orders: cancelled, already_cancelled_orders: alreadyCancelled, failed_order_id: child.id }
+        );
+      }
+    }
+
+    // Release what the split held; without its record, the holds carrying its note
+    const heldIds = split?.result?.held_fulfillment_orders?.map(String);
+    const released = [];
+    const fulfillmentOrders = await this.getFulfillmentOrders(orderId);
+    const heldBySplit = (fulfillmentOrder) => (heldIds
+      ? heldIds.includes(String(fulfillmentOrder.id))
+      : fulfillmentOrder.fulfillment_holds.some(hold => hold.reason_notes?.includes(SPLIT_HOLD_NOTE)));
+
+    for (const fulfillmentOrder of fulfillmentOrders) {
+      if (fulfillmentOrder.status === 'on_hold' && heldBySplit(fulfillmentOrder)) {
+        await this.releaseFulfillmentOrderHold(fulfillmentOrder.id);
+        released.push(fulfillmentOrder.id);
+      }
+    }
+
+    const revertedAt = new Date().toISOString();
+
+    // Keep the addresses but drop the split, so the order can be split again
+    if (existingAddresses.configured) {
+      await this.writeAddressMetafield(orderId, {
+        multi_address_shipping: {
+          configured_at: existingAddresses.configured_at,
+          updated_at: revertedAt,
+          line_items: existingAddresses.addresses,
+          reverted_split: {
+            created_orders: childOrders.map(child => child.id),
+            reverted_at: revertedAt
+          }
+        }
+      }, existingAddresses.metafield_id);
+    }
+
+    await this.addOrderNote(
+      orderId,
+      `Multi-address split undone: cancelled orders ${childOrders.map(child => child.id).join(', ')}` +
+        (released.length > 0 ? `; released fulfillment orders ${released.join(', ')}` : '')
+    );
+    await this.updateOrderTags(orderId, { remove: [PARENT_TAG] });
+
+    return {
+      unsplit: true,
+      original_order_id: originalOrder.id,
+      cancelled_orders: cancelled,
+      already_cancelled_orders: alreadyCancelled,
+      released_fulfillment_orders: released,
+      reverted_at: revertedAt
+    };
+  }
+
+  /**
+   * Find the orders a split created, by their original_order_id note attribute
+   * @param {Object} originalOrder - Original Shopify order
+   * @param {Object|null} split - Split record from the metafield
+   * @returns {Array} Child orders ({ id, name, created_at, cancelled_at, fulfillment_status, note_attributes })
+   */
+  async findSplitChildOrders(originalOrder, split) {
+    const createdIds = (split?.created_orders || []).filter(Boolean);
+    const candidates = createdIds.length > 0
+      ? await this.getSplitChildCandidates({ ids: createdIds })
+      : await this.getSplitChildCandidates({ since: originalOrder.created_at });
+
+    return candidates.filter(order => String(order.id) !== String(originalOrder.id) &&
+      order.note_attributes?.find(attr => attr.name === 'original_order_id')?.value === String(originalOrder.id));
+  }
+
+  /**
+   * List orders that may be parts of a split, with the fields needed to check
+   * @param {Object} filter - Which orders to list
+   * @param {Array} [filter.ids] - Order IDs from the split record
+   * @param {string} [filter.since] - Otherwise, every order placed since this date
+   * @returns {Array} Orders ({ id, name, created_at, cancelled_at, fulfillment_status, note_attributes })
+   */
+  async getSplitChildCandidates({ ids = null, since = null }) {
+    const orders = [];
+    let params = {
+      status: 'any',
+      limit: 250,
+      fields: SPLIT_CHILD_FIELDS,
+      ...(ids ? { ids: ids.join(',') } : { created_at_min: since })
+    };
+
+    for (;;) {
+      const response = await this.api.get('/orders.json', { params });
+      orders.push(...response.data.orders);
+
+      const pageInfo = nextPageInfo(response.headers?.link);
+      if (!pageInfo) {
+        return orders;
+      }
+
+      // Later pages take only the cursor; the filters travel with it
+      params = { limit: 250, fields: SPLIT_CHILD_FIELDS, page_info: pageInfo };
+    }
+  }
+
+  /**
+   * Build the draft order for one part of a split
+   *
+   * Items are custom line items at the original unit price, so the part costs
+   * what the customer paid rather than today's price. They keep the SKU and
+   * weight but not the variant, so inventory the original order already took
+   * isn't taken again.
+   * @param {Object} originalOrder - Original Shopify order
+   * @param {Array} items - Line items sharing one shipping address
+   * @param {number} partNumber - 1-based part number
+   * @param {Object} pricing - The part's pricing (from priceSplitParts)
+   * @returns {Object} Draft order payload
+   */
+  buildSplitDraftOrder(originalOrder, items, partNumber, pricing) {
+    const address = items[0].address;
+    const gift = this.getShipmentGiftOptions(items);
+
+    const groupLineItems = items.map(item => {
+      const originalItem = originalOrder.line_items.find(li => li.id === item.line_item_id);
+
+      if (!originalItem) {
+        throw new ApiError(`Line item ${item.line_item_id} is not part of order ${originalOrder.name}`, 422);
+      }
+
+      const properties = [...(originalItem.properties || [])];
+
+      if (item.allocation) {
+        properties.push({
+          name: '_multi_address_allocation',
+          value: `${item.allocation.index} of ${item.allocation.count}`
+        });
+      }
+
+      if (gift?.hide_prices) {
+        // Lets the packing slip template leave out this item's price
+        properties.push({ name: '_gift_receipt', value: 'yes' });
+      }
+
+      return {
+        title: originalItem.variant_title ? `${originalItem.title} - ${originalItem.variant_title}` : originalItem.title,
+        price: originalItem.price,
+        quantity: item.quantity,
+        sku: originalItem.sku || undefined,
+        grams: originalItem.grams,
+        requires_shipping: true,
+        taxable: originalItem.taxable !== false,
+        properties
+      };
+    });
+
+    const discountCodes = (originalOrder.discount_codes || []).map(discount => discount.code).filter(Boolean);
+
+    return {
+      line_items: groupLineItems,
+      customer: {
+        id: originalOrder.customer?.id
+      },
+      shipping_address: this.formatShippingAddress(address),
+      billing_address: originalOrder.billing_address,
+      currency: originalOrder.currency,
+      ...(Number(pricing.discount) > 0 && {
+        applied_discount: {
+          title: discountCodes.join(', ') || 'Original order discount',
+          description: `Discounts from order ${originalOrder.name}`,
+          value_type: 'fixed_amount',
+          value: pricing.discount,
+          amount: pricing.discount
+        }
+      }),
+      ...(originalOrder.shipping_lines?.length > 0 && {
+        shipping_line: {
+          title: originalOrder.shipping_lines[0].title || 'Shipping',
+          price: pricing.shipping,
+          custom: true
+        }
+      }),
+      // Tax the customer didn't pay on the original isn't charged on the part
+      tax_exempt: Number(originalOrder.total_tax || 0) === 0,
+      taxes_included: originalOrder.taxes_included === true,
+      note: `Split from order ${originalOrder.name} - Part ${partNumber}`,
+      tags: CHILD_TAG,
+      note_attributes: [
+        {
+          name: 'original_order_id',
+          value: originalOrder.id.toString()
+        },
+        {
+          name: 'split_order_part',
+          value: partNumber.toString()
+        },
+        {
+          name: 'multi_address_split',
+          value: 'yes'
+        },
+        ...this.formatGiftAttributes(gift)
+      ]
+    };
+  }
+
+  /**
+   * Note attributes that put a shipment's gift options on its packing slip
+   * @param {Object|null} gift - Gift options for the shipment
+   * @returns {Array} Note attributes
+   */
+  formatGiftAttributes(gift) {
+    if (!gift) {
+      return [];
+    }
+
+    return [
+      gift.message && { name: 'gift_message', value: gift.message },
+      gift.sender_name && { name: 'gift_sender', value: gift.sender_name },
+      gift.hide_prices && { name: 'gift_receipt', value: 'yes' },
+      gift.recipient_email && { name: 'gift_recipient_email', value: gift.recipient_email }
+    ].filter(Boolean);
+  }
+
+  /**
+   * Result of an earlier split, for a repeated request with the same line items
+   * @param {Object} split - Split record from the metafield
+   * @param {string} method - split_orders or fulfillment_orders
+   * @param {string} requestFingerprint - Fingerprint of the repeated request's line items
+   * @returns {Object} Earlier split result with `already_split`
+   */
+  replayExistingSplit(split, method, requestFingerprint) {
+    const existingMethod = split.method || 'split_orders';
+
+    if (existingMethod !== method) {
+      throw new ApiError(`This order has already been split with ${existingMethod}`, 409, true, {
+        split_method: existingMethod
+      });
+    }
+
+    if (split.request_fingerprint !== requestFingerprint) {
+      throw new ApiError('This order has already been split with different line items', 409, true, method === 'split_orders'
+        ? { created_orders: split.created_orders }
+        : { fulfillment_orders: split.fulfillment_orders });
+    }
+
+    return {
+      ...split.result,
+      already_split: true
+    };
+  }
+
+  /**
+   * Split the order's fulfillment orders so each recipient's items are in
+   * their own, without creating new orders. The original payment, discounts
+   * and taxes stay on the one order.
+   *
+   * Limitation: Shopify does not let apps change a fulfillment order's
+   * destination, so every piece would still ship to the order's shipping
+   * address. Each piece is therefore put on hold as soon as it is made, with
+   * its recipient in the hold notes, and the recipients are recorded in the
+   * metafield and the order note. Staff ship each one by hand to its
+   * recipient; nothing goes out through the normal fulfillment flow.
+   *
+   * If a step fails, the pieces made so far stay on hold and are listed in the
+   * order note and the error details. Saving again releases those holds and
+   * reuses the pieces.
+   * @param {string|number} orderId - Order ID
+   * @param {Array} lineItems - Line items with addresses
+   * @returns {Object} Result with the fulfillment orders of each shipment
+   */
+  async splitFulfillmentOrdersByAddress(orderId, lineItems) {
+    const order = await this.getOrder(orderId);
+
+    const requestFingerprint = fingerprint(lineItems);
+    const existingAddresses = await this.getOrderAddresses(orderId);
+
+    if (existingAddresses.split) {
+      return this.replayExistingSplit(existingAddresses.split, 'fulfillment_orders', requestFingerprint);
+    }
+
+    this.assertSplittable(order);
+
+    const shipments = Object.values(this.groupLineItemsByAddress(this.expandAllocations(lineItems)))
+      .map((items, index) => ({
+        shipment: index + 1,
+        items,
+        address: items[0].address,
+        gift: this.getShipmentGiftOptions(items),
+        quantities: quantitiesByLineItem(items.map(item => [item.line_item_id, item.quantity])),
+        fulfillment_order_ids: []
+      }));
+
+    // Pieces held by an earlier attempt that failed are released and reused
+    for (const fulfillmentOrder of await this.getFulfillmentOrders(orderId)) {
+      if (fulfillmentOrder.status === 'on_hold' &&
+          fulfillmentOrder.fulfillment_holds.some(hold => hold.reason_notes?.startsWith(RECIPIENT_HOLD_NOTE))) {
+        await this.releaseFulfillmentOrderHold(fulfillmentOrder.id);
+      }
+    }
+
+    let fulfillmentOrders = (await this.getFulfillmentOrders(orderId)).filter(fo => fo.status === 'open');
+    const pieces = this.allocateToFulfillmentOrders(fulfillmentOrders, shipments);
+
+    // Each piece is held the moment it is made, so it can't ship to the order's address
+    const holdForRecipient = async (fulfillmentOrderId, shipment) => {
+      const address = shipment.address;
+      await this.holdFulfillmentOrder(fulfillmentOrderId,
+        `${RECIPIENT_HOLD_NOTE} Ship to ${[address.first_name, address.last_name].filter(Boolean).join(' ')}, ` +
+        `${[address.address1, address.address2, address.city, address.province, address.zip, address.country].filter(Boolean).join(', ')}`);
+      shipment.fulfillment_order_ids.push(fulfillmentOrderId);
+    };
+
+    try {
+      for (const [fulfillmentOrderId, demands] of pieces) {
+        let pool = fulfillmentOrders.find(fo => fo.id === fulfillmentOrderId);
+
+        for (const demand of demands) {
+          if (!pool) {
+            throw new ApiError(`Fulfillment order ${fulfillmentOrderId} ran out of items while splitting`, 502);
+          }
+
+          if (sameQuantities(fulfillmentOrderQuantities(pool), demand.quantities)) {
+            // What is left of the fulfillment order is exactly this shipment
+            await holdForRecipient(pool.id, demand.shipment);
+            break;
+          }
+
+          if (!pool.supported_actions.includes('split')) {
+            throw new ApiError(`Fulfillment order ${pool.id} cannot be split (status ${pool.status})`, 409);
+          }
+
+          const before = new Set(fulfillmentOrders.map(fo => fo.id));
+          await this.splitFulfillmentOrder(pool.id, this.pickFulfillmentOrderLineItems(pool, demand.quantities));
+
+          // Find the pieces by their contents; Shopify may replace the original
+          fulfillmentOrders = (await this.getFulfillmentOrders(orderId)).filter(fo => fo.status === 'open');
+          const derived = fulfillmentOrders.filter(fo => fo.id === pool.id || !before.has(fo.id));
+          const splitOff = derived.find(fo => sameQuantities(fulfillmentOrderQuantities(fo), demand.quantities));
+
+          if (!splitOff) {
+            throw new ApiError(`Shopify did not split fulfillment order ${pool.id} as requested`, 502);
+          }
+
+          await holdForRecipient(splitOff.id, demand.shipment);
+          pool = derived.find(fo => fo.id !== splitOff.id);
+        }
+      }
     } catch (error) {
-      throw new ApiError(`Failed to split order: ${error.message}`, error.response?.status || 500);
+      const done = shipments.filter(shipment => shipment.fulfillment_order_ids.length > 0)
+        .map(shipment => ({ shipment: shipment.shipment, fulfillment_order_ids: shipment.fulfillment_order_ids }));
+
+      // No split record is saved, so leave one where staff will see it
+      if (done.length > 0) {
+        await this.addOrderNote(orderId, `Multi-address fulfillment split failed part way (${error.message}); ` +
+          `on hold for their recipients: FO ${done.flatMap(piece => piece.fulfillment_order_ids).join(', ')}`);
+      }
+
+      throw new ApiError(
+        `Failed to split fulfillment orders: ${error.message}` +
+          (done.length > 0 ? '. Fulfillment orders already split are on hold; saving again reuses them' : ''),
+        error.statusCode || error.response?.status || 500,
+        true,
+        { fulfillment_orders: done }
+      );
     }
+
+    const splitResult = {
+      split_successful: true,
+      split_method: 'fulfillment_orders',
+      original_order_id: orderId,
+      fulfillment_orders: shipments.map(shipment => {
+        const mergeReasons = explainMerge(shipment.items.map(item => item.address));
+        return {
+          shipment: shipment.shipment,
+          fulfillment_order_ids: shipment.fulfillment_order_ids,
+          shipping_address: this.formatShippingAddress(shipment.address),
+          line_items: shipment.items.map(item => ({
+            line_item_id: item.line_item_id,
+            title: item.title,
+            quantity: item.quantity,
+            ...(item.allocation && { allocation: item.allocation })
+          })),
+          ...(shipment.gift && { gift: shipment.gift }),
+          ...(mergeReasons.length > 0 && { merged_addresses: mergeReasons })
+        };
+      }),
+      total_shipments: shipments.length,
+      fulfillment_orders_on_hold: true,
+      fulfillment_note: FULFILLMENT_ORDER_SPLIT_NOTE,
+      split_at: new Date().toISOString()
+    };
+
+    await this.saveAddressesToMetafields(orderId, lineItems, {
+      method: 'fulfillment_orders',
+      request_fingerprint: requestFingerprint,
+      fulfillment_orders: shipments.flatMap(shipment => shipment.fulfillment_order_ids),
+      result: splitResult
+    });
+
+    await this.addOrderNote(orderId, [
+      `Fulfillment split into ${shipments.length} shipments by recipient, each on hold (ship by hand to the recipient, not the order's shipping address):`,
+      ...shipments.map(shipment => {
+        const address = shipment.address;
+        return `FO ${shipment.fulfillment_order_ids.join(', ')} -> ${address.first_name} ${address.last_name}, ${address.address1}, ${address.city}`;
+      })
+    ].join('\n'));
+
+    return splitResult;
+  }
+
+  /**
+   * Decide how much of each shipment comes from each open fulfillment order.
+   * A fulfillment order that already holds exactly one shipment (e.g. from an
+   * earlier attempt) is used as it is.
+   * @param {Array} fulfillmentOrders - Open fulfillment orders
+   * @param {Array} shipments - Shipments with `quantities` by line item
+   * @returns {Map} Fulfillment order ID to its pieces ({ shipment, quantities })
+   */
+  allocateToFulfillmentOrders(fulfillmentOrders, shipments) {
+    const pieces = new Map();
+    const remaining = new Map();
+    const addPiece = (fulfillmentOrderId, shipment, lineItemId, quantity) => {
+      if (!pieces.has(fulfillmentOrderId)) {
+        pieces.set(fulfillmentOrderId, []);
+      }
+      let piece = pieces.get(fulfillmentOrderId).find(candidate => candidate.shipment === shipment);
+      if (!piece) {
+        piece = { shipment, quantities: new Map() };
+        pieces.get(fulfillmentOrderId).push(piece);
+      }
+      piece.quantities.set(lineItemId, (piece.quantities.get(lineItemId) || 0) + quantity);
+    };
+
+    fulfillmentOrders.forEach(fo => fo.line_items.forEach(foItem => remaining.set(foItem.id, foItem.fulfillable_quantity)));
+
+    const unmatched = shipments.filter(shipment => {
+      const match = fulfillmentOrders.find(fo => !pieces.has(fo.id) &&
+        sameQuantities(fulfillmentOrderQuantities(fo), shipment.quantities));
+
+      if (!match) {
+        return true;
+      }
+
+      match.line_items.forEach(foItem => remaining.set(foItem.id, 0));
+      shipment.quantities.forEach((quantity, lineItemId) => addPiece(match.id, shipment, lineItemId, quantity));
+      return false;
+    });
+
+    unmatched.forEach(shipment => {
+      shipment.quantities.forEach((quantity, lineItemId) => {
+        let needed = quantity;
+
+        fulfillmentOrders.forEach(fo => fo.line_items.forEach(foItem => {
+          if (needed === 0 || String(foItem.line_item_id) !== lineItemId) {
+            return;
+          }
+
+          const take = Math.min(remaining.get(foItem.id), needed);
+
+          if (take > 0) {
+            remaining.set(foItem.id, remaining.get(foItem.id) - take);
+            needed -= take;
+            addPiece(fo.id, shipment, lineItemId, take);
+          }
+        }));
+
+        if (needed > 0) {
+          throw new ApiError(`Line item ${lineItemId} does not have ${quantity} unfulfilled units left to split`, 409, true, {
+            line_item_id: lineItemId,
+            missing_quantity: needed
+          });
+        }
+      });
+    });
+
+    return pieces;
+  }
+
+  /**
+   * Fulfillment order line items (and quantities) holding the given order line item quantities
+   * @param {Object} fulfillmentOrder - Fulfillment order
+   * @param {Map} quantities - Quantities by order line item ID
+   * @returns {Array} Fulfillment order line items ({ id, quantity })
+   */
+  pickFulfillmentOrderLineItems(fulfillmentOrder, quantities) {
+    const picked = [];
+
+    quantities.forEach((quantity, lineItemId) => {
+      let needed = quantity;
+
+      fulfillmentOrder.line_items
+        .filter(foItem => String(foItem.line_item_id) === lineItemId)
+        .forEach(foItem => {
+          const take = Math.min(foItem.fulfillable_quantity, needed);
+          if (take > 0) {
+            picked.push({ id: foItem.id, quantity: take });
+            needed -= take;
+          }
+        });
+    });
+
+    return picked;
+  }
+
+  /**
+   * Undo the orders created by a failed split
+   * @param {string|number} orderId - Original order ID
+   * @param {Array} createdOrders - Drafts/orders created before the failure
+   * @param {Error} cause - Error that stopped the split
+   * @param {Array} [heldFulfillmentOrders] - Original fulfillment order IDs put on hold
+   * @returns {Object} Rollback report
+   */
+  async compensateSplit(orderId, createdOrders, cause, heldFulfillmentOrders = []) {
+    // Undo in reverse order: holds came after the orders
+    const actions = [
+      ...heldFulfillmentOrders.map(fulfillmentOrderId => ({
+        type: 'release_fulfillment_hold',
+        fulfillment_order_id: fulfillmentOrderId
+      })),
+      ...[...createdOrders].reverse().map(createdOrder => (
+        createdOrder.order_id
+          ? { type: 'cancel_order', order_id: createdOrder.order_id, draft_order_id: createdOrder.draft_order_id }
+          : { type: 'delete_draft_order', draft_order_id: createdOrder.draft_order_id }
+      ))
+    ];
+
+    const { undone, failed } = await this.runCompensationActions(actions);
+
+    const recovery = failed.length > 0
+      ? this.recordSplitRecovery(orderId, failed, cause)
+      : null;
+
+    return {
+      original_order_id: orderId,
+      rolled_back: failed.length === 0,
+      created: createdOrders.map(createdOrder => ({
+        order_id: createdOrder.order_id,
+        draft_order_id: createdOrder.draft_order_id
+      })),
+      undone,
+      failed,
+      recovery_id: recovery ? recovery.id : null
+    };
+  }
+
+  /**
+   * Run compensation actions, collecting the ones that fail
+   * @param {Array} actions - Compensation actions
+   * @returns {Object} Completed (`undone`) and `failed` actions
+   */
+  async runCompensationActions(actions) {
+    const undone = [];
+    const failed = [];
+
+    for (const pending of actions) {
+      // Actions retried from a recovery record carry the last attempt's error; drop it
+      const action = { ...pending };
+      delete action.error;
+
+      try {
+        if (action.type === 'cancel_order') {
+          await this.cancelOrder(action.order_id, 'Rolled back failed multi-address split');
+        } else if (action.type === 'delete_draft_order') {
+          await this.deleteDraftOrder(action.draft_order_id);
+        } else if (action.type === 'release_fulfillment_hold') {
+          await this.releaseFulfillmentOrderHold(action.fulfillment_order_id);
+        } else {
+          throw new Error(`Unknown compensation action: ${action.type}`);
+        }
+
+        undone.push({ ...action, completed_at: new Date().toISOString() });
+      } catch (error) {
+        console.error('Split compensation failed:', { action, error: error.message });
+        failed.push({ ...action, error: error.message });
+      }
+    }
+
+    return { undone, failed };
+  }
+
+  /**
+   * Keep failed compensation actions so the rollback can be finished later
+   * @param {string|number} orderId - Original order ID
+   * @param {Array} pendingActions - Compensation actions still to run
+   * @param {Error} cause - Error that stopped the split
+   * @returns {Object} Split recovery record
+   */
+  recordSplitRecovery(orderId, pendingActions, cause) {
+    const now = new Date().toISOString();
+    const recovery = {
+      id: crypto.randomUUID(),
+      tenant_id: this.tenantId,
+      original_order_id: orderId,
+      status: 'pending',
+      reason: cause.message,
+      pending_actions: pendingActions,
+      completed_actions: [],
+      attempts: 1,
+      created_at: now,
+      updated_at: now
+    };
+
+    return LocalStore.collection('split_recoveries').set(recovery.id, recovery);
+  }
+
+  /**
+   * List split recovery records
+   * @param {string} [status] - Only return records with this status
+   * @returns {Array} Split recovery records
+   */
+  getSplitRecoveries(status) {
+    return LocalStore.collection('split_recoveries')
+      .list(recovery => recovery.tenant_id === this.tenantId && (!status || recovery.status === status));
+  }
+
+  /**
+   * Retry the pending compensation actions of a split recovery
+   * @param {string} recoveryId - Split recovery ID
+   * @returns {Object} Updated split recovery record
+   */
+  async retrySplitRecovery(recoveryId) {
+    const store = LocalStore.collection('split_recoveries');
+    const recovery = store.get(recoveryId);
+
+    if (!recovery || recovery.tenant_id !== this.tenantId) {
+      throw new ApiError('Split recovery not found', 404);
+    }
+
+    if (recovery.status === 'resolved') {
+      return recovery;
+    }
+
+    const { undone, failed } = await this.runCompensationActions(recovery.pending_actions);
+
+    return store.set(recoveryId, {
+      ...recovery,
+      status: failed.length === 0 ? 'resolved' : 'pending',
+      pending_actions: failed,
+      completed_actions: [...recovery.completed_actions, ...undone],
+      attempts: recovery.attempts + 1,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Create a draft order
+   * @param {Object} draftOrder - Draft order payload
+   * @returns {Object} Created draft order
+   */
+  async createDraftOrder(draftOrder) {
+    const response = await this.api.post('/draft_orders.json', { draft_order: draftOrder });
+    return response.data.draft_order;
+  }
+
+  /**
+   * Complete a draft order, converting it into an order
+   * @param {string|number} draftOrderId - Draft order ID
+   * @param {Object} [options] - Completion options
+   * @param {boolean} [options.paymentPending] - Leave the order unpaid instead of marking it paid
+   * @returns {Object} Completed draft order (with order_id)
+   */
+  async completeDraftOrder(draftOrderId, { paymentPending = false } = {}) {
+    // Shopify reads payment_pending from the query string
+    const response = await this.api.put(`/draft_orders/${draftOrderId}/complete.json`, {}, {
+      params: { payment_pending: paymentPending }
+    });
+    return response.data.draft_order;
+  }
+
+  /**
+   * Get a draft order
+   * @param {string|number} draftOrderId - Draft order ID
+   * @returns {Object} Draft order ({ id, status, order_id, invoice_url, ... })
+   */
+  async getDraftOrder(draftOrderId) {
+    const response = await this.api.get(`/draft_orders/${draftOrderId}.json`);
+    return response.data.draft_order;
+  }
+
+  /**
+   * Email a draft order's invoice to the customer
+   * @param {string|number} draftOrderId - Draft order ID
+   * @param {Object} [invoice] - Invoice email options ({ to, subject, custom_message })
+   * @returns {Object} Sent invoice
+   */
+  async sendDraftOrderInvoice(draftOrderId, invoice = {}) {
+    const response = await this.api.post(`/draft_orders/${draftOrderId}/send_invoice.json`, {
+      draft_order_invoice: invoice
+    });
+    return response.data.draft_order_invoice;
+  }
+
+  /**
+   * Delete a draft order
+   * @param {string|number} draftOrderId - Draft order ID
+   */
+  async deleteDraftOrder(draftOrderId) {
+    try {
+      await this.api.delete(`/draft_orders/${draftOrderId}.json`);
+    } catch (error) {
+      // Already gone counts as deleted
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * List an order's fulfillment orders
+   * @param {string|number} orderId - Order ID
+   * @returns {Array} Fulfillment orders ({ id, status, supported_actions, line_items })
+   */
+  async getFulfillmentOrders(orderId) {
+    const response = await this.api.get(`/orders/${orderId}/fulfillment_orders.json`);
+    return response.data.fulfillment_orders.map(fo => ({
+      id: fo.id,
+      status: fo.status,
+      assigned_location_id: fo.assigned_location_id,
+      supported_actions: fo.supported_actions || [],
+      fulfillment_holds: (fo.fulfillment_holds || []).map(hold => ({
+        reason: hold.reason,
+        reason_notes: hold.reason_notes || null
+      })),
+      line_items: fo.line_items.map(foItem => ({
+        id: foItem.id,
+        line_item_id: foItem.line_item_id,
+        quantity: foItem.quantity,
+        fulfillable_quantity: foItem.fulfillable_quantity
+      }))
+    }));
+  }
+
+  /**
+   * Split line items off a fulfillment order into a new one
+   * @param {string|number} fulfillmentOrderId - Fulfillment order ID
+   * @param {Array} lineItems - Fulfillment order line items to split off ({ id, quantity })
+   * @returns {Object} Split response
+   */
+  async splitFulfillmentOrder(fulfillmentOrderId, lineItems) {
+    const response = await this.api.post(`/fulfillment_orders/${fulfillmentOrderId}/split.json`, {
+      fulfillment_order: { fulfillment_order_line_items: lineItems }
+    });
+    return response.data;
+  }
+
+  /**
+   * Put a fulfillment order on hold
+   * @param {string|number} fulfillmentOrderId - Fulfillment order ID
+   * @param {string} notes - Why it is held, shown to the merchant
+   * @returns {Object} Held fulfillment order
+   */
+  async holdFulfillmentOrder(fulfillmentOrderId, notes) {
+    const response = await this.api.post(`/fulfillment_orders/${fulfillmentOrderId}/hold.json`, {
+      fulfillment_hold: {
+        reason: 'other',
+        reason_notes: notes,
+        notify_merchant: false
+      }
+    });
+    return response.data.fulfillment_order;
+  }
+
+  /**
+   * Release a fulfillment order's hold so it can ship
+   * @param {string|number} fulfillmentOrderId - Fulfillment order ID
+   * @returns {Object} Released fulfillment order
+   */
+  async releaseFulfillmentOrderHold(fulfillmentOrderId) {
+    const response = await this.api.post(`/fulfillment_orders/${fulfillmentOrderId}/release_hold.json`, {});
+    return response.data.fulfillment_order;
+  }
+
+  /**
+   * List an order's fulfillments
+   * @param {string|number} orderId - Order ID
+   * @returns {Array} Fulfillments ({ id, status, shipment_status, created_at, tracking, line_items })
+   */
+  async getFulfillments(orderId) {
+    const response = await this.api.get(`/orders/${orderId}/fulfillments.json`);
+    return response.data.fulfillments.map(formatFulfillment);
+  }
+
+  /**
+   * List the fulfillments of a fulfillment order
+   * @param {string|number} fulfillmentOrderId - Fulfillment order ID
+   * @returns {Array} Fulfillments ({ id, status, shipment_status, created_at, tracking, line_items })
+   */
+  async getFulfillmentOrderFulfillments(fulfillmentOrderId) {
+    const response = await this.api.get(`/fulfillment_orders/${fulfillmentOrderId}/fulfillments.json`);
+    return response.data.fulfillments.map(formatFulfillment);
+  }
+
+  /**
+   * Cancel an order
+   * @param {string|number} orderId - Order ID
+   * @param {string} [note] - Reason recorded on the order
+   * @returns {Object} Cancelled order
+   */
+  async cancelOrder(orderId, note) {
+    const response = await this.api.post(`/orders/${orderId}/cancel.json`, {
+      reason: 'other',
+      email: false,
+      restock: true
+    });
+
+    if (note) {
+      await this.addOrderNote(orderId, note);
+    }
+
+    return response.data.order;
   }
 
   /**
    * Group line items by shipping address
+   *
+   * Addresses are compared after normalization (see addressNormalizer), so the
+   * same recipient and unit written two ways share a shipment while neighbours
+   * in different units do not.
    * @param {Array} lineItems - Line items with addresses
-   * @returns {Object} Grouped line items
+   * @returns {Object} Grouped line items keyed by normalized address
    */
   groupLineItemsByAddress(lineItems) {
     const groups = {};
     
     lineItems.forEach(item => {
-      const addressKey = [
-        item.address.address1,
-        item.address.city,
-        item.address.province,
-        item.address.zip,
-        item.address.country
-      ].join('|').toLowerCase();
+      const key = addressKey(item.address);
       
-      if (!groups[addressKey]) {
-        groups[addressKey] = [];
+      if (!groups[key]) {
+        groups[key] = [];
       }
       
-      groups[addressKey].push(item);
+      groups[key].push(item);
     });
     
     return groups;
   }
 
+  /**
+   * Add and remove order tags
+   * @param {string|number} orderId - Order ID
+   * @param {Object} changes - Tags to `add` and `remove`
+   * @returns {Object|null} Updated order, or null if it failed
+   */
+  async updateOrderTags(orderId, { add = [], remove = [] }) {
+    try {
+      const order = await this.getOrder(orderId);
+      const tags = String(order.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+      const updated = [...new Set([...tags.filter(tag => !remove.includes(tag)), ...add])];
+
+      return await this.updateOrder(orderId, { tags: updated.join(', ') });
+    } catch (error) {
+      console.error('Failed to update order tags:', error.message);
+      // Tags are for people and filters; don't fail the change over them
+      return null;
+    }
+  }
+
   /**
    * Add a note to an order
    * @param {string|number} orderId - Order ID
@@ -387,14 +1550,7 @@ class ShopifyService {
         ? `${existingNote}\n\n[${timestamp}] ${note}`
         : `[${timestamp}] ${note}`;
 
-      const response = await this.api.put(`/orders/${orderId}.json`, {
-        order: {
-          id: orderId,
-          note: newNote
-        }
-      });
-
-      return response.data.order;
+      return await this.updateOrder(orderId, { note: newNote });
     } catch (error) {
       console.error('Failed to add order note:', error.message);
       // Don't throw error for note addition failures
@@ -402,6 +1558,81 @@ class ShopifyService {
     }
   }
 
+  /**
+   * Find the multi-address metafield on an order
+   * @param {string|number} orderId - Order ID
+   * @returns {Object|null} Metafield with `id` and JSON `value`, or null
+   */
+  async findAddressMetafield(orderId) {
+    const response = await this.api.get(`/orders/${orderId}/metafields.json`);
+
+    return response.data.metafields.find(
+      mf => mf.namespace === METAFIELD_NAMESPACE && mf.key === METAFIELD_KEY
+    ) || null;
+  }
+
+  /**
+   * Create or replace the multi-address metafield on an order
+   * @param {string|number} orderId - Order ID
+   * @param {Object} addressData - Metafield value
+   * @param {string|number} [metafieldId] - Existing metafield to update
+   * @returns {Object} Metafield with `id`
+   */
+  async writeAddressMetafield(orderId, addressData, metafieldId = null) {
+    if (metafieldId) {
+      // Overwrites the value, so a retry after a timeout is harmless
+      await this.api.put(`/orders/${orderId}/metafields/${metafieldId}.json`, {
+        metafield: {
+          id: metafieldId,
+          value: JSON.stringify(addressData)
+        }
+      }, { idempotent: true });
+      return { id: metafieldId };
+    }
+
+    const response = await this.api.post(`/orders/${orderId}/metafields.json`, {
+      metafield: {
+        namespace: METAFIELD_NAMESPACE,
+        key: METAFIELD_KEY,
+        value: JSON.stringify(addressData),
+        type: 'json'
+      }
+    });
+    return response.data.metafield;
+  }
+
+  /**
+   * Delete a metafield from an order
+   * @param {string|number} orderId - Order ID
+   * @param {string|number} metafieldId - Metafield ID
+   */
+  async deleteMetafield(orderId, metafieldId) {
+    try {
+      await this.api.delete(`/orders/${orderId}/metafields/${metafieldId}.json`);
+    } catch (error) {
+      // Already gone (e.g. a retry after the first delete went through) counts as deleted
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Update order fields
+   * @param {string|number} orderId - Order ID
+   * @param {Object} fields - Order fields to update (e.g. note)
+   * @returns {Object} Updated order
+   */
+  async updateOrder(orderId, fields) {
+    const response = await this.api.put(`/orders/${orderId}.json`, {
+      order: {
+        id: orderId,
+        ...fields
+      }
+    }, { idempotent: true });
+    return response.data.order;
+  }
+
   /**
    * Get all metafields for an order
    * @param {string|number} orderId - Order ID
@@ -412,10 +1643,29 @@ class ShopifyService {
       const response = await this.api.get(`/orders/${orderId}/metafields.json`);
       return response.data.metafields;
     } catch (error) {
-      throw new ApiError(`Failed to fetch order metafields: ${error.message}`, error.response?.status || 500);
+      throw new ApiError(`Failed to fetch order metafields: ${error.message}`, error.statusCode || error.response?.status || 500);
     }
   }
 
+  /**
+   * Check whether an order was placed with multi-address shipping enabled
+   * @param {Object} order - Shopify order
+   * @returns {boolean} True if the order has the multi_address_shipping note attribute
+   */
+  static isMultiAddressOrder(order) {
+    return Boolean(
+      order.note_attributes?.find(attr => attr.name === 'multi_address_shipping' && attr.value === 'yes')
+    );
+  }
+
+  /**
+   * Get Shopify API client counters (throttling and retries)
+   * @returns {Object} Counter snapshot
+   */
+  getApiStats() {
+    return getClientStats();
+  }
+
   /**
    * Test connection to Shopify API
    * @returns {Object} Shop information
@@ -436,4 +1686,9 @@ class ShopifyService {
   }
 }
 
+ShopifyService.METAFIELD_NAMESPACE = METAFIELD_NAMESPACE;
+ShopifyService.METAFIELD_KEY = METAFIELD_KEY;
+ShopifyService.PARENT_TAG = PARENT_TAG;
+ShopifyService.CHILD_TAG = CHILD_TAG;
+
 module.exports = ShopifyService;
@@ -0,0 +1,284 @@
+/**
+ * Address Normalizer
+ *
+ * Puts addresses into a canonical form for comparison: whitespace and
+ * punctuation, USPS street suffix, directional and unit abbreviations,
+ * province names to codes (from the country rules) and US ZIP+4 to ZIP5.
+ * Used to decide which recipients share a shipment; the addresses themselves
+ * are stored as entered.
+ */
+
+const { findProvinceCode } = require('../validators/countryRules');
+
+// USPS Publication 28, Appendix C1 (common street suffixes)
+const STREET_SUFFIXES = {
+  ALLEY: 'ALY',
+  AVENUE: 'AVE',
+  AV: 'AVE',
+  AVEN: 'AVE',
+  BOULEVARD: 'BLVD',
+  BOUL: 'BLVD',
+  CIRCLE: 'CIR',
+  CIRC: 'CIR',
+  COURT: 'CT',
+  COVE: 'CV',
+  CROSSING: 'XING',
+  DRIVE: 'DR',
+  DRV: 'DR',
+  EXPRESSWAY: 'EXPY',
+  FREEWAY: 'FWY',
+  HEIGHTS: 'HTS',
+  HIGHWAY: 'HWY',
+  HIWAY: 'HWY',
+  LANE: 'LN',
+  LOOP: 'LOOP',
+  PARKWAY: 'PKWY',
+  PKY: 'PKWY',
+  PLACE: 'PL',
+  PLAZA: 'PLZ',
+  POINT: 'PT',
+  RIDGE: 'RDG',
+  ROAD: 'RD',
+  ROUTE: 'RTE',
+  SQUARE: 'SQ',
+  STREET: 'ST',
+  STR: 'ST',
+  TERRACE: 'TER',
+  TRAIL: 'TRL',
+  TURNPIKE: 'TPKE',
+  WAY: 'WAY'
+};
+
+// USPS Publication 28, Appendix B (directionals)
+const DIRECTIONALS = {
+  NORTH: 'N',
+  SOUTH: 'S',
+  EAST: 'E',
+  WEST: 'W',
+  NORTHEAST: 'NE',
+  NORTHWEST: 'NW',
+  SOUTHEAST: 'SE',
+  SOUTHWEST: 'SW'
+};
+
+// USPS Publication 28, Appendix C2 (secondary unit designators)
+const UNIT_DESIGNATORS = {
+  APARTMENT: 'APT',
+  APT: 'APT',
+  SUITE: 'STE',
+  STE: 'STE',
+  UNIT: 'UNIT',
+  '#': '#',
+  BUILDING: 'BLDG',
+  BLDG: 'BLDG',
+  FLOOR: 'FL',
+  FL: 'FL',
+  ROOM: 'RM',
+  RM: 'RM',
+  DEPARTMENT: 'DEPT',
+  DEPT: 'DEPT',
+  LOT: 'LOT',
+  SPACE: 'SPC',
+  SPC: 'SPC',
+  TRAILER: 'TRLR',
+  TRLR: 'TRLR',
+  PENTHOUSE: 'PH',
+  PH: 'PH',
+  BASEMENT: 'BSMT',
+  BSMT: 'BSMT'
+};
+
+// Designators people use interchangeably for the same door
+const GENERIC_UNIT_DESIGNATORS = ['APT', 'UNIT', 'STE', '#'];
+
+/**
+ * Uppercase text and strip punctuation and extra whitespace
+ * @param {string} value - Raw text
+ * @returns {string} Normalized text
+ */
+const normalizeText = (value) => {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/#/g, ' # ')
+    .replace(/[.,'"]/g, '')
+    .replace(/[^A-Z0-9#\-\/ ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Split a token such as "APT4" into designator and identifier
+ * @param {string} token - Normalized token
+ * @returns {Array} Tokens
+ */
+const splitJoinedDesignator = (token) => {
+  const match = token.match(/^(APARTMENT|APT|SUITE|STE|UNIT|BLDG|FLOOR|FL|ROOM|RM|DEPT|LOT|SPC|PH)(\d[A-Z0-9\-]*)$/);
+  return match ? [match[1], match[2]] : [token];
+};
+
+/**
+ * Normalize a secondary unit (apartment, suite, ...)
+ * @param {string} value - Unit text, e.g. "Apartment 4B" or "#4B"
+ * @returns {string} Normalized unit, e.g. "# 4B" (empty when there is none)
+ */
+const normalizeUnit = (value) => {
+  const tokens = normalizeText(value).split(' ').filter(Boolean).flatMap(splitJoinedDesignator);
+
+  if (tokens.length === 0) {
+    return '';
+  }
+
+  let designator = UNIT_DESIGNATORS[tokens[0]];
+  const identifier = (designator ? tokens.slice(1) : tokens).filter(token => token !== '#');
+
+  // An identifier with no designator ("4B") is written as "# 4B" by USPS
+  if (!designator || GENERIC_UNIT_DESIGNATORS.includes(designator)) {
+    designator = '#';
+  }
+
+  return [designator, ...identifier].join(' ');
+};
+
+/**
+ * Normalize the street line, separating any unit written on it
+ * @param {string} value - address1, e.g. "123 North Main Street Apt 4"
+ * @returns {Object} `street` (e.g. "123 N MAIN ST") and `unit` (e.g. "# 4")
+ */
+const normalizeStreet = (value) => {
+  const tokens = normalizeText(value).split(' ').filter(Boolean).flatMap(splitJoinedDesignator);
+
+  // A unit designator after the house number starts the secondary unit
+  const unitIndex = tokens.findIndex((token, index) => index > 0 && UNIT_DESIGNATORS[token]);
+  const streetTokens = unitIndex === -1 ? tokens : tokens.slice(0, unitIndex);
+  const unitTokens = unitIndex === -1 ? [] : tokens.slice(unitIndex);
+
+  const street = streetTokens
+    .map(token => DIRECTIONALS[token] || STREET_SUFFIXES[token] || token)
+    .join(' ');
+
+  return {
+    street,
+    unit: normalizeUnit(unitTokens.join(' '))
+  };
+};
+
+/**
+ * Normalize a province or state to its code where known
+ * @param {string} value - Province name or code
+ * @param {string} country - 2-letter country code
+ * @returns {string} Province code (or normalized text)
+ */
+const normalizeProvince = (value, country) => {
+  return findProvinceCode(country, value) || normalizeText(value);
+};
+
+/**
+ * Normalize a postal code (US ZIP+4 becomes ZIP5)
+ * @param {string} value - Postal code
+ * @param {string} country - 2-letter country code
+ * @returns {string} Normalized postal code
+ */
+const normalizeZip = (value, country) => {
+  const zip = String(value || '').toUpperCase().replace(/\s+/g, '');
+
+  switch (normalizeText(country)) {
+    case 'US': {
+      const digits = zip.replace(/\D/g, '');
+      return digits.length >= 5 ? digits.slice(0, 5) : digits;
+    }
+    case 'CA':
+      return zip.replace(/-/g, '').replace(/^([A-Z]\d[A-Z])(\d[A-Z]\d)$/, '$1 $2');
+    default:
+      return zip;
+  }
+};
+
+/**
+ * Normalize every part of an address
+ * @param {Object} address - Address (first_name, last_name, address1, ...)
+ * @returns {Object} Normalized recipient, street, unit, city, province, zip and country
+ */
+const normalizeAddress = (address) => {
+  const { street, unit: streetUnit } = normalizeStreet(address.address1);
+  const unit = normalizeUnit(address.address2) || streetUnit;
+
+  return {
+    recipient: normalizeText(`${address.first_name || ''} ${address.last_name || ''}`),
+    street,
+    unit,
+    city: normalizeText(address.city),
+    province: normalizeProvince(address.province, address.country),
+    zip: normalizeZip(address.zip, address.country),
+    country: normalizeText(address.country)
+  };
+};
+
+const KEY_FIELDS = ['recipient', 'street', 'unit', 'city', 'province', 'zip', 'country'];
+
+/**
+ * Key that is equal for addresses that describe the same recipient and door
+ * @param {Object} address - Address
+ * @returns {string} Grouping key
+ */
+const addressKey = (address) => {
+  const normalized = normalizeAddress(address);
+  return KEY_FIELDS.map(field => normalized[field]).join('|');
+};
+
+/**
+ * Raw text that each normalized field was derived from
+ * @param {Object} address - Address
+ * @returns {Object} Raw values keyed like normalizeAddress()
+ */
+const rawFields = (address) => ({
+  recipient: [address.first_name, address.last_name].filter(Boolean).join(' '),
+  street: address.address1 || '',
+  unit: address.address2 || (normalizeStreet(address.address1).unit ? address.address1 : ''),
+  city: address.city || '',
+  province: address.province || '',
+  zip: address.zip || '',
+  country: address.country || ''
+});
+
+/**
+ * Explain why several addresses were treated as one shipping address
+ * @param {Array} addresses - Addresses that share a grouping key
+ * @returns {Array} One entry per field whose raw values differ
+ */
+const explainMerge = (addresses) => {
+  if (addresses.length < 2) {
+    return [];
+  }
+
+  const normalized = normalizeAddress(addresses[0]);
+
+  return KEY_FIELDS
+    .map(field => {
+      const values = [...new Set(addresses.map(address => rawFields(address)[field]))];
+
+      if (values.length < 2) {
+        return null;
+      }
+
+      return {
+        field,
+        values,
+        normalized: normalized[field],
+        reason: `${values.map(value => `"${value}"`).join(' and ')} normalize to "${normalized[field]}"`
+      };
+    })
+    .filter(Boolean);
+};
+
+module.exports = {
+  normalizeText,
+  normalizeStreet,
+  normalizeUnit,
+  normalizeProvince,
+  normalizeZip,
+  normalizeAddress,
+  addressKey,
+  explainMerge
+};
@@ -0,0 +1,34 @@
+/**
+ * Shopify Service Factory
+ *
+ * Picks the REST, GraphQL or sandbox implementation of the ShopifyService
+ * interface based on the tenant's api_mode or SHOPIFY_API_MODE.
+ */
+
+const ShopifyService = require('./ShopifyService');
+const ShopifyGraphQLService = require('./ShopifyGraphQLService');
+const ShopifySandboxService = require('./ShopifySandboxService');
+
+const SERVICES = {
+  rest: ShopifyService,
+  graphql: ShopifyGraphQLService,
+  sandbox: ShopifySandboxService
+};
+
+/**
+ * Create the configured Shopify service
+ * @param {Object} [tenant] - Tenant to connect to (defaults to env configuration)
+ * @returns {ShopifyService} Service instance
+ */
+const createShopifyService = (tenant = null) => {
+  const mode = (tenant?.api_mode || process.env.SHOPIFY_API_MODE || 'rest').toLowerCase();
+  const Service = SERVICES[mode];
+
+  if (!Service) {
+    throw new Error(`Unknown Shopify API mode "${mode}". Use one of: ${Object.keys(SERVICES).join(', ')}`);
+  }
+
+  return new Service(tenant);
+};
+
+module.exports = createShopifyService;
@@ -0,0 +1,212 @@
+/**
+ * Email Templates
+ *
+ * Subject, plain text and HTML for each notification. Templates take plain
+ * data (see notifications.js) and escape everything they put in HTML.
+ */
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Address as lines: name, street, city, country
+ * @param {Object} address - Shipping address
+ * @returns {Array<string>} Lines
+ */
+const addressLines = (address = {}) => [
+  [address.first_name, address.last_name].filter(Boolean).join(' '),
+  address.company,
+  address.address1,
+  address.address2,
+  [address.city, address.province, address.zip].filter(Boolean).join(' '),
+  address.country
+].filter(Boolean);
+
+/**
+ * Recipient's name, or their street if there is none
+ * @param {Object} address - Shipping address
+ * @returns {string} Name
+ */
+const recipientName = (address = {}) => {
+  return [address.first_name, address.last_name].filter(Boolean).join(' ') || address.address1 || 'recipient';
+};
+
+/**
+ * Plain text block for one shipment
+ * @param {Object} shipment - Shipment ({ shipping_address, items, gift })
+ * @param {number} index - Position in the list
+ * @returns {string} Text
+ */
+const shipmentText = (shipment, index) => [
+  `${index + 1}. ${addressLines(shipment.shipping_address).join(', ')}`,
+  ...shipment.items.map(item => `   - ${item.quantity} x ${item.title}`),
+  ...(shipment.gift?.message ? [`   Gift message: "${shipment.gift.message}"`] : [])
+].join('\n');
+
+/**
+ * HTML block for one shipment
+ * @param {Object} shipment - Shipment ({ shipping_address, items, gift })
+ * @returns {string} HTML
+ */
+const shipmentHtml = (shipment) => `
+  <li>
+    <p>${addressLines(shipment.shipping_address).map(escapeHtml).join('<br>')}</p>
+    <ul>${shipment.items.map(item => `<li>${escapeHtml(item.quantity)} &times; ${escapeHtml(item.title)}</li>`).join('')}</ul>
+    ${shipment.gift?.message ? `<p><em>Gift message: &ldquo;${escapeHtml(shipment.gift.message)}&rdquo;</em></p>` : ''}
+  </li>`;
+
+/**
+ * Plain text and HTML lines inviting the buyer to change their addresses
+ * @param {string|null} portalLink - Magic link to the portal
+ * @returns {Object} Lines ({ text, html }), empty without a link
+ */
+const changeLink = (portalLink) => (portalLink
+  ? {
+    text: `To change where your items go, use this link: ${portalLink}`,
+    html: `<p><a href="${escapeHtml(portalLink)}">Change where your items go</a></p>`
+  }
+  : { text: '', html: '' });
+
+/**
+ * Invitation to choose the addresses for a newly placed order
+ * @param {Object} data - Template data
+ * @param {string} data.shopName - Store name
+ * @param {Object} data.order - Order ({ name })
+ * @param {string} data.portalLink - Magic link to the portal
+ * @param {string} data.expiresAt - When the link stops working (ISO date)
+ * @returns {Object} Email ({ subject, text, html })
+ */
+const portalInvite = ({ shopName, order, portalLink, expiresAt }) => {
+  const expires = new Date(expiresAt).toUTCString();
+
+  return {
+    subject: `Order ${order.name}: tell us where each item goes`,
+    text: [
+      `Thanks for your order with ${shopName}.`,
+      '',
+      `Order ${order.name} ships to more than one address. Choose who gets what here:`,
+      portalLink,
+      '',
+      `This link is just for you and works until ${expires}.`
+    ].join('\n'),
+    html: `
+<p>Thanks for your order with ${escapeHtml(shopName)}.</p>
+<p>Order <strong>${escapeHtml(order.name)}</strong> ships to more than one address.</p>
+<p><a href="${escapeHtml(portalLink)}">Choose who gets what</a></p>
+<p>This link is just for you and works until ${escapeHtml(expires)}.</p>`
+  };
+};
+
+/**
+ * Confirmation sent to the buyer once their addresses are saved
+ * @param {Object} data - Template data
+ * @param {string} data.shopName - Store name
+ * @param {Object} data.order - Order ({ name })
+ * @param {Array} data.shipments - Shipments ({ shipping_address, items, gift })
+ * @param {string|null} [data.portalLink] - Magic link to change the addresses
+ * @returns {Object} Email ({ subject, text, html })
+ */
+const orderConfirmation = ({ shopName, order, shipments, portalLink = null }) => {
+  const count = `${shipments.length} ${shipments.length === 1 ? 'address' : 'addresses'}`;
+  const link = changeLink(portalLink);
+
+  return {
+    subject: `Order ${order.name}: shipping to ${count}`,
+    text: [
+      `Thanks for your order with ${shopName}.`,
+      '',
+      `Order ${order.name} will ship to ${count}:`,
+      '',
+      shipments.map(shipmentText).join('\n\n'),
+      '',
+      ...(link.text ? [link.text, ''] : []),
+      'If something looks wrong, reply to this email before your order ships.'
+    ].join('\n'),
+    html: `
+<p>Thanks for your order with ${escapeHtml(shopName)}.</p>
+<p>Order <strong>${escapeHtml(order.name)}</strong> will ship to ${count}:</p>
+<ol>${shipments.map(shipmentHtml).join('')}</ol>
+${link.html}
+<p>If something looks wrong, reply to this email before your order ships.</p>`
+  };
+};
+
+/**
+ * Notice sent to the buyer when the addresses of an order change
+ * @param {Object} data - Template data
+ * @param {string} data.shopName - Store name
+ * @param {Object} data.order - Order ({ name })
+ * @param {Array} data.shipments - Shipments after the change
+ * @param {string|null} [data.portalLink] - Magic link to change the addresses
+ * @returns {Object} Email ({ subject, text, html })
+ */
+const addressesChanged = ({ shopName, order, shipments, portalLink = null }) => {
+  const link = changeLink(portalLink);
+
+  return {
+    subject: `Order ${order.name}: shipping addresses updated`,
+    text: [
+      `The shipping addresses for your ${shopName} order ${order.name} have been updated.`,
+      '',
+      'It will now ship to:',
+      '',
+      shipments.map(shipmentText).join('\n\n'),
+      '',
+      ...(link.text ? [link.text, ''] : []),
+      "If you didn't make this change, reply to this email right away."
+    ].join('\n'),
+    html: `
+<p>The shipping addresses for your ${escapeHtml(shopName)} order <strong>${escapeHtml(order.name)}</strong> have been updated.</p>
+<p>It will now ship to:</p>
+<ol>${shipments.map(shipmentHtml).join('')}</ol>
+${link.html}
+<p>If you didn't make this change, reply to this email right away.</p>`
+  };
+};
+
+/**
+ * "A gift is on its way" email for a recipient
+ * @param {Object} data - Template data
+ * @param {string} data.shopName - Store name
+ * @param {Object} data.shipment - The recipient's shipment ({ shipping_address, items, gift })
+ * @param {string} data.senderName - Who the gift is from
+ * @returns {Object} Email ({ subject, text, html })
+ */
+const giftOnTheWay = ({ shopName, shipment, senderName }) => {
+  const from = senderName ? ` from ${senderName}` : '';
+
+  return {
+    subject: `A gift${from} is on its way`,
+    text: [
+      `Hi ${recipientName(shipment.shipping_address)},`,
+      '',
+      `A gift${from} is on its way to you from ${shopName}.`,
+      ...(shipment.gift?.message ? ['', `"${shipment.gift.message}"`] : []),
+      '',
+      "We'll send it to:",
+      addressLines(shipment.shipping_address).join('\n')
+    ].join('\n'),
+    html: `
+<p>Hi ${escapeHtml(recipientName(shipment.shipping_address))},</p>
+<p>A gift${escapeHtml(from)} is on its way to you from ${escapeHtml(shopName)}.</p>
+${shipment.gift?.message ? `<blockquote>${escapeHtml(shipment.gift.message).replace(/\n/g, '<br>')}</blockquote>` : ''}
+<p>We'll send it to:<br>${addressLines(shipment.shipping_address).map(escapeHtml).join('<br>')}</p>`
+  };
+};
+
+module.exports = {
+  portalInvite,
+  orderConfirmation,
+  addressesChanged,
+  giftOnTheWay,
+  escapeHtml
+};
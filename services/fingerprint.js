@@ -0,0 +1,41 @@
+/**
+ * Fingerprint
+ *
+ * Stable hashes of request payloads, used to tell a repeated request from a
+ * different one that reuses the same key (see middleware/idempotency.js and
+ * the repeat-split check in ShopifyService).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * JSON.stringify replacer that writes object keys in sorted order
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Value, with plain objects rebuilt with sorted keys
+ */
+const sortKeys = (key, value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  return Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]));
+};
+
+/**
+ * Hash a request payload so repeats can be compared
+ *
+ * Keys are sorted first, so the same payload sent with its fields in a
+ * different order gets the same hash.
+ * @param {*} value - Payload to hash
+ * @returns {string} SHA-256 hex digest
+ */
+const fingerprint = (value) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(value ?? null, sortKeys))
+    .digest('hex');
+};
+
+module.exports = {
+  fingerprint
+};
@@ -0,0 +1,165 @@
+/**
+ * Mailer
+ *
+ * Sends email through a pluggable transport and retries failed sends with
+ * exponential backoff. The transport is chosen by EMAIL_TRANSPORT:
+ *
+ * - smtp: SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS (the default when
+ *   SMTP_HOST is set; point it at a local SMTP stand-in such as MailHog in
+ *   development)
+ * - file: writes each message as JSON to EMAIL_FILE_DIR, for tests
+ * - none: sends nothing (the default without SMTP_HOST)
+ *
+ * Tests can also install their own transport with setTransport.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { setTimeout: sleep } = require('timers/promises');
+
+const DEFAULTS = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  fileDir: './outbox'
+};
+
+let transport = null;
+
+/**
+ * Read an integer setting, keeping 0 but falling back when unset or invalid
+ * @param {string} value - Environment value
+ * @param {number} fallback - Default
+ * @returns {number} Setting
+ */
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+/**
+ * Transport that sends through an SMTP server
+ * @returns {Object} Transport ({ name, send })
+ */
+const createSmtpTransport = () => {
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const smtp = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    // 465 is implicit TLS; other ports upgrade with STARTTLS when offered
+    secure: port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await smtp.sendMail(message);
+      return { message_id: info.messageId };
+    }
+  };
+};
+
+/**
+ * Transport that writes each message to a JSON file
+ * @param {string} dir - Directory to write to
+ * @returns {Object} Transport ({ name, send })
+ */
+const createFileTransport = (dir) => ({
+  name: 'file',
+  send: async (message) => {
+    const messageId = crypto.randomUUID();
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, `${Date.now()}-${messageId}.json`),
+      JSON.stringify({ message_id: messageId, created_at: new Date().toISOString(), ...message }, null, 2)
+    );
+    return { message_id: messageId };
+  }
+});
+
+/**
+ * Build the transport configured by environment variables
+ * @returns {Object|null} Transport, or null when email is off
+ */
+const createTransport = () => {
+  const name = (process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'none')).toLowerCase();
+
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport(process.env.EMAIL_FILE_DIR || DEFAULTS.fileDir);
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}"; use smtp, file or none`);
+  }
+};
+
+/**
+ * Get the transport in use, creating it on first use
+ * @returns {Object|null} Transport
+ */
+const getTransport = () => {
+  if (transport === null) {
+    transport = createTransport() || false;
+  }
+  return transport || null;
+};
+
+/**
+ * Replace the transport (e.g. with a fake one in tests)
+ * @param {Object|null} [customTransport] - Transport ({ name, send }); omit to
+ *   go back to the configured one
+ */
+const setTransport = (customTransport = null) => {
+  transport = customTransport;
+};
+
+/**
+ * Check whether email is being sent at all
+ * @returns {boolean} Whether a transport is configured
+ */
+const isEnabled = () => Boolean(getTransport());
+
+/**
+ * Send an email, retrying failures
+ * @param {Object} message - Message ({ to, subject, text, html, from })
+ * @returns {Object} Result ({ sent, attempts, message_id }), or { sent: false, skipped: true } when email is off
+ */
+const sendMail = async (message) => {
+  const activeTransport = getTransport();
+
+  if (!activeTransport) {
+    return { sent: false, skipped: true };
+  }
+
+  const maxRetries = readInt(process.env.EMAIL_MAX_RETRIES, DEFAULTS.maxRetries);
+  const baseDelayMs = readInt(process.env.EMAIL_RETRY_BASE_DELAY_MS, DEFAULTS.baseDelayMs);
+  const from = message.from || process.env.EMAIL_FROM || process.env.SMTP_USER;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const info = await activeTransport.send({ ...message, from });
+      return { sent: true, attempts: attempt, message_id: info?.message_id || null };
+    } catch (error) {
+      if (attempt > maxRetries) {
+        error.attempts = attempt;
+        throw error;
+      }
+      await sleep(baseDelayMs * 2 ** (attempt - 1));
+    }
+  }
+};
+
+module.exports = {
+  sendMail,
+  createTransport,
+  getTransport,
+  setTransport,
+  isEnabled
+};
@@ -0,0 +1,50 @@
+/**
+ * Money
+ *
+ * Shopify sends amounts as decimal strings. Arithmetic is done in integer
+ * cents and converted back with formatCents, so amounts add up to the cent.
+ */
+
+/**
+ * Convert a decimal amount to cents
+ * @param {number|string} amount - Amount (e.g. 6.95 or "6.95")
+ * @returns {number} Cents
+ */
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+
+/**
+ * Format cents as a Shopify money string
+ * @param {number} cents - Cents
+ * @returns {string} Amount (e.g. "6.95")
+ */
+const formatCents = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * Sum the amounts of Shopify discount allocations
+ * @param {Array} allocations - Discount allocations ({ amount })
+ * @returns {number} Cents
+ */
+const sumAllocations = (allocations = []) => allocations.reduce((sum, allocation) => sum + toCents(allocation.amount), 0);
+
+/**
+ * Shipping the customer paid on an order, after shipping discounts
+ *
+ * total_shipping_price_set is the price before discounts, so it is only used
+ * when the order has no shipping lines.
+ * @param {Object} order - Shopify order
+ * @returns {number} Cents
+ */
+const paidShipping = (order) => {
+  if (Array.isArray(order.shipping_lines) && order.shipping_lines.length > 0) {
+    return order.shipping_lines.reduce((sum, line) => sum + toCents(line.price) - sumAllocations(line.discount_allocations), 0);
+  }
+
+  return toCents(order.total_shipping_price_set?.shop_money?.amount);
+};
+
+module.exports = {
+  toCents,
+  formatCents,
+  sumAllocations,
+  paidShipping
+};
@@ -0,0 +1,223 @@
+/**
+ * Notifications
+ *
+ * Emails sent when multi-address data changes:
+ *
+ * - the buyer of a new multi-address order gets a magic link to the portal
+ *   (see portalTokens.js) to choose the addresses
+ * - the buyer gets a confirmation listing every recipient after a save
+ * - the buyer gets a notice when the addresses are updated or restored
+ * - a recipient whose gift options include `recipient_email` gets a
+ *   "a gift is on its way" email, once per order and email address
+ *
+ * Emails go out through the mailer (see mailer.js) and never fail the change
+ * that triggered them; sends that still fail after retries are logged.
+ */
+
+const { sendMail, isEnabled } = require('./mailer');
+const templates = require('./emailTemplates');
+const { getTenantById } = require('./tenantRegistry');
+const portalTokens = require('./portalTokens');
+const ShopifyService = require('./ShopifyService');
+
+/**
+ * Shipments as the templates show them
+ * @param {ShopifyService} shopifyService - Shopify service for the tenant
+ * @param {Object} order - Shopify order
+ * @param {Array} lineItems - Line items with addresses (or allocations)
+ * @returns {Array} Shipments ({ shipping_address, items, gift })
+ */
+const buildShipments = (shopifyService, order, lineItems) => {
+  const titles = new Map(order.line_items.map(item => [
+    String(item.id),
+    [item.title, item.variant_title].filter(Boolean).join(' - ')
+  ]));
+  const groups = Object.values(shopifyService.groupLineItemsByAddress(shopifyService.expandAllocations(lineItems)));
+
+  return groups.map(items => ({
+    shipping_address: items[0].address,
+    items: items.map(item => ({
+      title: titles.get(String(item.line_item_id)) || item.title || `Item ${item.line_item_id}`,
+      quantity: item.quantity
+    })),
+    gift: shopifyService.getShipmentGiftOptions(items)
+  }));
+};
+
+/**
+ * Recipient emails in a set of line items
+ * @param {ShopifyService} shopifyService - Shopify service for the tenant
+ * @param {Array} [lineItems] - Line items with addresses (or allocations)
+ * @returns {Set<string>} Emails
+ */
+const recipientEmails = (shopifyService, lineItems) => {
+  return new Set(shopifyService.expandAllocations(lineItems || [])
+    .map(item => item.gift?.recipient_email)
+    .filter(Boolean));
+};
+
+/**
+ * Store name and sender for a tenant's emails
+ * @param {Object|null} tenant - Tenant from the tenant registry
+ * @returns {Object} { shopName, from }
+ */
+const senderFor = (tenant) => ({
+  shopName: tenant?.shop_name || process.env.EMAIL_SHOP_NAME || tenant?.shop_domain || 'our store',
+  from: tenant?.email_from || undefined
+});
+
+/**
+ * Magic link to the portal for an order, when portal links are set up
+ * @param {Object|null} tenant - Tenant from the tenant registry
+ * @param {Object} order - Shopify order
+ * @returns {Object|null} Link and expiry ({ portal_link, expires_at })
+ */
+const portalLinkFor = (tenant, order) => {
+  if (!tenant || !portalTokens.isConfigured()) {
+    return null;
+  }
+
+  const link = portalTokens.createPortalLink(tenant, order);
+  return link.portal_link ? link : null;
+};
+
+/**
+ * Send one email, logging instead of throwing when it fails for good
+ * @param {string} type - Notification type, for the log
+ * @param {Object} message - Message ({ to, from, subject, text, html })
+ * @returns {Object} Result ({ type, to, sent, attempts, error })
+ */
+const deliver = async (type, message) => {
+  try {
+    const result = await sendMail(message);
+    return { type, to: message.to, ...result };
+  } catch (error) {
+    console.error(`Failed to send ${type} email to ${message.to}:`, error.message);
+    return { type, to: message.to, sent: false, attempts: error.attempts, error: error.message };
+  }
+};
+
+/**
+ * Send the emails for a change to an order's addresses
+ * @param {ShopifyService} shopifyService - Shopify service for the tenant
+ * @param {Object} options - Notification options
+ * @param {string} options.type - order_confirmation or addresses_changed
+ * @param {string} options.tenantId - Tenant the order belongs to
+ * @param {Object} [options.order] - Shopify order (fetched when not given)
+ * @param {string|number} options.orderId - Order ID
+ * @param {Array} options.lineItems - Line items with addresses, as saved
+ * @param {Array} [options.previousLineItems] - Line items before the change;
+ *   recipients already in them are not told about their gift again
+ * @returns {Array} Results, one per email
+ */
+const notify = async (shopifyService, { type, tenantId, order, orderId, lineItems, previousLineItems }) => {
+  try {
+    if (!isEnabled()) {
+      return [];
+    }
+
+    const tenant = getTenantById(tenantId);
+    const { shopName, from } = senderFor(tenant);
+    const fullOrder = order || await shopifyService.getOrder(orderId);
+    const shipments = buildShipments(shopifyService, fullOrder, lineItems);
+    const buyerEmail = fullOrder.email || fullOrder.customer?.email;
+    const buyerName = [fullOrder.customer?.first_name, fullOrder.customer?.last_name].filter(Boolean).join(' ');
+    const alreadyTold = recipientEmails(shopifyService, previousLineItems);
+    const sends = [];
+
+    if (buyerEmail) {
+      const template = type === 'addresses_changed' ? templates.addressesChanged : templates.orderConfirmation;
+
+      sends.push(deliver(type, {
+        to: buyerEmail,
+        from,
+        ...template({ shopName, order: fullOrder, shipments, portalLink: portalLinkFor(tenant, fullOrder)?.portal_link })
+      }));
+    }
+
+    shipments
+      .filter(shipment => shipment.gift?.recipient_email && !alreadyTold.has(shipment.gift.recipient_email))
+      .forEach(shipment => {
+        sends.push(deliver('gift_on_the_way', {
+          to: shipment.gift.recipient_email,
+          from,
+          ...templates.giftOnTheWay({ shopName, shipment, senderName: shipment.gift.sender_name || buyerName })
+        }));
+      });
+
+    return await Promise.all(sends);
+  } catch (error) {
+    console.error(`Failed to prepare ${type} emails for order ${orderId}:`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Email the buyer of a new multi-address order a magic link to the portal
+ *
+ * The order is read from the store rather than taken from the webhook payload,
+ * so the link only ever goes to the email Shopify has for the order.
+ * @param {ShopifyService} shopifyService - Shopify service for the tenant
+ * @param {Object} options - Notification options
+ * @param {string} options.tenantId - Tenant the order belongs to
+ * @param {string|number} options.orderId - Order ID
+ * @returns {Array} Results, one per email (none without a buyer email or portal link)
+ */
+const notifyOrderPlaced = async (shopifyService, { tenantId, orderId }) => {
+  try {
+    if (!isEnabled()) {
+      return [];
+    }
+
+    const order = await shopifyService.getOrder(orderId);
+    const buyerEmail = order.email || order.customer?.email;
+
+    if (!buyerEmail || order.cancelled_at || !ShopifyService.isMultiAddressOrder(order)) {
+      return [];
+    }
+
+    const tenant = getTenantById(tenantId);
+    const link = portalLinkFor(tenant, order);
+
+    if (!link) {
+      return [];
+    }
+
+    const { shopName, from } = senderFor(tenant);
+
+    return [await deliver('portal_invite', {
+      to: buyerEmail,
+      from,
+      ...templates.portalInvite({ shopName, order, portalLink: link.portal_link, expiresAt: link.expires_at })
+    })];
+  } catch (error) {
+    console.error(`Failed to prepare portal_invite email for order ${orderId}:`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Email the buyer (and gift recipients) after addresses are saved
+ * @param {ShopifyService} shopifyService - Shopify service for the tenant
+ * @param {Object} options - See notify (without `type`)
+ * @returns {Array} Results, one per email
+ */
+const notifyAddressesSaved = (shopifyService, options) => {
+  return notify(shopifyService, { ...options, type: 'order_confirmation' });
+};
+
+/**
+ * Email the buyer (and new gift recipients) after addresses are changed
+ * @param {ShopifyService} shopifyService - Shopify service for the tenant
+ * @param {Object} options - See notify (without `type`)
+ * @returns {Array} Results, one per email
+ */
+const notifyAddressesChanged = (shopifyService, options) => {
+  return notify(shopifyService, { ...options, type: 'addresses_changed' });
+};
+
+module.exports = {
+  notifyOrderPlaced,
+  notifyAddressesSaved,
+  notifyAddressesChanged
+};
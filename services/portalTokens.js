@@ -0,0 +1,143 @@
+/**
+ * Portal Tokens
+ *
+ * Short-lived signed tokens that let a customer use the storefront portal for
+ * one order without the shared API key. A token is a JWT (HS256, signed with
+ * JWT_SECRET) scoped to a tenant, an order and the order's customer, and is
+ * handed out as a magic link to the portal page (PORTAL_URL, or a tenant's
+ * portal_url).
+ */
+
+const jwt = require('jsonwebtoken');
+const { ApiError } = require('../middleware/errorHandler');
+
+const ISSUER = 'multi-address-backend';
+const AUDIENCE = 'multi-address-portal';
+const DEFAULT_TTL_HOURS = 72;
+
+/**
+ * Secret tokens are signed with
+ * @returns {string} JWT_SECRET
+ */
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new ApiError('Portal tokens are not configured (JWT_SECRET is not set)', 503);
+  }
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Check whether portal tokens can be issued and verified
+ * @returns {boolean} Whether JWT_SECRET is set
+ */
+const isConfigured = () => Boolean(process.env.JWT_SECRET);
+
+/**
+ * Issue a token for one order
+ * @param {Object} scope - What the token may access
+ * @param {string} scope.tenantId - Tenant the order belongs to
+ * @param {string|number} scope.orderId - Order ID
+ * @param {string|number|null} [scope.customerId] - The order's customer, if any
+ * @returns {Object} Token and its expiry ({ token, expires_at })
+ */
+const issuePortalToken = ({ tenantId, orderId, customerId = null }) => {
+  const ttlHours = parseFloat(process.env.PORTAL_TOKEN_TTL_HOURS) || DEFAULT_TTL_HOURS;
+  const token = jwt.sign(
+    {
+      tenant_id: tenantId,
+      order_id: String(orderId),
+      customer_id: customerId ? String(customerId) : null
+    },
+    getSecret(),
+    {
+      algorithm: 'HS256',
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      subject: `order:${orderId}`,
+      expiresIn: Math.round(ttlHours * 3600)
+    }
+  );
+
+  return {
+    token,
+    expires_at: new Date(jwt.decode(token).exp * 1000).toISOString()
+  };
+};
+
+/**
+ * Verify a token and read its scope
+ * @param {string} token - Portal token
+ * @returns {Object} Scope ({ tenant_id, order_id, customer_id, expires_at })
+ */
+const verifyPortalToken = (token) => {
+  const secret = getSecret();
+  let claims;
+
+  try {
+    claims = jwt.verify(token, secret, {
+      algorithms: ['HS256'],
+      issuer: ISSUER,
+      audience: AUDIENCE
+    });
+  } catch (error) {
+    throw new ApiError(
+      error.name === 'TokenExpiredError' ? 'Portal link has expired' : 'Invalid portal token',
+      401
+    );
+  }
+
+  return {
+    tenant_id: claims.tenant_id,
+    order_id: claims.order_id,
+    customer_id: claims.customer_id,
+    expires_at: new Date(claims.exp * 1000).toISOString()
+  };
+};
+
+/**
+ * Magic link to the portal page for a token
+ * @param {Object} tenant - Tenant from the tenant registry
+ * @param {string|number} orderId - Order ID
+ * @param {string} token - Portal token
+ * @returns {string|null} Link, or null when no portal URL is configured
+ */
+const buildPortalLink = (tenant, orderId, token) => {
+  const portalUrl = tenant?.portal_url || process.env.PORTAL_URL;
+
+  if (!portalUrl) {
+    return null;
+  }
+
+  const url = new URL(portalUrl);
+  url.searchParams.set('order_id', String(orderId));
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+/**
+ * Issue a token for an order and build its magic link
+ * @param {Object} tenant - Tenant from the tenant registry
+ * @param {Object} order - Shopify order
+ * @returns {Object} Token, expiry and link ({ token, expires_at, portal_link })
+ */
+const createPortalLink = (tenant, order) => {
+  const { token, expires_at } = issuePortalToken({
+    tenantId: tenant.id,
+    orderId: order.id,
+    customerId: order.customer?.id
+  });
+
+  return {
+    token,
+    expires_at,
+    portal_link: buildPortalLink(tenant, order.id, token)
+  };
+};
+
+module.exports = {
+  issuePortalToken,
+  verifyPortalToken,
+  buildPortalLink,
+  createPortalLink,
+  isConfigured
+};
@@ -0,0 +1,147 @@
+/**
+ * Preview Order Addresses
+ *
+ * Works out what a multi-address save would do without doing it: the
+ * shipments it would create, what goes in each, and anything an agent should
+ * check first. Only reads from Shopify; nothing is created or changed.
+ */
+
+const { explainMerge } = require('./addressNormalizer');
+const { priceSplitParts } = require('./splitPricing');
+const ShippingInvoices = require('./ShippingInvoices');
+const { toCents, formatCents } = require('./money');
+
+/**
+ * Preview saving line items for an order by metafield or split
+ * @param {ShopifyService} shopifyService - Shopify service for the tenant
+ * @param {Object} options - Preview options
+ * @param {Object} options.tenant - Tenant from the tenant registry
+ * @param {Object} options.order - Shopify order
+ * @param {Array} options.lineItems - Validated line items with addresses
+ * @param {string} options.saveMethod - metafields, split_orders or fulfillment_orders
+ * @param {Object} options.reconciliation - Line item reconciliation (from reconcileLineItems)
+ * @returns {Object} Planned shipments, extra shipping and warnings
+ */
+const previewOrderAddresses = async (shopifyService, { tenant, order, lineItems, saveMethod, reconciliation }) => {
+  const orderItems = new Map(order.line_items.map(item => [item.id, item]));
+  const groups = Object.values(shopifyService.groupLineItemsByAddress(shopifyService.expandAllocations(lineItems)));
+  const pricing = priceSplitParts(order, groups);
+  const warnings = [];
+
+  const shipments = groups.map((items, index) => {
+    // Throws for gift options a shipment can't carry, as the save would
+    const gift = shopifyService.getShipmentGiftOptions(items);
+    const mergeReasons = explainMerge(items.map(item => item.address));
+
+    if (saveMethod === 'split_orders') {
+      shopifyService.buildSplitDraftOrder(order, items, index + 1, pricing.parts[index]);
+    }
+
+    if (mergeReasons.length > 0) {
+      warnings.push({
+        code: 'merged_addresses',
+        shipment: index + 1,
+        message: `Shipment ${index + 1} combines addresses written differently: ${mergeReasons.map(reason => reason.reason).join('; ')}`
+      });
+    }
+
+    const shipmentItems = items.map(item => {
+      const orderItem = orderItems.get(item.line_item_id);
+
+      return {
+        line_item_id: item.line_item_id,
+        title: orderItem.title,
+        variant_title: orderItem.variant_title,
+        sku: orderItem.sku,
+        quantity: item.quantity,
+        price: orderItem.price,
+        subtotal: formatCents(toCents(orderItem.price) * item.quantity),
+        ...(item.allocation && { allocation: item.allocation })
+      };
+    });
+
+    return {
+      shipment: index + 1,
+      shipping_address: items[0].address,
+      line_items: shipmentItems,
+      total_quantity: shipmentItems.reduce((sum, item) => sum + item.quantity, 0),
+      pricing: pricing.parts[index],
+      ...(gift && { gift }),
+      ...(mergeReasons.length > 0 && { merged_addresses: mergeReasons })
+    };
+  });
+
+  reconciliation.unassigned.forEach(item => {
+    warnings.push({
+      code: 'unassigned_units',
+      line_item_id: item.line_item_id,
+      message: `${item.unassigned_quantity} of ${item.purchased_quantity} ${item.title} ${item.unassigned_quantity === 1 ? 'is' : 'are'} not assigned to an address`,
+      unassigned_quantity: item.unassigned_quantity
+    });
+  });
+
+  if (saveMethod !== 'metafields' && shipments.length === 1) {
+    warnings.push({
+      code: 'single_shipment',
+      message: 'Every item ships to one address, so the split leaves the order in one piece'
+    });
+  }
+
+  const existing = await shopifyService.getOrderAddresses(order.id);
+  let fulfillmentOrdersToHold = [];
+
+  if (existing.split && saveMethod !== 'metafields') {
+    warnings.push({
+      code: 'already_split',
+      message: `This order was already split (${existing.split.method || 'split_orders'}); saving returns that split instead of splitting again`
+    });
+  } else if (saveMethod === 'split_orders') {
+    // Refused the same way the split would be
+    shopifyService.assertSplittable(order);
+    fulfillmentOrdersToHold = await shopifyService.getFulfillmentOrdersToHold(order.id);
+  }
+
+  const invoices = new ShippingInvoices(tenant.id);
+  const invoice = invoices.get(order.id);
+
+  if (invoice?.status === ShippingInvoices.STATUS.PENDING_PAYMENT) {
+    warnings.push({
+      code: 'pending_payment',
+      message: 'An extra shipping invoice for this order is still awaiting payment; cancel it before saving new addresses'
+    });
+  }
+
+  const charge = ShippingInvoices.calculate(tenant, order, groups);
+  const extraShipping = charge && !(existing.split && saveMethod !== 'metafields')
+    ? { ...charge, amount_due: invoices.amountOwed(order.id, charge) }
+    : null;
+
+  if (extraShipping && Number(extraShipping.amount_due) > 0) {
+    warnings.push({
+      code: 'extra_shipping_due',
+      message: `Saving sends an invoice for ${extraShipping.amount_due} ${extraShipping.currency} of extra shipping and waits for it to be paid`
+    });
+  }
+
+  return {
+    dry_run: true,
+    order_id: order.id,
+    save_method: saveMethod,
+    currency: order.currency,
+    shipments,
+    shipment_count: shipments.length,
+    pricing: {
+      original_total: pricing.original_total,
+      split_total: pricing.split_total,
+      remaining_total: pricing.remaining_total
+    },
+    extra_shipping: extraShipping,
+    ...(saveMethod === 'split_orders' && {
+      held_fulfillment_orders: fulfillmentOrdersToHold.map(fulfillmentOrder => fulfillmentOrder.id)
+    }),
+    unassigned_items: reconciliation.unassigned,
+    warnings
+  };
+};
+
+module.exports = previewOrderAddresses;
@@ -0,0 +1,284 @@
+/**
+ * Recipient Spreadsheet Import
+ *
+ * Parses CSV/XLSX recipient lists and turns them into multi-address line items
+ * matched against a Shopify order.
+ */
+
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const XLSX = require('xlsx');
+const { ApiError } = require('../middleware/errorHandler');
+const { validateAddressWithCountryRules, validateGiftOptions } = require('../validators/addressValidator');
+
+const MAX_ROWS = 2000;
+
+// Accepted spellings of each column, after lowercasing and collapsing spaces/dashes to "_"
+const COLUMN_ALIASES = {
+  first_name: ['first_name', 'firstname', 'recipient_first_name'],
+  last_name: ['last_name', 'lastname', 'surname', 'recipient_last_name'],
+  name: ['name', 'recipient', 'recipient_name', 'full_name'],
+  address1: ['address1', 'address_1', 'address', 'street', 'address_line_1'],
+  address2: ['address2', 'address_2', 'address_line_2', 'apt', 'suite', 'unit'],
+  city: ['city', 'town'],
+  province: ['province', 'state', 'region', 'province_code', 'state_code'],
+  zip: ['zip', 'zip_code', 'postal_code', 'postcode'],
+  country: ['country', 'country_code'],
+  phone: ['phone', 'phone_number', 'telephone'],
+  sku: ['sku'],
+  variant_id: ['variant_id', 'variant'],
+  line_item_id: ['line_item_id', 'line_item'],
+  quantity: ['quantity', 'qty'],
+  gift_message: ['gift_message', 'message', 'gift_note'],
+  sender_name: ['sender_name', 'sender', 'from'],
+  hide_prices: ['hide_prices', 'gift_receipt'],
+  recipient_email: ['recipient_email', 'email']
+};
+
+// Gift option fields and the column each one is read from
+const COLUMN_BY_GIFT_FIELD = {
+  message: 'gift_message',
+  sender_name: 'sender_name',
+  hide_prices: 'hide_prices',
+  recipient_email: 'recipient_email'
+};
+
+const ADDRESS_COLUMNS = ['first_name', 'last_name', 'address1', 'address2', 'city', 'province', 'zip', 'country', 'phone'];
+
+/**
+ * Normalize a header cell
+ * @param {string} header - Header text
+ * @returns {string} Normalized header
+ */
+const normalizeHeader = (header) => {
+  return String(header).trim().toLowerCase().replace(/[\s\-]+/g, '_');
+};
+
+/**
+ * Map a raw row to known column names
+ * @param {Object} rawRow - Row keyed by original header
+ * @returns {Object} Row keyed by canonical column name
+ */
+const mapColumns = (rawRow) => {
+  const row = {};
+
+  Object.entries(rawRow).forEach(([header, cell]) => {
+    const normalized = normalizeHeader(header);
+    const column = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(normalized));
+
+    if (column && row[column] === undefined) {
+      row[column] = cell === null || cell === undefined ? '' : String(cell).trim();
+    }
+  });
+
+  return row;
+};
+
+/**
+ * Parse an uploaded CSV or XLSX file into rows
+ * @param {Object} file - Uploaded file (multer memory storage)
+ * @returns {Array} Rows keyed by canonical column name
+ */
+const parseRecipientFile = (file) => {
+  if (!file) {
+    throw new ApiError('A CSV or XLSX file is required in the "file" field', 400);
+  }
+
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  let rawRows;
+
+  try {
+    if (extension === '.xlsx' || extension === '.xls') {
+      const workbook = XLSX.read(file.buffer, { type: 'buffer' });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      rawRows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+    } else if (extension === '.csv' || file.mimetype === 'text/csv') {
+      rawRows = parse(file.buffer, {
+        columns: true,
+        bom: true,
+        skip_empty_lines: true,
+        trim: true
+      });
+    } else {
+      throw new ApiError('Unsupported file type. Upload a .csv or .xlsx file', 400);
+    }
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(`Could not read the uploaded file: ${error.message}`, 400);
+  }
+
+  if (rawRows.length === 0) {
+    throw new ApiError('The uploaded file has no recipient rows', 400);
+  }
+
+  if (rawRows.length > MAX_ROWS) {
+    throw new ApiError(`The uploaded file has ${rawRows.length} rows; at most ${MAX_ROWS} are allowed`, 400);
+  }
+
+  return rawRows.map(mapColumns);
+};
+
+/**
+ * Find the order line item a row refers to
+ * @param {Object} row - Spreadsheet row
+ * @param {Object} order - Shopify order
+ * @returns {Object} Matched `lineItem` or an `error`
+ */
+const matchLineItem = (row, order) => {
+  if (row.line_item_id) {
+    const lineItem = order.line_items.find(item => String(item.id) === row.line_item_id);
+    return lineItem
+      ? { lineItem }
+      : { error: { field: 'line_item_id', message: `Line item ${row.line_item_id} is not part of this order` } };
+  }
+
+  let matches = [];
+  let field;
+
+  if (row.sku) {
+    field = 'sku';
+    matches = order.line_items.filter(item => item.sku && item.sku.toLowerCase() === row.sku.toLowerCase());
+  } else if (row.variant_id) {
+    field = 'variant_id';
+    matches = order.line_items.filter(item => String(item.variant_id) === row.variant_id);
+  } else {
+    return { error: { field: 'sku', message: 'Each row needs a sku, variant_id or line_item_id' } };
+  }
+
+  if (matches.length === 0) {
+    return { error: { field, message: `No line item on this order matches ${field} "${row[field]}"` } };
+  }
+
+  if (matches.length > 1) {
+    return { error: { field, message: `${field} "${row[field]}" matches several line items; use line_item_id instead` } };
+  }
+
+  return { lineItem: matches[0] };
+};
+
+/**
+ * Build the address for a row, splitting a single name column if needed
+ * @param {Object} row - Spreadsheet row
+ * @returns {Object} Address
+ */
+const buildAddress = (row) => {
+  const address = {};
+
+  ADDRESS_COLUMNS.forEach(column => {
+    if (row[column]) {
+      address[column] = row[column];
+    }
+  });
+
+  if (!address.first_name && !address.last_name && row.name) {
+    const parts = row.name.split(/\s+/);
+    address.first_name = parts.shift();
+    address.last_name = parts.join(' ') || address.first_name;
+  }
+
+  return address;
+};
+
+/**
+ * Build the gift options for a row, if it has any
+ * @param {Object} row - Spreadsheet row
+ * @returns {Object|undefined} Gift options
+ */
+const buildGiftOptions = (row) => {
+  const gift = {};
+
+  if (row.gift_message) {
+    gift.message = row.gift_message;
+  }
+  if (row.sender_name) {
+    gift.sender_name = row.sender_name;
+  }
+  if (row.recipient_email) {
+    gift.recipient_email = row.recipient_email;
+  }
+  if (row.hide_prices) {
+    // Spreadsheets say yes/no as often as true/false; anything else fails validation
+    const flag = row.hide_prices.toLowerCase();
+    if (['yes', 'y', 'x', '1'].includes(flag)) {
+      gift.hide_prices = true;
+    } else if (['no', 'n', '0'].includes(flag)) {
+      gift.hide_prices = false;
+    } else {
+      gift.hide_prices = row.hide_prices;
+    }
+  }
+
+  return Object.keys(gift).length > 0 ? gift : undefined;
+};
+
+/**
+ * Turn spreadsheet rows into line items with allocations
+ * @param {Array} rows - Parsed rows
+ * @param {Object} order - Shopify order
+ * @returns {Object} `lineItems` and row-level `errors`
+ */
+const buildLineItemsFromRows = (rows, order) => {
+  const errors = [];
+  const allocationsByLineItem = new Map();
+
+  rows.forEach((row, index) => {
+    // Spreadsheet row number: data starts after the header row
+    const rowNumber = index + 2;
+    const rowErrors = [];
+
+    const { lineItem, error: matchError } = matchLineItem(row, order);
+    if (matchError) {
+      rowErrors.push(matchError);
+    }
+
+    const quantity = row.quantity === undefined || row.quantity === '' ? 1 : Number(row.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      rowErrors.push({ field: 'quantity', message: 'Quantity must be a positive whole number' });
+    }
+
+    const { error: addressError, value: address } = validateAddressWithCountryRules(buildAddress(row));
+    if (addressError) {
+      addressError.details.forEach(detail => {
+        rowErrors.push({ field: detail.path.join('.'), message: detail.message });
+      });
+    }
+
+    let gift = buildGiftOptions(row);
+    if (gift) {
+      const { error: giftError, value } = validateGiftOptions(gift);
+      if (giftError) {
+        giftError.details.forEach(detail => {
+          rowErrors.push({ field: COLUMN_BY_GIFT_FIELD[detail.path[0]], message: detail.message });
+        });
+      }
+      gift = value;
+    }
+
+    if (rowErrors.length > 0) {
+      rowErrors.forEach(rowError => errors.push({ row: rowNumber, ...rowError }));
+      return;
+    }
+
+    if (!allocationsByLineItem.has(lineItem.id)) {
+      allocationsByLineItem.set(lineItem.id, { lineItem, allocations: [] });
+    }
+    allocationsByLineItem.get(lineItem.id).allocations.push({ quantity, address, gift, row: rowNumber });
+  });
+
+  const lineItems = [...allocationsByLineItem.values()].map(({ lineItem, allocations }) => ({
+    line_item_id: lineItem.id,
+    title: lineItem.title,
+    quantity: allocations.reduce((sum, allocation) => sum + allocation.quantity, 0),
+    allocations: allocations.map(({ quantity, address, gift }) => ({ quantity, address, ...(gift && { gift }) }))
+  }));
+
+  return { lineItems, errors };
+};
+
+module.exports = {
+  parseRecipientFile,
+  buildLineItemsFromRows,
+  MAX_ROWS
+};
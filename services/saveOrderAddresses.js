@@ -0,0 +1,75 @@
+/**
+ * Save Order Addresses
+ *
+ * Applies a multi-address save (metafield or split), then updates the order
+ * tracker, the audit log and the cached shipment status and emails the buyer
+ * and gift recipients. Shared by the portal routes and by webhooks that finish
+ * a save later (e.g. once extra shipping is paid).
+ */
+
+const OrderTracker = require('./OrderTracker');
+const AuditLog = require('./AuditLog');
+const ShipmentStatus = require('./ShipmentStatus');
+const { notifyAddressesSaved } = require('./notifications');
+
+/**
+ * Save line items for an order by metafield or split, then track and audit it
+ * @param {ShopifyService} shopifyService - Shopify service for the tenant
+ * @param {Object} options - Save options
+ * @param {string} options.tenantId - Tenant the order belongs to
+ * @param {Object} options.actor - Who made the change ({ type, id })
+ * @param {string|number} options.orderId - Order ID
+ * @param {Array} options.lineItems - Validated line items with addresses
+ * @param {string} options.saveMethod - metafields, split_orders or fulfillment_orders
+ * @param {Object} [options.metadata] - Extra audit details
+ * @param {Object} [options.order] - Shopify order, if already fetched (used for the emails)
+ * @returns {Object} Save result
+ */
+const saveOrderAddresses = async (shopifyService, { tenantId, actor, orderId, lineItems, saveMethod, metadata = {}, order = null }) => {
+  let result;
+
+  if (saveMethod === 'split_orders') {
+    // Option 1: Split into multiple orders
+    result = await shopifyService.splitOrderByAddress(orderId, lineItems);
+  } else if (saveMethod === 'fulfillment_orders') {
+    // Option 2: Split the order's fulfillment orders, keeping one order
+    result = await shopifyService.splitFulfillmentOrdersByAddress(orderId, lineItems);
+  } else {
+    // Option 3: Save as metafields (default)
+    result = await shopifyService.saveAddressesToMetafields(orderId, lineItems);
+  }
+
+  new OrderTracker(tenantId).markConfigured(orderId);
+  new ShipmentStatus(tenantId).invalidate(orderId);
+
+  // A repeated split returns the earlier result and changes nothing
+  if (!result.already_split) {
+    const splitMetadata = {
+      split_orders: () => ({ created_orders: result.created_orders.map(createdOrder => createdOrder.order_id) }),
+      fulfillment_orders: () => ({ fulfillment_orders: result.fulfillment_orders.flatMap(shipment => shipment.fulfillment_order_ids) })
+    }[saveMethod];
+
+    const auditLog = new AuditLog(tenantId);
+    const [previous] = auditLog.getHistory(orderId, true);
+
+    auditLog.record(orderId, {
+      action: splitMetadata ? 'split' : 'save',
+      actor,
+      lineItems,
+      metadata: splitMetadata ? { ...metadata, ...splitMetadata() } : metadata
+    });
+
+    // Sent in the background; a failed email doesn't fail the save
+    notifyAddressesSaved(shopifyService, {
+      tenantId,
+      order,
+      orderId,
+      lineItems,
+      previousLineItems: previous?.line_items
+    });
+  }
+
+  return result;
+};
+
+module.exports = saveOrderAddresses;
@@ -0,0 +1,309 @@
+/**
+ * Shopify HTTP Client
+ *
+ * Axios instance for the Shopify Admin REST API that respects the store's
+ * leaky-bucket rate limit, honours Retry-After and retries throttled and
+ * transient failures with jittered exponential backoff. GraphQL clients skip
+ * the leaky bucket; GraphQL is limited by query cost instead (see
+ * ShopifyGraphQLService).
+ */
+
+const axios = require('axios');
+
+// PUT is left out: some PUTs act (e.g. completing a draft order); safe ones opt in with `idempotent: true`
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'delete'];
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+const DEFAULTS = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  // Shopify leaks 2 calls per second on standard plans
+  leakRatePerSecond: 2,
+  // Start throttling once the bucket is this full
+  throttleThreshold: 0.8
+};
+
+// Bucket state is shared across client instances for the same store
+const buckets = new Map();
+
+const stats = {
+  requests: 0,
+  throttled: 0,
+  throttle_wait_ms: 0,
+  retries: 0,
+  rate_limited: 0,
+  failed: 0
+};
+
+/**
+ * Sleep helper
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise} Resolves after the delay
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read an integer setting, keeping 0 but falling back when unset or invalid
+ * @param {string} value - Environment value
+ * @param {number} fallback - Default
+ * @returns {number} Setting
+ */
+const readInt = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+/**
+ * Read client configuration from environment
+ * @returns {Object} Client options
+ */
+const getOptions = () => ({
+  maxRetries: readInt(process.env.SHOPIFY_MAX_RETRIES, DEFAULTS.maxRetries),
+  baseDelayMs: readInt(process.env.SHOPIFY_RETRY_BASE_DELAY_MS, DEFAULTS.baseDelayMs),
+  maxDelayMs: DEFAULTS.maxDelayMs,
+  leakRatePerSecond: parseFloat(process.env.SHOPIFY_LEAK_RATE) || DEFAULTS.leakRatePerSecond,
+  throttleThreshold: DEFAULTS.throttleThreshold
+});
+
+/**
+ * Get the bucket state for a store
+ * @param {string} storeKey - Store identifier
+ * @returns {Object} Bucket state
+ */
+const getBucket = (storeKey) => {
+  if (!buckets.has(storeKey)) {
+    buckets.set(storeKey, { used: 0, limit: 40, updatedAt: Date.now(), blockedUntil: 0 });
+  }
+  return buckets.get(storeKey);
+};
+
+/**
+ * Estimate how full a bucket is now, accounting for the leak since the last update
+ * @param {Object} bucket - Bucket state
+ * @param {Object} options - Client options
+ * @returns {number} Estimated calls in the bucket
+ */
+const estimateUsage = (bucket, options) => {
+  const elapsedSeconds = (Date.now() - bucket.updatedAt) / 1000;
+  return Math.max(0, bucket.used - elapsedSeconds * options.leakRatePerSecond);
+};
+
+/**
+ * Wait until the store's bucket has room for another call
+ * @param {string} storeKey - Store identifier
+ * @param {Object} options - Client options
+ */
+const waitForCapacity = async (storeKey, options) => {
+  const bucket = getBucket(storeKey);
+  let waitMs = Math.max(0, bucket.blockedUntil - Date.now());
+
+  const usage = estimateUsage(bucket, options);
+  const threshold = bucket.limit * options.throttleThreshold;
+
+  if (usage >= threshold) {
+    waitMs = Math.max(waitMs, ((usage - threshold + 1) / options.leakRatePerSecond) * 1000);
+  }
+
+  // Reserve a slot so concurrent requests see it
+  bucket.used = usage + 1;
+  bucket.updatedAt = Date.now();
+
+  if (waitMs > 0) {
+    stats.throttled++;
+    stats.throttle_wait_ms += Math.round(waitMs);
+    await sleep(waitMs);
+  }
+};
+
+/**
+ * Update bucket state from the X-Shopify-Shop-Api-Call-Limit header (e.g. "32/40")
+ * @param {string} storeKey - Store identifier
+ * @param {Object} headers - Response headers
+ */
+const updateBucket = (storeKey, headers = {}) => {
+  const callLimit = headers['x-shopify-shop-api-call-limit'];
+
+  if (!callLimit) {
+    return;
+  }
+
+  const [used, limit] = String(callLimit).split('/').map(Number);
+
+  if (Number.isFinite(used) && Number.isFinite(limit) && limit > 0) {
+    const bucket = getBucket(storeKey);
+    bucket.used = used;
+    bucket.limit = limit;
+    bucket.updatedAt = Date.now();
+  }
+};
+
+/**
+ * Parse a Retry-After header value
+ * @param {string} value - Header value (seconds or HTTP date)
+ * @returns {number|null} Delay in milliseconds
+ */
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = parseFloat(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+};
+
+/**
+ * Decide whether a failed request may be retried
+ *
+ * Requests can set `idempotent` in their axios config to override the
+ * method's default (e.g. a PUT that only overwrites a value).
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if the request can be retried
+ */
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  const method = (error.config?.method || 'get').toLowerCase();
+
+  // 429 means Shopify rejected the call without processing it
+  if (status === 429) {
+    return true;
+  }
+
+  const idempotent = error.config?.idempotent ?? IDEMPOTENT_METHODS.includes(method);
+
+  if (!idempotent) {
+    return false;
+  }
+
+  if (status) {
+    return status >= 500;
+  }
+
+  return RETRYABLE_NETWORK_ERRORS.includes(error.code);
+};
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Retry attempt (1-based)
+ * @param {Object} options - Client options
+ * @returns {number} Delay in milliseconds
+ */
+const backoffDelay = (attempt, options) => {
+  const cap = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * cap);
+};
+
+/**
+ * Create an axios instance for a Shopify store
+ * @param {Object} config - Client configuration
+ * @param {string} config.baseURL - Admin API base URL
+ * @param {string} config.accessToken - Admin API access token
+ * @param {string} config.storeKey - Store identifier for shared rate-limit state
+ * @param {Function} [config.adapter] - Axios adapter to send requests with (e.g. the sandbox store)
+ * @param {boolean} [config.leakyBucket] - Pace requests by the REST call limit (off for GraphQL)
+ * @returns {Object} Axios instance
+ */
+const createShopifyClient = ({ baseURL, accessToken, storeKey, adapter, leakyBucket = true }) => {
+  const options = getOptions();
+
+  const api = axios.create({
+    baseURL,
+    ...(adapter && { adapter }),
+    headers: {
+      'X-Shopify-Access-Token': accessToken,
+      'Content-Type': 'application/json'
+    },
+    timeout: 30000 // 30 seconds timeout
+  });
+
+  api.interceptors.request.use(async config => {
+    stats.requests++;
+    if (leakyBucket) {
+      await waitForCapacity(storeKey, options);
+    }
+    return config;
+  });
+
+  api.interceptors.response.use(
+    response => {
+      if (leakyBucket) {
+        updateBucket(storeKey, response.headers);
+      }
+      return response;
+    },
+    async error => {
+      const { config, response } = error;
+
+      if (response && leakyBucket) {
+        updateBucket(storeKey, response.headers);
+      }
+
+      const attempt = (config?.retryCount || 0) + 1;
+
+      if (config && attempt <= options.maxRetries && isRetryable(error)) {
+        const retryAfter = parseRetryAfter(response?.headers?.['retry-after']);
+        const delay = retryAfter ?? backoffDelay(attempt, options);
+
+        if (response?.status === 429 && leakyBucket) {
+          stats.rate_limited++;
+          // Hold back every request to this store until Shopify allows calls again
+          getBucket(storeKey).blockedUntil = Date.now() + delay;
+        }
+
+        stats.retries++;
+        config.retryCount = attempt;
+
+        await sleep(delay);
+        return api.request(config);
+      }
+
+      stats.failed++;
+
+      if (response) {
+        console.error('Shopify API Error:', {
+          status: response.status,
+          data: response.data,
+          url: config?.url,
+          attempts: attempt
+        });
+      }
+      throw error;
+    }
+  );
+
+  return api;
+};
+
+/**
+ * Record a throttle wait that happened outside the HTTP interceptors
+ * (e.g. GraphQL cost-based throttling)
+ * @param {number} waitMs - Time spent waiting
+ * @param {boolean} [retried] - Whether the wait preceded a retry
+ */
+const recordThrottle = (waitMs, retried = false) => {
+  stats.throttled++;
+  stats.throttle_wait_ms += Math.round(waitMs);
+  if (retried) {
+    stats.retries++;
+    stats.rate_limited++;
+  }
+};
+
+/**
+ * Get client counters (throttling, retries, failures)
+ * @returns {Object} Counter snapshot
+ */
+const getClientStats = () => ({ ...stats });
+
+module.exports = {
+  createShopifyClient,
+  recordThrottle,
+  getClientStats,
+  readInt,
+  sleep
+};
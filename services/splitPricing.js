@@ -0,0 +1,115 @@
+/**
+ * Split Pricing
+ *
+ * Works out what each part of a split order should cost so the customer is
+ * charged what they paid on the original order, not today's catalogue prices.
+ * Units keep their original unit price; each line's discounts (including its
+ * share of order-level discounts) follow its units; shipping and tax are
+ * prorated by part value. Amounts are split to the cent with the largest
+ * remainder method, so the parts plus whatever stays behind (unassigned units
+ * and items that don't ship) add up to the original total.
+ */
+
+const { getPurchasedQuantity } = require('../validators/lineItemReconciler');
+const { toCents, formatCents, sumAllocations, paidShipping } = require('./money');
+
+/**
+ * Split cents in proportion to weights, to the cent, largest remainders first
+ * @param {number} cents - Amount to split
+ * @param {Array<number>} weights - One weight per share
+ * @returns {Array<number>} Cents per share, adding up to `cents`
+ */
+const prorate = (cents, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  // Nothing to weigh by (e.g. free items); split evenly
+  const effectiveWeights = totalWeight > 0 ? weights : weights.map(() => 1);
+  const effectiveTotal = totalWeight > 0 ? totalWeight : weights.length;
+
+  const exact = effectiveWeights.map(weight => cents * weight / effectiveTotal);
+  const shares = exact.map(Math.floor);
+  let remainder = cents - shares.reduce((sum, share) => sum + share, 0);
+
+  exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        shares[index] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return shares;
+};
+
+/**
+ * Discount on an order line item, including its share of order-level discounts
+ * @param {Object} orderItem - Shopify order line item
+ * @returns {number} Cents
+ */
+const lineDiscount = (orderItem) => {
+  // discount_allocations covers line and order-level discounts; older payloads only have total_discount
+  return Array.isArray(orderItem.discount_allocations)
+    ? sumAllocations(orderItem.discount_allocations)
+    : toCents(orderItem.total_discount);
+};
+
+/**
+ * Price the parts of a split
+ * @param {Object} order - Original Shopify order
+ * @param {Array} groups - Line items grouped by address (from groupLineItemsByAddress)
+ * @returns {Object} `parts` (one per group: subtotal, discount, shipping, tax, total)
+ *   and totals (original_total, split_total, remaining_total)
+ */
+const priceSplitParts = (order, groups) => {
+  const parts = groups.map(() => ({ gross: 0, discount: 0, shippable: 0 }));
+  const remaining = { gross: 0, discount: 0, shippable: 0 };
+
+  // Discounts follow the units they were given on
+  order.line_items.forEach(orderItem => {
+    const unitCents = toCents(orderItem.price);
+    const quantities = groups.map(items => items
+      .filter(item => item.line_item_id === orderItem.id)
+      .reduce((sum, item) => sum + item.quantity, 0));
+    const leftover = Math.max(0, getPurchasedQuantity(orderItem) - quantities.reduce((sum, quantity) => sum + quantity, 0));
+    const units = [...quantities, leftover];
+    const discounts = prorate(lineDiscount(orderItem), units);
+
+    [...parts, remaining].forEach((bucket, index) => {
+      bucket.gross += unitCents * units[index];
+      bucket.discount += discounts[index];
+      if (orderItem.requires_shipping !== false) {
+        bucket.shippable += unitCents * units[index] - discounts[index];
+      }
+    });
+  });
+
+  const buckets = [...parts, remaining];
+  const net = buckets.map(bucket => bucket.gross - bucket.discount);
+  // Shipping is weighed by what ships; tax by everything it was charged on
+  const shipping = prorate(paidShipping(order), buckets.map(bucket => bucket.shippable));
+  const tax = prorate(toCents(order.total_tax), net.map((cents, index) => cents + shipping[index]));
+  const taxesIncluded = order.taxes_included === true;
+
+  const totals = net.map((cents, index) => cents + shipping[index] + (taxesIncluded ? 0 : tax[index]));
+  const splitTotal = totals.slice(0, groups.length).reduce((sum, cents) => sum + cents, 0);
+
+  return {
+    parts: parts.map((part, index) => ({
+      subtotal: formatCents(part.gross),
+      discount: formatCents(part.discount),
+      shipping: formatCents(shipping[index]),
+      tax: formatCents(tax[index]),
+      total: formatCents(totals[index])
+    })),
+    original_total: order.total_price,
+    split_total: formatCents(splitTotal),
+    remaining_total: formatCents(totals[groups.length])
+  };
+};
+
+module.exports = {
+  priceSplitParts,
+  prorate
+};
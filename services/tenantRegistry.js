@@ -0,0 +1,176 @@
+/**
+ * Tenant Registry
+ *
+ * Holds the Shopify stores (tenants) served by this deployment and their
+ * credentials. Tenants are read from SHOPIFY_TENANTS_FILE (a JSON file) or
+ * SHOPIFY_TENANTS (a JSON string); without either, the single store configured
+ * by SHOPIFY_STORE_URL / SHOPIFY_ACCESS_TOKEN is used as the "default" tenant.
+ * With SHOPIFY_API_MODE=sandbox the default tenant needs no credentials.
+ *
+ * Tenant format:
+ * {
+ *   "id": "retail",
+ *   "shop_domain": "retail-store.myshopify.com",
+ *   "access_token": "shpat_...",
+ *   "api_version": "2025-07",        // optional
+ *   "api_mode": "graphql",           // optional, rest, graphql or sandbox
+ *   "api_keys": ["retail_portal_key"],
+ *   "webhook_secret": "...",         // optional
+ *   "shop_name": "Dancing Deer",     // optional, shown in emails
+ *   "email_from": "orders@...",      // optional, sender of emails
+ *   "portal_url": "https://...",     // optional, page portal magic links open
+ *   "default": true                  // optional
+ * }
+ */
+
+const fs = require('fs');
+
+// Shop domain of the default tenant in sandbox mode (see ShopifySandboxService)
+const SANDBOX_SHOP_DOMAIN = 'sandbox.myshopify.com';
+
+let tenants = null;
+
+/**
+ * Normalize a shop domain for comparison
+ * @param {string} domain - Shop domain or URL
+ * @returns {string} Lowercase host name
+ */
+const normalizeShopDomain = (domain) => {
+  return String(domain || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/\/.*$/, '');
+};
+
+/**
+ * Read tenant definitions from configuration
+ * @returns {Array} Raw tenant definitions
+ */
+const readTenantConfig = () => {
+  if (process.env.SHOPIFY_TENANTS_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.SHOPIFY_TENANTS_FILE, 'utf8'));
+  }
+
+  if (process.env.SHOPIFY_TENANTS) {
+    return JSON.parse(process.env.SHOPIFY_TENANTS);
+  }
+
+  // The sandbox stands in for a store, so it runs without credentials
+  const sandbox = (process.env.SHOPIFY_API_MODE || '').toLowerCase() === 'sandbox';
+
+  if (!sandbox && (!process.env.SHOPIFY_STORE_URL || !process.env.SHOPIFY_ACCESS_TOKEN)) {
+    return [];
+  }
+
+  return [{
+    id: 'default',
+    shop_domain: process.env.SHOPIFY_STORE_URL || SANDBOX_SHOP_DOMAIN,
+    access_token: process.env.SHOPIFY_ACCESS_TOKEN || 'sandbox',
+    api_keys: process.env.API_KEY ? [process.env.API_KEY] : [],
+    webhook_secret: process.env.SHOPIFY_WEBHOOK_SECRET,
+    default: true
+  }];
+};
+
+/**
+ * Load and validate tenants
+ * @returns {Array} Tenants
+ */
+const loadTenants = () => {
+  const definitions = readTenantConfig();
+
+  if (!Array.isArray(definitions)) {
+    throw new Error('Tenant configuration must be a JSON array');
+  }
+
+  return definitions.map((definition, index) => {
+    if (!definition.shop_domain || !definition.access_token) {
+      throw new Error(`Tenant at index ${index} is missing shop_domain or access_token`);
+    }
+
+    const shopDomain = normalizeShopDomain(definition.shop_domain);
+
+    return {
+      ...definition,
+      id: definition.id || shopDomain,
+      shop_domain: shopDomain,
+      api_keys: definition.api_keys || []
+    };
+  });
+};
+
+/**
+ * Get all tenants
+ * @returns {Array} Tenants
+ */
+const getTenants = () => {
+  if (!tenants) {
+    tenants = loadTenants();
+  }
+  return tenants;
+};
+
+/**
+ * Re-read tenant configuration
+ * @returns {Array} Tenants
+ */
+const reloadTenants = () => {
+  tenants = null;
+  return getTenants();
+};
+
+/**
+ * Find a tenant by ID
+ * @param {string} id - Tenant ID
+ * @returns {Object|null} Tenant
+ */
+const getTenantById = (id) => {
+  return getTenants().find(tenant => tenant.id === id) || null;
+};
+
+/**
+ * Find a tenant by shop domain
+ * @param {string} shopDomain - Shop domain (e.g. store.myshopify.com)
+ * @returns {Object|null} Tenant
+ */
+const findTenantByShopDomain = (shopDomain) => {
+  const domain = normalizeShopDomain(shopDomain);
+  return getTenants().find(tenant => tenant.shop_domain === domain) || null;
+};
+
+/**
+ * Find the tenant an API key belongs to
+ * @param {string} apiKey - API key
+ * @returns {Object|null} Tenant
+ */
+const findTenantByApiKey = (apiKey) => {
+  if (!apiKey) {
+    return null;
+  }
+  return getTenants().find(tenant => tenant.api_keys.includes(apiKey)) || null;
+};
+
+/**
+ * Get the tenant used when a request does not name one
+ * @returns {Object|null} The only tenant, or the one marked default
+ */
+const getDefaultTenant = () => {
+  const allTenants = getTenants();
+
+  if (allTenants.length === 1) {
+    return allTenants[0];
+  }
+
+  return allTenants.find(tenant => tenant.default) || null;
+};
+
+module.exports = {
+  getTenants,
+  reloadTenants,
+  getTenantById,
+  findTenantByShopDomain,
+  findTenantByApiKey,
+  getDefaultTenant,
+  normalizeShopDomain
+};
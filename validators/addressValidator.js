@@ -5,9 +5,59 @@
  */
 
 const Joi = require('joi');
+const { getCountryRules, countriesRequiring, findProvinceCode } = require('./countryRules');
+
+/**
+ * Check a province against the country's province codes, if it has a list
+ * @param {string} value - Province name or code
+ * @param {Object} helpers - Joi custom rule helpers
+ * @returns {string} Province code
+ */
+const checkProvince = (value, helpers) => {
+  const rules = getCountryRules(helpers.state.ancestors[0].country);
+
+  if (!rules.province?.lookup) {
+    return value;
+  }
+
+  const code = findProvinceCode(rules.code, value);
+
+  if (!code) {
+    return helpers.error('province.invalid', {
+      provinceLabel: rules.province.label.toLowerCase(),
+      countryName: rules.name,
+      example: Object.keys(rules.province.codes).slice(0, 3).join(', ')
+    });
+  }
+
+  return code;
+};
+
+/**
+ * Check a postal code against the country's format, if it has one
+ * @param {string} value - Postal code
+ * @param {Object} helpers - Joi custom rule helpers
+ * @returns {string} Postal code
+ */
+const checkZip = (value, helpers) => {
+  const rules = getCountryRules(helpers.state.ancestors[0].country);
+
+  if (rules.zip?.regex && !rules.zip.regex.test(value)) {
+    return helpers.error('zip.format', {
+      zipLabel: rules.zip.label,
+      countryName: rules.name,
+      example: rules.zip.example
+    });
+  }
+
+  return value.toUpperCase();
+};
 
 /**
  * Address schema validation
+ *
+ * Which of `province` and `zip` are required, the postal code format and the
+ * valid province codes depend on the country (see countryRules.json).
  */
 const addressSchema = Joi.object({
   first_name: Joi.string()
@@ -61,22 +111,34 @@ const addressSchema = Joi.object({
   
   province: Joi.string()
     .trim()
-    .min(1)
     .max(50)
-    .required()
+    .when('country', {
+      is: Joi.valid(...countriesRequiring('province')),
+      then: Joi.required(),
+      otherwise: Joi.optional().allow('')
+    })
+    .custom(checkProvince)
     .messages({
-      'string.empty': 'State/Province is required',
-      'string.max': 'State/Province must be less than 50 characters'
+      'any.required': 'State/Province (province) is required for {{country}} addresses',
+      'string.empty': 'State/Province (province) is required for {{country}} addresses',
+      'string.max': 'State/Province (province) must be less than 50 characters',
+      'province.invalid': 'State/Province (province) must be a {{#provinceLabel}} of {{#countryName}} (code or name, e.g. {{#example}})'
     }),
   
   zip: Joi.string()
     .trim()
-    .min(1)
     .max(20)
-    .required()
+    .when('country', {
+      is: Joi.valid(...countriesRequiring('zip')),
+      then: Joi.required(),
+      otherwise: Joi.optional().allow('')
+    })
+    .custom(checkZip)
     .messages({
-      'string.empty': 'ZIP/Postal code is required',
-      'string.max': 'ZIP/Postal code must be less than 20 characters'
+      'any.required': 'ZIP/Postal code (zip) is required for {{country}} addresses',
+      'string.empty': 'ZIP/Postal code (zip) is required for {{country}} addresses',
+      'string.max': 'ZIP/Postal code (zip) must be less than 20 characters',
+      'zip.format': 'ZIP/Postal code (zip) for {{#countryName}} must be in the {{#zipLabel}} format, e.g. {{#example}}'
     }),
   
   country: Joi.string()
@@ -102,8 +164,112 @@ const addressSchema = Joi.object({
     })
 });
 
+/**
+ * Clean free text that ends up on packing slips: drops HTML tags and control
+ * characters, and limits blank lines
+ * @param {string} value - Text
+ * @returns {string} Cleaned text
+ */
+const sanitizeGiftText = (value) => {
+  return value
+    .replace(/<[^>]*>/g, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0009\u000b-\u001f\u007f]/g, '')
+    .replace(/[ ]{2,}/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Gift options for one recipient, printed on the packing slip
+ */
+const giftOptionsSchema = Joi.object({
+  message: Joi.string()
+    .custom(sanitizeGiftText)
+    .max(300)
+    .optional()
+    .allow('')
+    .messages({
+      'string.base': 'Gift message must be a string',
+      'string.max': 'Gift message must be less than 300 characters'
+    }),
+
+  sender_name: Joi.string()
+    .custom(value => sanitizeGiftText(value).replace(/\s+/g, ' '))
+    .max(50)
+    .optional()
+    .allow('')
+    .messages({
+      'string.base': 'Sender name must be a string',
+      'string.max': 'Sender name must be less than 50 characters'
+    }),
+
+  hide_prices: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'hide_prices must be true or false'
+    }),
+
+  recipient_email: Joi.string()
+    .trim()
+    .lowercase()
+    .email({ tlds: { allow: false } })
+    .max(254)
+    .optional()
+    .allow('')
+    .messages({
+      'string.email': 'Recipient email must be a valid email address',
+      'string.max': 'Recipient email must be less than 254 characters'
+    })
+})
+  .messages({
+    'object.base': 'Gift options must be an object'
+  });
+
+/**
+ * ID of a recipient saved in the customer's address book
+ */
+const recipientIdSchema = Joi.string()
+  .trim()
+  .max(64)
+  .messages({
+    'string.base': 'Recipient ID must be a string',
+    'string.max': 'Recipient ID must be less than 64 characters'
+  });
+
+/**
+ * Quantity of a line item sent to a single address (or saved recipient)
+ */
+const allocationSchema = Joi.object({
+  quantity: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.base': 'Allocation quantity must be a number',
+      'number.positive': 'Allocation quantity must be positive',
+      'any.required': 'Allocation quantity is required'
+    }),
+
+  address: addressSchema,
+
+  recipient_id: recipientIdSchema,
+
+  gift: giftOptionsSchema
+})
+  .xor('address', 'recipient_id')
+  .messages({
+    'object.missing': 'Each allocation needs either an address or a recipient_id',
+    'object.xor': 'An allocation cannot have both an address and a recipient_id'
+  });
+
 /**
  * Line item with address schema
+ *
+ * A line item is sent either to a single `address` (or a saved `recipient_id`)
+ * or split across several recipients with `allocations`. When allocations are
+ * given, `quantity` may be omitted and defaults to the allocated total. Each
+ * recipient can have optional `gift` options.
  */
 const lineItemSchema = Joi.object({
   line_item_id: Joi.number()
@@ -126,15 +292,61 @@ const lineItemSchema = Joi.object({
   quantity: Joi.number()
     .integer()
     .positive()
-    .required()
+    .when('allocations', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    })
     .messages({
       'number.base': 'Quantity must be a number',
       'number.positive': 'Quantity must be positive',
       'any.required': 'Quantity is required'
     }),
   
-  address: addressSchema.required()
-});
+  address: addressSchema,
+
+  recipient_id: recipientIdSchema,
+
+  // With allocations, gift options are given per allocation instead
+  gift: giftOptionsSchema
+    .when('allocations', {
+      is: Joi.exist(),
+      then: Joi.forbidden()
+    })
+    .messages({
+      'any.unknown': 'A line item with allocations takes gift options on each allocation'
+    }),
+
+  allocations: Joi.array()
+    .items(allocationSchema)
+    .min(1)
+    .messages({
+      'array.min': 'At least one allocation is required'
+    })
+})
+  .xor('address', 'recipient_id', 'allocations')
+  .custom((item, helpers) => {
+    if (!item.allocations) {
+      return item;
+    }
+
+    const allocatedQuantity = item.allocations.reduce((sum, allocation) => sum + allocation.quantity, 0);
+
+    if (item.quantity !== undefined && item.quantity !== allocatedQuantity) {
+      return helpers.error('lineItem.allocationTotal', {
+        lineItemId: item.line_item_id,
+        allocated: allocatedQuantity,
+        quantity: item.quantity
+      });
+    }
+
+    return { ...item, quantity: allocatedQuantity };
+  })
+  .messages({
+    'object.missing': 'Each line item needs an address, a recipient_id or allocations',
+    'object.xor': 'A line item can only have one of address, recipient_id or allocations',
+    'lineItem.allocationTotal': 'Allocations for line item {#lineItemId} add up to {#allocated} but quantity is {#quantity}'
+  });
 
 /**
  * Main validation schema for address data submission
@@ -152,10 +364,10 @@ const addressDataSchema = Joi.object({
     }),
   
   save_method: Joi.string()
-    .valid('metafields', 'split_orders')
+    .valid('metafields', 'split_orders', 'fulfillment_orders')
     .default('metafields')
     .messages({
-      'any.only': 'Save method must be either "metafields" or "split_orders"'
+      'any.only': 'Save method must be "metafields", "split_orders" or "fulfillment_orders"'
     }),
   
   line_items: Joi.array()
@@ -168,6 +380,20 @@ const addressDataSchema = Joi.object({
     })
 });
 
+/**
+ * Shipping quote request schema: the same line items as a save, plus the
+ * service level to price
+ */
+const quoteRequestSchema = addressDataSchema.keys({
+  service: Joi.string()
+    .trim()
+    .max(50)
+    .optional()
+    .messages({
+      'string.base': 'Service must be a string'
+    })
+});
+
 /**
  * Validate address data
  * @param {Object} data - Address data to validate
@@ -180,6 +406,18 @@ const validateAddressData = (data) => {
   });
 };
 
+/**
+ * Validate a shipping quote request
+ * @param {Object} data - Quote request
+ * @returns {Object} Validation result
+ */
+const validateQuoteRequest = (data) => {
+  return quoteRequestSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+};
+
 /**
  * Validate single address
  * @param {Object} address - Address to validate
@@ -192,6 +430,48 @@ const validateAddress = (address) => {
   });
 };
 
+/**
+ * Address book recipient schema
+ */
+const recipientSchema = Joi.object({
+  label: Joi.string()
+    .trim()
+    .max(50)
+    .optional()
+    .allow('')
+    .messages({
+      'string.max': 'Label must be less than 50 characters'
+    }),
+
+  address: addressSchema.required().messages({
+    'any.required': 'Address is required'
+  })
+});
+
+/**
+ * Validate an address book recipient
+ * @param {Object} recipient - Recipient to validate
+ * @returns {Object} Validation result
+ */
+const validateRecipient = (recipient) => {
+  return recipientSchema.validate(recipient, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+};
+
+/**
+ * Validate a recipient's gift options
+ * @param {Object} gift - Gift options to validate
+ * @returns {Object} Validation result
+ */
+const validateGiftOptions = (gift) => {
+  return giftOptionsSchema.validate(gift, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+};
+
 /**
  * Validate line item with address
  * @param {Object} lineItem - Line item to validate
@@ -205,52 +485,43 @@ const validateLineItem = (lineItem) => {
 };
 
 /**
- * Custom validation for specific countries
+ * Validate an address including its country rules
+ *
+ * The country rules are part of addressSchema, so this is the same as
+ * validateAddress(); kept for existing callers.
  * @param {Object} address - Address to validate
  * @returns {Object} Validation result with country-specific rules
  */
 const validateAddressWithCountryRules = (address) => {
-  const { error, value } = validateAddress(address);
-  
-  if (error) {
-    return { error, value };
-  }
-
-  const countrySpecificValidation = {
-    US: {
-      zipPattern: /^\d{5}(-\d{4})?$/,
-      zipMessage: 'US ZIP code must be in format 12345 or 12345-6789'
-    },
-    CA: {
-      zipPattern: /^[A-Za-z]\d[A-Za-z] \d[A-Za-z]\d$/,
-      zipMessage: 'Canadian postal code must be in format A1A 1A1'
-    }
-  };
-
-  const countryRules = countrySpecificValidation[value.country];
-  
-  if (countryRules && !countryRules.zipPattern.test(value.zip)) {
-    return {
-      error: {
-        details: [{
-          message: countryRules.zipMessage,
-          path: ['zip'],
-          type: 'string.pattern.base'
-        }]
-      },
-      value
-    };
-  }
+  return validateAddress(address);
+};
 
-  return { error: null, value };
+/**
+ * List validation errors with the field each one is about
+ * @param {Object} error - Joi validation error
+ * @returns {Array} Errors ({ field, message })
+ */
+const formatValidationErrors = (error) => {
+  return error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
 };
 
 module.exports = {
   validateAddressData,
+  validateQuoteRequest,
   validateAddress,
   validateLineItem,
   validateAddressWithCountryRules,
+  validateRecipient,
+  validateGiftOptions,
+  formatValidationErrors,
   addressSchema,
+  giftOptionsSchema,
+  allocationSchema,
+  recipientSchema,
   lineItemSchema,
-  addressDataSchema
+  addressDataSchema,
+  quoteRequestSchema
 };
@@ -0,0 +1,92 @@
+/**
+ * Country Address Rules
+ *
+ * Per-country address requirements loaded from countryRules.json: which of
+ * `province` and `zip` are required, the postal code format and, where
+ * Shopify uses them, the valid province/state codes. Countries that are not
+ * listed only need the fields every address has.
+ */
+
+const countryRulesData = require('./countryRules.json');
+
+const DEFAULT_RULES = {
+  name: null,
+  required: []
+};
+
+/**
+ * Uppercase a province name or code for lookup
+ * @param {string} value - Province name or code
+ * @returns {string} Lookup key
+ */
+const provinceLookupKey = (value) => {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[.,']/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Compile postal code patterns and build name -> code maps once
+const COUNTRY_RULES = Object.fromEntries(
+  Object.entries(countryRulesData).map(([code, rules]) => {
+    const compiled = { ...rules, code };
+
+    if (rules.zip?.pattern) {
+      compiled.zip = { ...rules.zip, regex: new RegExp(rules.zip.pattern) };
+    }
+
+    if (rules.province?.codes) {
+      const lookup = new Map();
+      Object.entries(rules.province.codes).forEach(([provinceCode, name]) => {
+        lookup.set(provinceLookupKey(provinceCode), provinceCode);
+        lookup.set(provinceLookupKey(name), provinceCode);
+      });
+      compiled.province = { ...rules.province, lookup };
+    }
+
+    return [code, compiled];
+  })
+);
+
+/**
+ * Get the address rules for a country
+ * @param {string} country - 2-letter country code
+ * @returns {Object} Country rules (defaults for unlisted countries)
+ */
+const getCountryRules = (country) => {
+  const code = String(country || '').trim().toUpperCase();
+  return COUNTRY_RULES[code] || { ...DEFAULT_RULES, code };
+};
+
+/**
+ * List the countries that require an address field
+ * @param {string} field - province or zip
+ * @returns {Array} Country codes
+ */
+const countriesRequiring = (field) => {
+  return Object.values(COUNTRY_RULES)
+    .filter(rules => rules.required.includes(field))
+    .map(rules => rules.code);
+};
+
+/**
+ * Find the province code for a province name or code
+ * @param {string} country - 2-letter country code
+ * @param {string} province - Province name or code (e.g. "Texas" or "TX")
+ * @returns {string|null} Province code, or null if the country has no code
+ *   list or the province is not in it
+ */
+const findProvinceCode = (country, province) => {
+  const lookup = getCountryRules(country).province?.lookup;
+  return lookup?.get(provinceLookupKey(province)) || null;
+};
+
+module.exports = {
+  COUNTRY_RULES,
+  getCountryRules,
+  countriesRequiring,
+  findProvinceCode
+};
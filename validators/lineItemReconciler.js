@@ -0,0 +1,117 @@
+/**
+ * Line Item Reconciliation
+ *
+ * Checks submitted line items and quantities against the real Shopify order
+ */
+
+const RECONCILIATION_ERRORS = {
+  UNKNOWN_LINE_ITEM: 'unknown_line_item',
+  NOT_SHIPPABLE: 'not_shippable',
+  OVER_ALLOCATED: 'over_allocated',
+  ALLOCATION_MISMATCH: 'allocation_mismatch'
+};
+
+/**
+ * Quantity of an order line item that can still be shipped
+ * @param {Object} orderItem - Shopify order line item
+ * @returns {number} Purchased quantity, excluding removed units
+ */
+const getPurchasedQuantity = (orderItem) => {
+  return orderItem.current_quantity ?? orderItem.quantity;
+};
+
+/**
+ * Reconcile submitted line items with the order's line items
+ * @param {Object} order - Shopify order
+ * @param {Array} lineItems - Validated line items from the request
+ * @returns {Object} Result with `valid`, per-line-item `errors` and `unassigned` quantities
+ */
+const reconcileLineItems = (order, lineItems) => {
+  const orderItems = new Map(order.line_items.map(item => [item.id, item]));
+  const assignedQuantities = new Map();
+  const errors = [];
+
+  lineItems.forEach((item, index) => {
+    const orderItem = orderItems.get(item.line_item_id);
+
+    if (!orderItem) {
+      errors.push({
+        line_item_id: item.line_item_id,
+        index,
+        code: RECONCILIATION_ERRORS.UNKNOWN_LINE_ITEM,
+        message: `Line item ${item.line_item_id} is not part of order ${order.name || order.id}`
+      });
+      return;
+    }
+
+    if (!orderItem.requires_shipping) {
+      errors.push({
+        line_item_id: item.line_item_id,
+        index,
+        code: RECONCILIATION_ERRORS.NOT_SHIPPABLE,
+        message: `Line item ${item.line_item_id} (${orderItem.title}) does not require shipping`
+      });
+      return;
+    }
+
+    // Allocations split the whole purchased quantity across recipients
+    if (item.allocations && item.quantity < getPurchasedQuantity(orderItem)) {
+      errors.push({
+        line_item_id: item.line_item_id,
+        index,
+        code: RECONCILIATION_ERRORS.ALLOCATION_MISMATCH,
+        message: `Allocations for line item ${item.line_item_id} (${orderItem.title}) add up to ${item.quantity} but ${getPurchasedQuantity(orderItem)} were purchased`,
+        purchased_quantity: getPurchasedQuantity(orderItem),
+        assigned_quantity: item.quantity
+      });
+    }
+
+    assignedQuantities.set(
+      item.line_item_id,
+      (assignedQuantities.get(item.line_item_id) || 0) + item.quantity
+    );
+  });
+
+  assignedQuantities.forEach((assignedQuantity, lineItemId) => {
+    const orderItem = orderItems.get(lineItemId);
+    const purchasedQuantity = getPurchasedQuantity(orderItem);
+
+    if (assignedQuantity > purchasedQuantity) {
+      errors.push({
+        line_item_id: lineItemId,
+        code: RECONCILIATION_ERRORS.OVER_ALLOCATED,
+        message: `Line item ${lineItemId} (${orderItem.title}) has ${assignedQuantity} units assigned but only ${purchasedQuantity} were purchased`,
+        purchased_quantity: purchasedQuantity,
+        assigned_quantity: assignedQuantity
+      });
+    }
+  });
+
+  const unassigned = order.line_items
+    .filter(item => item.requires_shipping)
+    .map(item => {
+      const purchasedQuantity = getPurchasedQuantity(item);
+      const assignedQuantity = assignedQuantities.get(item.id) || 0;
+
+      return {
+        line_item_id: item.id,
+        title: item.title,
+        purchased_quantity: purchasedQuantity,
+        assigned_quantity: assignedQuantity,
+        unassigned_quantity: purchasedQuantity - assignedQuantity
+      };
+    })
+    .filter(item => item.unassigned_quantity > 0);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    unassigned
+  };
+};
+
+module.exports = {
+  reconcileLineItems,
+  getPurchasedQuantity,
+  RECONCILIATION_ERRORS
+};